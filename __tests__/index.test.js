@@ -1,5 +1,7 @@
 // Set NODE_ENV to test BEFORE requiring anything
 process.env.NODE_ENV = 'test';
+process.env.REPORT_WEBHOOK_SECRET = 'test-secret';
+process.env.REPORT_WEBHOOK_RETRY_DELAY_MS = '1';
 
 // Mock pg module with both pool.query (for read endpoints) and pool.connect (for transactions)
 const mockQuery = jest.fn();
@@ -21,13 +23,59 @@ jest.mock('pg', () => ({
   })),
 }));
 
+// Mock pg-cursor (event export); each read() returns the next queued batch
+const mockCursorRead = jest.fn();
+const mockCursorClose = jest.fn().mockResolvedValue();
+jest.mock('pg-cursor', () => jest.fn().mockImplementation((text, values) => ({
+  text,
+  values,
+  read: mockCursorRead,
+  close: mockCursorClose
+})));
+
+// Mock kafkajs; the consumer tests load the real src/kafka on top of it
+const mockConsumerOn = jest.fn();
+const mockConsumerSeek = jest.fn();
+const mockConsumerPause = jest.fn();
+const mockConsumerResume = jest.fn();
+const mockProducerSend = jest.fn().mockResolvedValue();
+jest.mock('kafkajs', () => ({
+  Kafka: jest.fn().mockImplementation(() => ({
+    consumer: () => ({
+      on: mockConsumerOn,
+      seek: mockConsumerSeek,
+      pause: mockConsumerPause,
+      resume: mockConsumerResume,
+      events: { END_BATCH_PROCESS: 'consumer.end_batch_process', GROUP_JOIN: 'consumer.group_join' }
+    }),
+    producer: () => ({ send: mockProducerSend })
+  }))
+}));
+
 // Mock Kafka consumer
 jest.mock('../src/kafka', () => ({
   startConsumer: jest.fn().mockResolvedValue(),
   stopConsumer: jest.fn().mockResolvedValue(),
+  publishMessages: jest.fn().mockResolvedValue(),
+  scanRetainedMessages: jest.fn().mockResolvedValue(),
   getHealthStatus: jest.fn().mockReturnValue('connected')
 }));
 
+// Refund event types, for schema package versions that do not define them;
+// validateEvent can be stubbed per message in the consumer tests
+jest.mock('@florea-alex/order-events-schemas', () => {
+  const actual = jest.requireActual('@florea-alex/order-events-schemas');
+  return {
+    ...actual,
+    validateEvent: jest.fn(actual.validateEvent),
+    EVENT_TYPES: {
+      PAYMENT_REFUNDED: 'payment.refunded',
+      PAYMENT_PARTIALLY_REFUNDED: 'payment.partially_refunded',
+      ...actual.EVENT_TYPES
+    }
+  };
+});
+
 const request = require('supertest');
 const app = require('../src/index');
 
@@ -70,6 +118,30 @@ describe('Analytics Service', () => {
     });
   });
 
+  // ---- Metrics ----
+  describe('GET /metrics', () => {
+    it('should expose Prometheus metrics to admins', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+      await request(app).get('/health');
+
+      const response = await request(app)
+        .get('/metrics')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/plain');
+      expect(response.text).toContain('analytics_http_request_duration_seconds_bucket');
+      expect(response.text).toContain('route="/health"');
+      expect(response.text).toContain('analytics_db_pool_connections{state="idle"}');
+    });
+
+    it('should require admin role', async () => {
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   // ---- Admin Guard ----
   describe('Admin Guard', () => {
     it('should return 403 without admin role', async () => {
@@ -92,17 +164,22 @@ describe('Analytics Service', () => {
     });
 
     it('should allow admin access', async () => {
-      // Mock the two queries for overview (totals + today)
+      // Mock the queries for overview (FX check + totals + today + revenue + status counts + customers)
       mockQuery
+        .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({
           rows: [{
-            total_orders: '10', orders_confirmed: '8', orders_cancelled: '2',
-            orders_shipped: '5', total_revenue: '500.00',
+            total_orders: '10', orders_cancelled: '2', orders_shipped: '5',
             payment_success: '8', payment_failure: '2'
           }]
         })
+        .mockResolvedValueOnce({ rows: [{ today_orders: '3' }] })
+        .mockResolvedValueOnce({
+          rows: [{ orders_confirmed: '8', gross: '500.00', reversed: '0', refunded: '0', today: '150.00' }]
+        })
+        .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({
-          rows: [{ today_orders: '3', today_revenue: '150.00' }]
+          rows: [{ customers: '0', repeat_customers: '0', new_today: '0', returning_today: '0' }]
         });
 
       const response = await request(app)
@@ -118,15 +195,26 @@ describe('Analytics Service', () => {
   describe('GET /analytics/overview', () => {
     it('should return correct aggregated overview', async () => {
       mockQuery
+        .mockResolvedValueOnce({ rows: [] }) // getMissingFxRates
         .mockResolvedValueOnce({
           rows: [{
-            total_orders: '150', orders_confirmed: '135', orders_cancelled: '15',
-            orders_shipped: '100', total_revenue: '4523.50',
+            total_orders: '150', orders_cancelled: '15', orders_shipped: '100',
             payment_success: '135', payment_failure: '15'
           }]
         })
+        .mockResolvedValueOnce({ rows: [{ today_orders: '12' }] })
+        .mockResolvedValueOnce({
+          rows: [{ orders_confirmed: '135', gross: '4523.50', reversed: '100.00', refunded: '23.50', today: '389.99' }]
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            { status: 'confirmed', count: '35' },
+            { status: 'shipped', count: '100' },
+            { status: 'cancelled', count: '15' }
+          ]
+        })
         .mockResolvedValueOnce({
-          rows: [{ today_orders: '12', today_revenue: '389.99' }]
+          rows: [{ customers: '120', repeat_customers: '30', new_today: '4', returning_today: '6' }]
         });
 
       const response = await request(app)
@@ -137,9 +225,17 @@ describe('Analytics Service', () => {
       expect(response.body.success).toBe(true);
 
       const data = response.body.data;
+      // Amounts are converted to the base currency by default
+      expect(data.currency).toBe('USD');
+      expect(mockQuery.mock.calls[0][1].slice(2)).toEqual(['USD', 'USD', 'UTC']);
       expect(data.totalOrders).toBe(150);
       expect(data.totalRevenue).toBe('4523.50');
-      expect(data.averageOrderValue).toBe('30.16');
+      // Net of confirmed-then-cancelled orders and refunds
+      expect(data.revenueReversed).toBe('100.00');
+      expect(data.revenueRefunded).toBe('23.50');
+      expect(data.netRevenue).toBe('4400.00');
+      // Over confirmed orders, not created ones
+      expect(data.averageOrderValue).toBe('33.51');
       expect(data.paymentSuccessRate).toBe(90);
       expect(data.ordersByStatus).toMatchObject({
         created: 0,
@@ -149,18 +245,32 @@ describe('Analytics Service', () => {
       });
       expect(data.todayOrders).toBe(12);
       expect(data.todayRevenue).toBe('389.99');
+      expect(data.customers).toEqual({
+        total: 120,
+        repeatCustomers: 30,
+        repeatCustomerRate: 25,
+        newToday: 4,
+        returningToday: 6
+      });
     });
 
     it('should handle empty metrics', async () => {
       mockQuery
+        .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({
           rows: [{
-            total_orders: '0', orders_confirmed: '0', orders_cancelled: '0',
-            orders_shipped: '0', total_revenue: '0',
+            total_orders: '0', orders_cancelled: '0', orders_shipped: '0',
             payment_success: '0', payment_failure: '0'
           }]
         })
-        .mockResolvedValueOnce({ rows: [] });
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{ orders_confirmed: '0', gross: '0', reversed: '0', refunded: '0', today: '0' }]
+        })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({
+          rows: [{ customers: '0', repeat_customers: '0', new_today: '0', returning_today: '0' }]
+        });
 
       const response = await request(app)
         .get('/analytics/overview')
@@ -174,20 +284,37 @@ describe('Analytics Service', () => {
       expect(data.paymentSuccessRate).toBe(0);
       expect(data.todayOrders).toBe(0);
       expect(data.todayRevenue).toBe('0.00');
+      expect(data.ordersByStatus).toEqual({
+        pending: 0, created: 0, confirmed: 0, shipped: 0, cancelled: 0
+      });
+      expect(data.customers.repeatCustomerRate).toBe(0);
     });
 
-    it('should clamp negative ordersByStatus to zero', async () => {
-      // Simulate inconsistent data where confirmed > total_orders
+    it('should report exact current-state counts from order_states', async () => {
+      // Orders confirmed then cancelled, or shipped without confirmation, no longer
+      // distort the breakdown: it comes straight from order_states
       mockQuery
+        .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({
           rows: [{
-            total_orders: '10', orders_confirmed: '12', orders_cancelled: '3',
-            orders_shipped: '15', total_revenue: '500.00',
+            total_orders: '10', orders_cancelled: '3', orders_shipped: '15',
             payment_success: '10', payment_failure: '2'
           }]
         })
+        .mockResolvedValueOnce({ rows: [{ today_orders: '1' }] })
+        .mockResolvedValueOnce({
+          rows: [{ orders_confirmed: '12', gross: '500.00', reversed: '0', refunded: '0', today: '50.00' }]
+        })
         .mockResolvedValueOnce({
-          rows: [{ today_orders: '1', today_revenue: '50.00' }]
+          rows: [
+            { status: 'pending', count: '1' },
+            { status: 'created', count: '2' },
+            { status: 'shipped', count: '5' },
+            { status: 'cancelled', count: '3' }
+          ]
+        })
+        .mockResolvedValueOnce({
+          rows: [{ customers: '0', repeat_customers: '0', new_today: '0', returning_today: '0' }]
         });
 
       const response = await request(app)
@@ -195,11 +322,56 @@ describe('Analytics Service', () => {
         .set('x-user-role', 'admin');
 
       expect(response.status).toBe(200);
-      const status = response.body.data.ordersByStatus;
-      // created = max(0, 10 - 12 - 3) = 0 (not -5)
-      expect(status.created).toBe(0);
-      // confirmed = max(0, 12 - 15) = 0 (not -3)
-      expect(status.confirmed).toBe(0);
+      expect(response.body.data.ordersByStatus).toEqual({
+        pending: 1,
+        created: 2,
+        confirmed: 0,
+        shipped: 5,
+        cancelled: 3
+      });
+      expect(mockQuery.mock.calls[4][0]).toContain('FROM order_states');
+    });
+
+    it('should convert revenue figures to the requested currency', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] }) // getMissingFxRates
+        .mockResolvedValueOnce({
+          rows: [{
+            total_orders: '3', orders_cancelled: '0', orders_shipped: '0',
+            payment_success: '2', payment_failure: '0'
+          }]
+        })
+        .mockResolvedValueOnce({ rows: [{ today_orders: '1' }] })
+        .mockResolvedValueOnce({
+          rows: [{ orders_confirmed: '2', gross: '277.50', reversed: '0', refunded: '10.00', today: '92.50' }]
+        })
+        .mockResolvedValueOnce({ rows: [{ status: 'confirmed', count: '2' }] })
+        .mockResolvedValueOnce({
+          rows: [{ customers: '0', repeat_customers: '0', new_today: '0', returning_today: '0' }]
+        });
+
+      const response = await request(app)
+        .get('/analytics/overview?currency=EUR')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        currency: 'EUR',
+        totalRevenue: '277.50',
+        revenueRefunded: '10.00',
+        netRevenue: '267.50',
+        averageOrderValue: '138.75',
+        todayRevenue: '92.50'
+      });
+      expect(mockQuery.mock.calls[3][1].slice(2)).toEqual(['EUR', 'USD', 'UTC']);
+    });
+
+    it('should reject an invalid currency', async () => {
+      const response = await request(app)
+        .get('/analytics/overview?currency=euro')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
     });
 
     it('should return 500 on database error', async () => {
@@ -218,10 +390,11 @@ describe('Analytics Service', () => {
   // ---- GET /analytics/revenue ----
   describe('GET /analytics/revenue', () => {
     it('should return revenue time series with default period', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
       mockQuery.mockResolvedValueOnce({
         rows: [
-          { date: '2026-02-01', revenue: '523.50', orders: '15' },
-          { date: '2026-02-02', revenue: '312.00', orders: '9' }
+          { date: '2026-02-01', revenue: '523.50', revenue_reversed: '40.00', revenue_refunded: '12.50', orders: '15' },
+          { date: '2026-02-02', revenue: '312.00', revenue_reversed: '0', revenue_refunded: '0', orders: '9' }
         ]
       });
 
@@ -232,15 +405,24 @@ describe('Analytics Service', () => {
       expect(response.status).toBe(200);
       expect(response.body.data.period).toBe('daily');
       expect(response.body.data.series).toHaveLength(2);
-      expect(response.body.data.series[0]).toMatchObject({
+      expect(response.body.data.series[0]).toEqual({
         date: '2026-02-01',
         revenue: '523.50',
-        orders: 15
+        revenueReversed: '40.00',
+        revenueRefunded: '12.50',
+        netRevenue: '471.00',
+        orders: 15,
+        averageOrderValue: '34.90'
       });
+      // Converted to the base currency by default, never summed across currencies
+      expect(mockQuery.mock.calls[1][0]).toContain('FROM daily_revenue_by_currency');
+      expect(mockQuery.mock.calls[1][0]).toContain('FROM order_states');
+      expect(mockQuery.mock.calls[1][1]).toEqual(['2026-02-01', '2026-02-02', 'USD', 'USD', 'UTC']);
     });
 
     it('should accept weekly period', async () => {
       mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
 
       const response = await request(app)
         .get('/analytics/revenue?period=weekly&from=2026-01-01&to=2026-02-01')
@@ -252,6 +434,7 @@ describe('Analytics Service', () => {
 
     it('should accept monthly period', async () => {
       mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
 
       const response = await request(app)
         .get('/analytics/revenue?period=monthly&from=2026-01-01&to=2026-02-01')
@@ -261,6 +444,139 @@ describe('Analytics Service', () => {
       expect(response.body.data.period).toBe('monthly');
     });
 
+    it('should return a zero-filled hourly revenue series', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { hour_bucket: new Date('2026-02-01T10:00:00.000Z'), orders_created: '3', orders_confirmed: '2', orders_cancelled: '0', orders_shipped: '0', revenue_confirmed: '80.00', revenue_cancelled: '0', revenue_reversed: '0', revenue_refunded: '5.00', payment_success: '2', payment_failure: '0' },
+          { hour_bucket: new Date('2026-02-01T11:00:00.000Z'), orders_created: '0', orders_confirmed: '0', orders_cancelled: '0', orders_shipped: '0', revenue_confirmed: '0', revenue_cancelled: '0', revenue_reversed: '0', revenue_refunded: '0', payment_success: '0', payment_failure: '0' }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/analytics/revenue?period=hourly&from=2026-02-01T10:15:00Z&to=2026-02-01T11:30:00Z')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.period).toBe('hourly');
+      expect(response.body.data.series).toEqual([
+        { date: '2026-02-01T10:00:00.000Z', revenue: '80.00', revenueReversed: '0.00', revenueRefunded: '5.00', netRevenue: '75.00', orders: 2, averageOrderValue: '40.00' },
+        { date: '2026-02-01T11:00:00.000Z', revenue: '0.00', revenueReversed: '0.00', revenueRefunded: '0.00', netRevenue: '0.00', orders: 0, averageOrderValue: '0.00' }
+      ]);
+      expect(mockQuery.mock.calls[1][0]).toContain('generate_series');
+      expect(mockQuery.mock.calls[1][0]).toContain('FROM hourly_revenue_by_currency');
+      expect(mockQuery.mock.calls[1][1]).toEqual(['2026-02-01T10:15:00.000Z', '2026-02-01T11:30:00.000Z', 'UTC', 'USD', 'USD']);
+    });
+
+    it('should reject an hourly range longer than 31 days', async () => {
+      const response = await request(app)
+        .get('/analytics/revenue?period=hourly&from=2026-01-01T00:00:00Z&to=2026-03-01T00:00:00Z')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should compare against the previous period', async () => {
+      // FX checks for both ranges, then both series
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { date: '2026-02-01', revenue: '100.00', revenue_reversed: '0', revenue_refunded: '10.00', orders: '4' },
+          { date: '2026-02-02', revenue: '0', revenue_reversed: '0', revenue_refunded: '0', orders: '0' }
+        ]
+      });
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { date: '2026-01-30', revenue: '80.00', revenue_reversed: '0', revenue_refunded: '0', orders: '2' },
+          { date: '2026-01-31', revenue: '20.00', revenue_reversed: '0', revenue_refunded: '0', orders: '1' }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/analytics/revenue?from=2026-02-01&to=2026-02-02&compare=previous_period')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      // Both series are zero-filled over the full bucket range
+      expect(mockQuery.mock.calls[2][0]).toContain('generate_series');
+      expect(mockQuery.mock.calls[3][1]).toEqual(['2026-01-30', '2026-01-31', 'USD', 'USD', 'UTC']);
+
+      const { data } = response.body;
+      expect(data.compare).toBe('previous_period');
+      expect(data.previous).toMatchObject({ from: '2026-01-30', to: '2026-01-31' });
+      expect(data.previous.series).toHaveLength(2);
+      expect(data.deltas.series[0]).toEqual({
+        date: '2026-02-01',
+        previousDate: '2026-01-30',
+        revenue: { absolute: '20.00', percent: 25 },
+        revenueReversed: { absolute: '0.00', percent: null },
+        revenueRefunded: { absolute: '10.00', percent: null },
+        netRevenue: { absolute: '10.00', percent: 12.5 },
+        orders: { absolute: 2, percent: 100 },
+        averageOrderValue: { absolute: '-15.00', percent: -37.5 }
+      });
+      expect(data.deltas.series[1].revenue).toEqual({ absolute: '-20.00', percent: -100 });
+      expect(data.deltas.total.revenue).toEqual({ current: '100.00', previous: '100.00', absolute: '0.00', percent: 0 });
+      expect(data.deltas.total.orders).toEqual({ current: 4, previous: 3, absolute: 1, percent: 33.3 });
+      // Ratios are compared per bucket only
+      expect(data.deltas.total.averageOrderValue).toBeUndefined();
+    });
+
+    it('should convert revenue to the requested currency', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ date: '2026-02-01', revenue: '110.00', revenue_reversed: '0', revenue_refunded: '0', orders: '2' }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/revenue?from=2026-02-01&to=2026-02-01&currency=eur')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.currency).toBe('EUR');
+      expect(response.body.data.series[0]).toMatchObject({ revenue: '110.00', averageOrderValue: '55.00' });
+      expect(mockQuery.mock.calls[1][0]).toContain('FROM daily_revenue_by_currency');
+      // from, to, target currency, base currency, reporting timezone
+      expect(mockQuery.mock.calls[1][1]).toEqual(['2026-02-01', '2026-02-01', 'EUR', 'USD', 'UTC']);
+    });
+
+    it('should reject a currency with revenue it has no FX rate for', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ currency: 'GBP', first_date: new Date('2026-02-01') }] });
+
+      const response = await request(app)
+        .get('/analytics/revenue?from=2026-02-01&to=2026-02-02&currency=EUR')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No FX rate to convert GBP (from 2026-02-01) to EUR.');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
+    });
+
+    it('should convert the hourly period, checking FX rates over its reporting dates', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/revenue?period=hourly&from=2026-02-01T10:15:00Z&to=2026-02-02T09:00:00Z&currency=EUR')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.currency).toBe('EUR');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['2026-02-01', '2026-02-02', 'EUR', 'USD', 'UTC']);
+      expect(mockQuery.mock.calls[1][1].slice(3)).toEqual(['EUR', 'USD']);
+    });
+
+    it('should reject an unknown compare mode', async () => {
+      const response = await request(app)
+        .get('/analytics/revenue?compare=last_week')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
     it('should reject invalid period', async () => {
       const response = await request(app)
         .get('/analytics/revenue?period=yearly')
@@ -295,25 +611,123 @@ describe('Analytics Service', () => {
       });
     });
 
+    it('should compare monthly buckets against the previous year', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ date: '2026-01-01', created: '10', confirmed: '8', cancelled: '1', shipped: '6' }]
+      });
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ date: '2025-01-01', created: '5', confirmed: '4', cancelled: '0', shipped: '0' }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/orders?period=monthly&from=2026-01-01&to=2026-01-31&compare=previous_year')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(mockQuery.mock.calls[0][0]).toContain("interval '1 month'");
+      expect(mockQuery.mock.calls[1][1]).toEqual(['2025-01-01', '2025-01-31']);
+      expect(response.body.data.deltas.series[0]).toMatchObject({
+        date: '2026-01-01',
+        previousDate: '2025-01-01',
+        created: { absolute: 5, percent: 100 },
+        shipped: { absolute: 6, percent: null }
+      });
+    });
+
     it('should reject invalid period', async () => {
       const response = await request(app)
-        .get('/analytics/orders?period=hourly')
+        .get('/analytics/orders?period=yearly')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  // ---- GET /analytics/hourly ----
+  describe('GET /analytics/hourly', () => {
+    it('should return every status and payment outcome per hour', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { hour_bucket: new Date('2026-02-01T10:00:00.000Z'), orders_created: '4', orders_confirmed: '3', orders_cancelled: '1', orders_shipped: '2', revenue_confirmed: '120.50', revenue_cancelled: '20', revenue_reversed: '20', revenue_refunded: '0', payment_success: '3', payment_failure: '1' }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/analytics/hourly?from=2026-02-01T10:00:00Z&to=2026-02-01T10:59:59Z')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.from).toBe('2026-02-01T10:00:00.000Z');
+      expect(response.body.data.currency).toBe('USD');
+      expect(response.body.data.series[0]).toEqual({
+        hour: '2026-02-01T10:00:00.000Z',
+        ordersCreated: 4,
+        ordersConfirmed: 3,
+        ordersCancelled: 1,
+        ordersShipped: 2,
+        revenueConfirmed: '120.50',
+        revenueCancelled: '20.00',
+        revenueReversed: '20.00',
+        revenueRefunded: '0.00',
+        netRevenue: '100.50',
+        paymentSuccessCount: 3,
+        paymentFailureCount: 1
+      });
+    });
+
+    it('should default to the last 24 hours', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/hourly')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      const { from, to } = response.body.data;
+      expect(new Date(to) - new Date(from)).toBe(24 * 60 * 60 * 1000);
+    });
+
+    it('should reject invalid timestamps', async () => {
+      const response = await request(app)
+        .get('/analytics/hourly?from=yesterday')
         .set('x-user-role', 'admin');
 
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
     });
+
+    it('should convert amounts to the requested currency', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/hourly?from=2026-02-01T10:00:00Z&to=2026-02-01T12:00:00Z&currency=gbp')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.currency).toBe('GBP');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['2026-02-01', '2026-02-01', 'GBP', 'USD', 'UTC']);
+      expect(mockQuery.mock.calls[1][1]).toEqual(['2026-02-01T10:00:00.000Z', '2026-02-01T12:00:00.000Z', 'UTC', 'GBP', 'USD']);
+    });
   });
 
   // ---- GET /analytics/products/top ----
   describe('GET /analytics/products/top', () => {
-    it('should return top products by revenue', async () => {
+    it('should return top products by net revenue with gross and cancelled figures', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
       mockQuery.mockResolvedValueOnce({
         rows: [
           {
             product_id: 3,
             total_quantity_sold: '45',
             total_revenue: '1350.00',
+            quantity_cancelled: '5',
+            revenue_cancelled: '150.00',
+            net_quantity_sold: '40',
+            net_revenue: '1200.00',
             order_count: '30',
             last_ordered_at: new Date('2026-02-17T10:00:00Z')
           }
@@ -330,13 +744,58 @@ describe('Analytics Service', () => {
         productId: 3,
         totalQuantitySold: 45,
         totalRevenue: '1350.00',
+        quantityCancelled: 5,
+        revenueCancelled: '150.00',
+        netQuantitySold: 40,
+        netRevenue: '1200.00',
         orderCount: 30
       });
       expect(response.body.data[0].lastOrderedAt).toBeDefined();
+      expect(mockQuery.mock.calls[1][0]).toContain('ORDER BY net_revenue DESC');
+      // Lifetime revenue is converted from the per-currency rows at each date's rate
+      expect(mockQuery.mock.calls[1][0]).toContain('FROM product_daily_revenue_by_currency');
+      expect(mockQuery.mock.calls[1][1]).toEqual([10, 0, null, null, 'USD', 'USD']);
+    });
+
+    it('should return 400 for a malformed from/to', async () => {
+      const response = await request(app)
+        .get('/analytics/products/top?from=2026-02-30&to=2026-03-01')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid from/to. Must be YYYY-MM-DD dates.');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should convert revenue to the requested currency', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/products/top?currency=eur&from=2026-02-10')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      // Rates are checked from the start of the window up to today
+      expect(mockQuery.mock.calls[0][1].slice(0, 3)).toEqual(['2026-02-10', expect.any(String), 'EUR']);
+      expect(mockQuery.mock.calls[1][1]).toEqual([10, 0, '2026-02-10', null, 'EUR', 'USD']);
+    });
+
+    it('should reject a currency with amounts it has no FX rate for', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ currency: 'GBP', first_date: new Date('2026-02-01') }] });
+
+      const response = await request(app)
+        .get('/analytics/products/top?currency=EUR')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No FX rate to convert GBP (from 2026-02-01) to EUR.');
+      expect(mockQuery).toHaveBeenCalledTimes(1);
     });
 
     it('should respect limit parameter', async () => {
       mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
 
       const response = await request(app)
         .get('/analytics/products/top?limit=5')
@@ -346,12 +805,13 @@ describe('Analytics Service', () => {
       // Verify limit was passed to query
       expect(mockQuery).toHaveBeenCalledWith(
         expect.any(String),
-        [5]
+        [5, 0, null, null, 'USD', 'USD']
       );
     });
 
     it('should cap limit at 50', async () => {
       mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
 
       const response = await request(app)
         .get('/analytics/products/top?limit=100')
@@ -360,12 +820,13 @@ describe('Analytics Service', () => {
       expect(response.status).toBe(200);
       expect(mockQuery).toHaveBeenCalledWith(
         expect.any(String),
-        [50]
+        [50, 0, null, null, 'USD', 'USD']
       );
     });
 
     it('should sort by quantity when requested', async () => {
       mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
 
       const response = await request(app)
         .get('/analytics/products/top?sortBy=quantity')
@@ -373,73 +834,1722 @@ describe('Analytics Service', () => {
 
       expect(response.status).toBe(200);
       expect(mockQuery).toHaveBeenCalledWith(
-        expect.stringContaining('total_quantity_sold'),
+        expect.stringContaining('ORDER BY net_quantity_sold DESC'),
         expect.any(Array)
       );
     });
-  });
 
-  // ---- GET /analytics/conversion ----
-  describe('GET /analytics/conversion', () => {
-    it('should return conversion funnel data', async () => {
-      mockQuery.mockResolvedValueOnce({
-        rows: [{
-          created: '150', confirmed: '135', shipped: '100', cancelled: '15'
-        }]
-      });
+    it('should page past the limit cap with offset', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
 
       const response = await request(app)
-        .get('/analytics/conversion')
+        .get('/analytics/products/top?limit=50&offset=100')
         .set('x-user-role', 'admin');
 
       expect(response.status).toBe(200);
-      const data = response.body.data;
-      expect(data.created).toBe(150);
-      expect(data.confirmed).toBe(135);
-      expect(data.shipped).toBe(100);
-      expect(data.cancelled).toBe(15);
-      expect(data.conversionRates.createdToConfirmed).toBe(90);
-      expect(data.conversionRates.confirmedToShipped).toBe(74.1);
-      expect(data.conversionRates.overallCompletionRate).toBe(66.7);
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('LIMIT $1 OFFSET $2'), [50, 100, null, null, 'USD', 'USD']);
     });
 
-    it('should handle zero values without division errors', async () => {
+    it('should rank within a date range from per-day product metrics', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
       mockQuery.mockResolvedValueOnce({
         rows: [{
-          created: '0', confirmed: '0', shipped: '0', cancelled: '0'
+          product_id: 3,
+          total_quantity_sold: '6',
+          total_revenue: '180.00',
+          order_count: '4',
+          last_ordered_at: new Date('2026-02-17T10:00:00Z')
         }]
       });
 
       const response = await request(app)
-        .get('/analytics/conversion')
+        .get('/analytics/products/top?from=2026-02-10&to=2026-02-16')
         .set('x-user-role', 'admin');
 
       expect(response.status).toBe(200);
-      const rates = response.body.data.conversionRates;
-      expect(rates.createdToConfirmed).toBe(0);
-      expect(rates.confirmedToShipped).toBe(0);
-      expect(rates.overallCompletionRate).toBe(0);
+      expect(response.body.data[0]).toMatchObject({ productId: 3, totalQuantitySold: 6, totalRevenue: '180.00' });
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('FROM product_daily_metrics'),
+        [10, 0, '2026-02-10', '2026-02-16', 'USD', 'USD']
+      );
     });
   });
 
-  // ---- Correlation ID ----
-  describe('Correlation ID', () => {
-    it('should return correlation ID in response headers', async () => {
-      mockQuery.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+  // ---- GET /analytics/products/trending ----
+  describe('GET /analytics/products/trending', () => {
+    it('should rank products by growth versus the previous window', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates, current window
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // and previous window
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { product_id: 9, quantity_sold: '6', revenue: '60.00', previous_quantity_sold: '0', previous_revenue: '0', growth: null },
+          { product_id: 3, quantity_sold: '20', revenue: '600.00', previous_quantity_sold: '10', previous_revenue: '300.00', growth: '100.0000' }
+        ]
+      });
 
-      const response = await request(app).get('/health');
+      const response = await request(app)
+        .get('/analytics/products/trending?to=2026-02-17')
+        .set('x-user-role', 'admin');
 
-      expect(response.headers['x-correlation-id']).toBeDefined();
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        from: '2026-02-11',
+        to: '2026-02-17',
+        previous: { from: '2026-02-04', to: '2026-02-10' },
+        sortBy: 'revenue',
+        minQuantity: 5,
+        currency: 'USD'
+      });
+      expect(response.body.data.products).toEqual([
+        { productId: 9, quantitySold: 6, revenue: '60.00', previousQuantitySold: 0, previousRevenue: '0.00', growthRate: null },
+        { productId: 3, quantitySold: 20, revenue: '600.00', previousQuantitySold: 10, previousRevenue: '300.00', growthRate: 100 }
+      ]);
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('FROM product_daily_revenue_by_currency'),
+        ['2026-02-11', '2026-02-17', '2026-02-04', '2026-02-10', 5, 10, 'USD', 'USD']
+      );
+      expect(mockQuery.mock.calls[1][1].slice(0, 2)).toEqual(['2026-02-04', '2026-02-10']);
     });
 
-    it('should forward provided correlation ID', async () => {
-      mockQuery.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+    it('should apply days, sortBy, minQuantity and currency', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
 
       const response = await request(app)
-        .get('/health')
-        .set('x-correlation-id', 'test-corr-id');
+        .get('/analytics/products/trending?to=2026-03-01&days=1&sortBy=quantity&minQuantity=20&currency=EUR')
+        .set('x-user-role', 'admin');
 
-      expect(response.headers['x-correlation-id']).toBe('test-corr-id');
+      expect(response.status).toBe(200);
+      expect(mockQuery.mock.calls[2][0]).toContain('c.quantity_sold DESC');
+      expect(mockQuery.mock.calls[2][1]).toEqual(['2026-03-01', '2026-03-01', '2026-02-28', '2026-02-28', 20, 10, 'EUR', 'USD']);
+    });
+
+    it('should reject an invalid window', async () => {
+      const badDays = await request(app)
+        .get('/analytics/products/trending?days=120')
+        .set('x-user-role', 'admin');
+      const badTo = await request(app)
+        .get('/analytics/products/trending?to=2026-02-30')
+        .set('x-user-role', 'admin');
+
+      expect(badDays.status).toBe(400);
+      expect(badTo.status).toBe(400);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  // ---- GET /analytics/products/:productId ----
+  describe('GET /analytics/products/:productId', () => {
+    it('should return product totals, cancellation rate and a zero-filled series', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          product_id: 3,
+          total_quantity_sold: '45',
+          total_revenue: '1350.00',
+          quantity_cancelled: '3',
+          revenue_cancelled: '90.00',
+          order_count: '30',
+          last_ordered_at: new Date('2026-02-17T10:00:00Z')
+        }]
+      });
+      mockQuery.mockResolvedValueOnce({ rows: [{ confirmed_orders: '30', cancelled_orders: '3' }] });
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { date: new Date('2026-02-16T00:00:00Z'), quantity_sold: '4', revenue: '120.00', order_count: '3' },
+          { date: new Date('2026-02-17T00:00:00Z'), quantity_sold: '0', revenue: '0', order_count: '0' }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/analytics/products/3?from=2026-02-16&to=2026-02-17')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        productId: 3,
+        totalQuantitySold: 45,
+        totalRevenue: '1350.00',
+        netQuantitySold: 42,
+        netRevenue: '1260.00',
+        averageUnitPrice: '30.00',
+        cancelledOrderCount: 3,
+        cancellationRate: 10,
+        period: 'daily',
+        currency: 'USD'
+      });
+      expect(response.body.data.series).toEqual([
+        { date: '2026-02-16', quantitySold: 4, revenue: '120.00', orderCount: 3, averageUnitPrice: '30.00' },
+        { date: '2026-02-17', quantitySold: 0, revenue: '0.00', orderCount: 0, averageUnitPrice: '0.00' }
+      ]);
+      // Orders containing the product are matched on their confirmation items
+      expect(mockQuery.mock.calls[1][1]).toEqual([3, 'USD', 'USD']);
+      expect(mockQuery.mock.calls[2][1]).toEqual(['[{"productId":3}]', '[{"productId":"3"}]']);
+      expect(mockQuery.mock.calls[3][0]).toContain('FROM generate_series');
+      expect(mockQuery.mock.calls[3][1]).toEqual([3, '2026-02-16', '2026-02-17', 'USD', 'USD']);
+    });
+
+    it('should bucket the series weekly', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          product_id: 3, total_quantity_sold: '0', total_revenue: '0', quantity_cancelled: '0', revenue_cancelled: '0',
+          order_count: '0', last_ordered_at: null
+        }]
+      });
+      mockQuery.mockResolvedValueOnce({ rows: [{ confirmed_orders: '0', cancelled_orders: '0' }] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/products/3?period=weekly')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.cancellationRate).toBe(0);
+      expect(mockQuery.mock.calls[3][0]).toContain("interval '1 week'");
+    });
+
+    it('should return 404 for unknown product', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/products/999')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(404);
+      expect(mockQuery).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject invalid product id and period', async () => {
+      const badId = await request(app)
+        .get('/analytics/products/abc')
+        .set('x-user-role', 'admin');
+      const badPeriod = await request(app)
+        .get('/analytics/products/3?period=monthly')
+        .set('x-user-role', 'admin');
+
+      expect(badId.status).toBe(400);
+      expect(badPeriod.status).toBe(400);
+    });
+  });
+
+  // ---- GET /analytics/products/:productId/affinity ----
+  describe('GET /analytics/products/:productId/affinity', () => {
+    it('should return co-purchased products with support, confidence and lift', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { product_orders: '20', total_orders: '200', related_product_id: 5, pair_orders: '8', related_orders: '40' },
+          { product_orders: '20', total_orders: '200', related_product_id: 9, pair_orders: '2', related_orders: '100' }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/analytics/products/3/affinity?limit=5')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        productId: 3,
+        orderCount: 20,
+        totalOrders: 200,
+        products: [
+          { productId: 5, orderCount: 8, support: 0.04, confidence: 0.4, lift: 2 },
+          { productId: 9, orderCount: 2, support: 0.01, confidence: 0.1, lift: 0.2 }
+        ]
+      });
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('FROM product_pairs'), [3, 5]);
+      // Cancelled orders are left out of the total as they are of the pairs
+      expect(mockQuery.mock.calls[0][0]).toContain('confirmed_at IS NOT NULL AND cancelled_at IS NOT NULL');
+    });
+
+    it('should return an empty list for a product never bought with others', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ product_orders: '4', total_orders: '50', related_product_id: null, pair_orders: null, related_orders: null }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/products/3/affinity')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.products).toEqual([]);
+    });
+
+    it('should return 404 for unknown product', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/products/999/affinity')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // ---- GET /analytics/conversion ----
+  describe('GET /analytics/conversion', () => {
+    it('should return conversion funnel data', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          created: '150', confirmed: '135', shipped: '100', cancelled: '15',
+          current_pending: '2', current_created: '10', current_confirmed: '23', current_shipped: '100'
+        }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/conversion')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      const data = response.body.data;
+      expect(data.created).toBe(150);
+      expect(data.confirmed).toBe(135);
+      expect(data.shipped).toBe(100);
+      expect(data.cancelled).toBe(15);
+      expect(data.currentStatus).toEqual({
+        pending: 2, created: 10, confirmed: 23, shipped: 100, cancelled: 15
+      });
+      expect(mockQuery.mock.calls[0][0]).toContain('FROM order_states');
+      expect(data.conversionRates.createdToConfirmed).toBe(90);
+      expect(data.conversionRates.confirmedToShipped).toBe(74.1);
+      expect(data.conversionRates.overallCompletionRate).toBe(66.7);
+    });
+
+    it('should handle zero values without division errors', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          created: '0', confirmed: '0', shipped: '0', cancelled: '0',
+          current_pending: '0', current_created: '0', current_confirmed: '0', current_shipped: '0'
+        }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/conversion')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      const rates = response.body.data.conversionRates;
+      expect(rates.createdToConfirmed).toBe(0);
+      expect(rates.confirmedToShipped).toBe(0);
+      expect(rates.overallCompletionRate).toBe(0);
+    });
+  });
+
+  // ---- GET /analytics/latency ----
+  describe('GET /analytics/latency', () => {
+    it('should return latency percentiles per transition', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          {
+            date: '2026-02-01', transition: 'confirmedToShipped', count: '4',
+            avg_seconds: '7200.25', p50_seconds: '6000', p90_seconds: '10800', p99_seconds: '11880.4'
+          },
+          {
+            date: '2026-02-01', transition: 'createdToPaymentAuthorized', count: '5',
+            avg_seconds: '12.5', p50_seconds: '10', p90_seconds: '20', p99_seconds: '29.9'
+          }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/analytics/latency?from=2026-02-01&to=2026-02-01')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.period).toBe('daily');
+      expect(response.body.data.series).toHaveLength(1);
+
+      const transitions = response.body.data.series[0].transitions;
+      expect(transitions.confirmedToShipped).toEqual({
+        count: 4, avgSeconds: 7200.3, p50Seconds: 6000, p90Seconds: 10800, p99Seconds: 11880.4
+      });
+      expect(transitions.createdToPaymentAuthorized.p50Seconds).toBe(10);
+      // Transitions without data in the bucket are reported empty
+      expect(transitions.paymentAuthorizedToConfirmed).toEqual({
+        count: 0, avgSeconds: null, p50Seconds: null, p90Seconds: null, p99Seconds: null
+      });
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('FROM order_states'),
+        ['2026-02-01', '2026-02-01', 'UTC']
+      );
+    });
+
+    it('should group by week', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/latency?period=weekly')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.period).toBe('weekly');
+      expect(mockQuery.mock.calls[0][0]).toContain("date_trunc('week', day)");
+    });
+
+    it('should reject invalid period', async () => {
+      const response = await request(app)
+        .get('/analytics/latency?period=yearly')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ---- Payments ----
+  describe('GET /analytics/payments', () => {
+    it('should return the payment series, failure reasons, methods and retries', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { date: new Date('2026-02-01'), authorized_count: '9', authorized_amount: '450.00', failed_count: '1', failed_amount: '30.00' },
+          { date: new Date('2026-02-02'), authorized_count: '0', authorized_amount: '0', failed_count: '0', failed_amount: '0' }
+        ]
+      });
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { reason: 'insufficient_funds', failures: '3', amount: '90.00', total_failures: '6' },
+          { reason: 'card_declined', failures: '1', amount: '25.50', total_failures: '6' }
+        ]
+      });
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { payment_method: 'card', authorized_count: '8', authorized_amount: '400.00', failed_count: '2' },
+          { payment_method: 'unknown', authorized_count: '1', authorized_amount: '50.00', failed_count: '0' }
+        ]
+      });
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ orders: '10', retried_orders: '2', avg_retries: '0.3000', recovered_orders: '1' }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/payments?from=2026-02-01&to=2026-02-02&limit=5')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      const data = response.body.data;
+      expect(data).toMatchObject({ period: 'daily', from: '2026-02-01', to: '2026-02-02', currency: 'USD' });
+      expect(data.series[0]).toEqual({
+        date: '2026-02-01',
+        authorizedCount: 9,
+        authorizedAmount: '450.00',
+        failedCount: 1,
+        failedAmount: '30.00',
+        authorizationRate: 90
+      });
+      // Buckets without attempts are zero-filled
+      expect(data.series[1].authorizationRate).toBe(0);
+      // Shares are of all failures, including reasons beyond the limit
+      expect(data.failureReasons[0]).toEqual({ reason: 'insufficient_funds', failures: 3, amount: '90.00', share: 50 });
+      expect(data.methods[0]).toEqual({
+        method: 'card', authorizedCount: 8, failedCount: 2, authorizedAmount: '400.00', authorizationRate: 80
+      });
+      expect(data.retries).toEqual({ orders: 10, retriedOrders: 2, averageRetries: 0.3, recoveredOrders: 1 });
+      expect(mockQuery.mock.calls[1][0]).toContain('FROM payment_daily_amounts_by_currency');
+      expect(mockQuery.mock.calls[2][1]).toEqual(['2026-02-01', '2026-02-02', 5, 'USD', 'USD']);
+      expect(mockQuery.mock.calls[4][0]).toContain('FROM payment_metrics');
+    });
+
+    it('should convert amounts to the requested currency', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [{ orders: '0', retried_orders: '0', avg_retries: '0', recovered_orders: '0' }] });
+
+      const response = await request(app)
+        .get('/analytics/payments?from=2026-02-01&to=2026-02-02&currency=EUR')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.currency).toBe('EUR');
+      expect(mockQuery.mock.calls[0][1].slice(0, 3)).toEqual(['2026-02-01', '2026-02-02', 'EUR']);
+      expect(mockQuery.mock.calls[1][1]).toEqual(['2026-02-01', '2026-02-02', 'EUR', 'USD']);
+      expect(mockQuery.mock.calls[3][1]).toEqual(['2026-02-01', '2026-02-02', 'EUR', 'USD']);
+    });
+
+    it('should reject invalid period', async () => {
+      const response = await request(app)
+        .get('/analytics/payments?period=hourly')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ---- Customers ----
+  describe('GET /analytics/customers/top', () => {
+    it('should return top customers by revenue', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          user_id: 42, order_count: '5', confirmed_order_count: '4', confirmed_revenue: '250.00',
+          cancelled_order_count: '1', payment_failure_count: '2',
+          first_order_at: new Date('2026-01-02T10:00:00Z'), last_order_at: new Date('2026-02-10T10:00:00Z')
+        }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/customers/top?limit=5')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toMatchObject({
+        userId: 42,
+        orderCount: 5,
+        confirmedOrderCount: 4,
+        confirmedRevenue: '250.00',
+        averageOrderValue: '62.50',
+        cancelledOrderCount: 1,
+        paymentFailureCount: 2,
+        firstOrderAt: '2026-01-02T10:00:00.000Z'
+      });
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('confirmed_revenue DESC'), [5, 'USD', 'USD', 'UTC']);
+      // Revenue is read per order, in its own currency
+      expect(mockQuery.mock.calls[1][0]).toContain('FROM order_states s');
+    });
+
+    it('should sort by order count and convert to the requested currency', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/customers/top?sortBy=orders&limit=500&currency=EUR')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('ORDER BY order_count DESC'), [50, 'EUR', 'USD', 'UTC']);
+    });
+
+    it('should reject an invalid currency', async () => {
+      const response = await request(app)
+        .get('/analytics/customers/top?currency=euro')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /analytics/customers/:userId', () => {
+    it('should return a single customer', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          user_id: 7, order_count: '1', confirmed_order_count: '0', confirmed_revenue: '0',
+          cancelled_order_count: '0', payment_failure_count: '1',
+          first_order_at: new Date('2026-02-01T10:00:00Z'), last_order_at: new Date('2026-02-01T10:00:00Z')
+        }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/customers/7')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.userId).toBe(7);
+      expect(response.body.data.averageOrderValue).toBe('0.00');
+      expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining('FROM user_metrics'), [7, 'USD', 'USD', 'UTC']);
+    });
+
+    it('should return 404 for unknown customer', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/customers/999')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject invalid user id', async () => {
+      const response = await request(app)
+        .get('/analytics/customers/abc')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ---- GET /analytics/cohorts ----
+  describe('GET /analytics/cohorts', () => {
+    it('should return a zero-filled retention matrix with cohort revenue', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      // Cohort summary (size, revenue, periods elapsed)
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { cohort: '2026-01-01', size: '10', revenue: '500.00', current_offset: '2' },
+          { cohort: '2026-02-01', size: '4', revenue: '80.00', current_offset: '1' }
+        ]
+      });
+      // Active customers per cohort and period offset
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { cohort: '2026-01-01', period_offset: '0', active_users: '10' },
+          { cohort: '2026-01-01', period_offset: '2', active_users: '3' },
+          { cohort: '2026-02-01', period_offset: '0', active_users: '4' },
+          { cohort: '2026-02-01', period_offset: '1', active_users: '1' }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/analytics/cohorts?granularity=month&from=2026-01-01&to=2026-03-31')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.granularity).toBe('month');
+      expect(response.body.data.currency).toBe('USD');
+
+      const [january, february] = response.body.data.cohorts;
+      expect(january).toMatchObject({ cohort: '2026-01-01', size: 10, revenue: '500.00', revenuePerCustomer: '50.00' });
+      expect(january.retention).toEqual([
+        { period: 0, activeUsers: 10, rate: 100 },
+        { period: 1, activeUsers: 0, rate: 0 },
+        { period: 2, activeUsers: 3, rate: 30 }
+      ]);
+      expect(february.retention).toEqual([
+        { period: 0, activeUsers: 4, rate: 100 },
+        { period: 1, activeUsers: 1, rate: 25 }
+      ]);
+      expect(mockQuery.mock.calls[1][0]).toContain("date_trunc('month'");
+      // Orders cancelled after confirmation don't count towards cohort revenue
+      expect(mockQuery.mock.calls[1][0]).toContain('s.confirmed_at IS NOT NULL AND s.cancelled_at IS NULL');
+      expect(mockQuery.mock.calls[1][1]).toEqual(['UTC', '2026-01-01', '2026-03-31', 'USD', 'USD']);
+    });
+
+    it('should accept weekly granularity and a currency', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/cohorts?granularity=week&currency=EUR')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ granularity: 'week', currency: 'EUR', cohorts: [] });
+      expect(mockQuery.mock.calls[1][0]).toContain("date_trunc('week'");
+      expect(mockQuery.mock.calls[1][1].slice(3)).toEqual(['EUR', 'USD']);
+    });
+
+    it('should reject invalid granularity', async () => {
+      const response = await request(app)
+        .get('/analytics/cohorts?granularity=day')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ---- GET /analytics/dedup/would-discard ----
+  describe('GET /analytics/dedup/would-discard', () => {
+    it('should report events logged since the migration that the legacy dedup rule would discard', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ applied_at: new Date('2026-01-31T08:00:00.000Z') }] });
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { event_type: 'payment.failed', would_discard: '4', affected_orders: '3', first_seen_at: new Date('2026-02-01T10:00:00.000Z'), last_seen_at: new Date('2026-02-03T10:00:00.000Z') },
+          { event_type: 'order.shipped', would_discard: '1', affected_orders: '1', first_seen_at: new Date('2026-02-02T10:00:00.000Z'), last_seen_at: new Date('2026-02-02T10:00:00.000Z') }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/analytics/dedup/would-discard')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(mockQuery.mock.calls[0][1]).toEqual(['009_dedup_events_by_event_id.sql']);
+      expect(response.body.data.since).toBe('2026-01-31T08:00:00.000Z');
+      expect(response.body.data.totalWouldDiscard).toBe(5);
+      expect(response.body.data.byEventType[0]).toEqual({
+        eventType: 'payment.failed',
+        wouldDiscard: 4,
+        affectedOrders: 3,
+        firstSeenAt: '2026-02-01T10:00:00.000Z',
+        lastSeenAt: '2026-02-03T10:00:00.000Z'
+      });
+    });
+  });
+
+  // ---- Legacy discard scan ----
+  describe('Legacy discard scan', () => {
+    const { scanRetainedMessages } = require('../src/kafka');
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const failed = (offset, producedAt, timestamp) => ({
+      offset,
+      timestamp: String(Date.parse(producedAt)),
+      value: Buffer.from(JSON.stringify({ type: 'payment.failed', orderId: 1, timestamp, data: {} }))
+    });
+
+    it('should count consumed messages from before the migration that were never logged', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ applied_at: new Date('2026-01-31T08:00:00.000Z') }] });
+      mockQuery.mockResolvedValueOnce({ rows: [{ topic: 'payment.events', kafka_partition: 0, next_offset: '14' }] });
+      mockQuery.mockResolvedValueOnce({ rows: [{ kafka_offset: '12' }] }); // findQuarantinedOffsets
+      mockQuery.mockResolvedValueOnce({
+        rows: [{ dedup_key: 'payment.failed:1:2026-01-30T09:00:00.000Z', legacy: true }]
+      }); // findLoggedDedupKeys
+      scanRetainedMessages.mockImplementationOnce(onMessages => onMessages({
+        topic: 'payment.events',
+        partition: 0,
+        messages: [
+          failed('10', '2026-01-30T09:00:00Z', '2026-01-30T09:00:00Z'), // the failure that was kept
+          failed('11', '2026-01-30T10:00:00Z', '2026-01-30T10:00:00Z'), // a second failure, discarded
+          failed('12', '2026-01-30T11:00:00Z', '2026-01-30T11:00:00Z'), // quarantined
+          failed('13', '2026-01-30T10:00:00Z', '2026-01-30T10:00:00Z'), // redelivery of 11
+          failed('14', '2026-01-30T12:00:00Z', '2026-01-30T12:00:00Z'), // not consumed yet
+          failed('15', '2026-02-01T10:00:00Z', '2026-02-01T10:00:00Z') // after the migration
+        ]
+      }));
+
+      const started = await request(app)
+        .post('/analytics/dedup/scan')
+        .set('x-user-role', 'admin');
+      await flush();
+      const response = await request(app)
+        .get('/analytics/dedup/scan/status')
+        .set('x-user-role', 'admin');
+
+      expect(started.status).toBe(202);
+      expect(mockQuery.mock.calls[2][1]).toEqual(['payment.events', 0, ['10', '11', '12', '13']]);
+      expect(response.body.data).toMatchObject({
+        status: 'completed',
+        since: '2026-01-31T08:00:00.000Z',
+        scannedMessages: 6,
+        oldestMessageAt: '2026-01-30T09:00:00.000Z',
+        totalDiscarded: 1,
+        byEventType: [{
+          eventType: 'payment.failed',
+          discarded: 1,
+          affectedOrders: 1,
+          firstSeenAt: '2026-01-30T10:00:00.000Z',
+          lastSeenAt: '2026-01-30T10:00:00.000Z'
+        }]
+      });
+    });
+
+    it('should refuse a second scan while one is running', async () => {
+      let finish;
+      mockQuery.mockResolvedValueOnce({ rows: [{ applied_at: new Date('2026-01-31T08:00:00.000Z') }] });
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      scanRetainedMessages.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+
+      await request(app).post('/analytics/dedup/scan').set('x-user-role', 'admin');
+      await flush();
+      const response = await request(app).post('/analytics/dedup/scan').set('x-user-role', 'admin');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('A legacy discard scan is already running');
+      finish();
+      await flush();
+    });
+  });
+
+  // ---- FX rates ----
+  describe('FX rates', () => {
+    it('should load rates with normalized currencies', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/analytics/fx-rates')
+        .set('x-user-role', 'admin')
+        .send({ rates: [{ date: '2026-02-01', currency: 'eur', rate: 1.08 }, { date: '2026-02-01', currency: 'GBP', rate: '1.27' }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ baseCurrency: 'USD', upserted: 2 });
+      expect(mockQuery.mock.calls[0][0]).toContain('INSERT INTO fx_rates');
+      expect(mockQuery.mock.calls[0][1]).toEqual(['2026-02-01', 'EUR', 1.08, '2026-02-01', 'GBP', 1.27]);
+    });
+
+    it('should reject invalid rates', async () => {
+      const response = await request(app)
+        .post('/analytics/fx-rates')
+        .set('x-user-role', 'admin')
+        .send({ rates: [{ date: '2026-02-30', currency: 'EUR', rate: 1.08 }] });
+
+      expect(response.status).toBe(400);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should reject rates for the base currency', async () => {
+      const response = await request(app)
+        .post('/analytics/fx-rates')
+        .set('x-user-role', 'admin')
+        .send({ rates: [{ date: '2026-02-01', currency: 'USD', rate: 1 }] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should list rates for a currency', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ date: new Date('2026-02-01'), currency: 'EUR', rate: '1.08000000' }] });
+
+      const response = await request(app)
+        .get('/analytics/fx-rates?currency=eur')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rates).toEqual([{ date: '2026-02-01', currency: 'EUR', rate: 1.08 }]);
+      expect(mockQuery.mock.calls[0][1]).toEqual(['EUR', null, null, 100]);
+    });
+  });
+
+  // ---- Response formats ----
+  describe('Response formats', () => {
+    const { toCsv } = require('../src/formats');
+
+    it('should return a report series as CSV', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { date: '2026-02-01', revenue: '523.50', revenue_reversed: '40.00', revenue_refunded: '12.50', orders: '15' },
+          { date: '2026-02-02', revenue: '312.00', revenue_reversed: '0', revenue_refunded: '0', orders: '9' }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/analytics/revenue?from=2026-02-01&to=2026-02-02&format=csv')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/csv/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="revenue.csv"');
+      expect(response.text).toBe(
+        'date,revenue,revenueReversed,revenueRefunded,netRevenue,orders,averageOrderValue\r\n' +
+        '2026-02-01,523.50,40.00,12.50,471.00,15,34.90\r\n' +
+        '2026-02-02,312.00,0.00,0.00,312.00,9,34.67\r\n'
+      );
+    });
+
+    it('should negotiate NDJSON from the Accept header', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] }); // getMissingFxRates
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          product_id: 3, total_quantity_sold: '45', total_revenue: '1350.00', quantity_cancelled: '0',
+          revenue_cancelled: '0', net_quantity_sold: '45', net_revenue: '1350.00', order_count: '30', last_ordered_at: null
+        }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/products/top')
+        .set('x-user-role', 'admin')
+        .set('Accept', 'application/x-ndjson');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^application\/x-ndjson/);
+      const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([expect.objectContaining({ productId: 3, netRevenue: '1350.00' })]);
+    });
+
+    it('should keep errors in the JSON envelope', async () => {
+      const forbidden = await request(app).get('/analytics/overview?format=csv');
+      const invalid = await request(app)
+        .get('/analytics/overview?format=xml')
+        .set('x-user-role', 'admin');
+
+      expect(forbidden.status).toBe(403);
+      expect(forbidden.body.success).toBe(false);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('Invalid format. Must be json, csv, or ndjson.');
+    });
+
+    it('should escape CSV fields and flatten nested objects', () => {
+      const csv = toCsv([
+        { id: 1, note: 'a, "quoted"\nline', formula: '=SUM(A1)', delta: '-5.00', deltas: { revenue: 2 } },
+        { id: 2, note: null, extra: ['x'] }
+      ]);
+
+      expect(csv).toBe(
+        'id,note,formula,delta,deltas.revenue,extra\r\n' +
+        '1,"a, ""quoted""\nline",\'=SUM(A1),-5.00,2,\r\n' +
+        '2,,,,,"[""x""]"\r\n'
+      );
+    });
+  });
+
+  // ---- GET /analytics/export/events ----
+  describe('GET /analytics/export/events', () => {
+    const loggedEvent = (id, data) => ({
+      id,
+      event_id: `evt-${id}`,
+      event_type: 'order.created',
+      order_id: 10 + id,
+      user_id: 7,
+      correlation_id: `corr-${id}`,
+      occurred_at: new Date('2026-02-01T10:00:00Z'),
+      received_at: new Date('2026-02-01T10:00:01Z'),
+      data
+    });
+
+    it('should stream events as CSV batch by batch and release the connection', async () => {
+      mockCursorRead
+        .mockResolvedValueOnce([loggedEvent(1, { totalAmount: 10 })])
+        .mockResolvedValueOnce([loggedEvent(2, { note: 'a,b' })])
+        .mockResolvedValueOnce([]);
+
+      const response = await request(app)
+        .get('/analytics/export/events?from=2026-02-01&to=2026-02-02&eventType=order.created')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/csv/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="events-2026-02-01-2026-02-02.csv"');
+      expect(response.text.split('\r\n')).toEqual([
+        'id,eventId,eventType,orderId,userId,correlationId,occurredAt,receivedAt,data',
+        '1,evt-1,order.created,11,7,corr-1,2026-02-01T10:00:00.000Z,2026-02-01T10:00:01.000Z,"{""totalAmount"":10}"',
+        '2,evt-2,order.created,12,7,corr-2,2026-02-01T10:00:00.000Z,2026-02-01T10:00:01.000Z,"{""note"":""a,b""}"',
+        ''
+      ]);
+      const cursor = mockClientQuery.mock.calls[0][0];
+      expect(cursor.values).toEqual(['2026-02-01', '2026-02-02', 'UTC', 'order.created']);
+      expect(mockCursorClose).toHaveBeenCalled();
+      expect(mockClientRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stream NDJSON and send only the header for an empty range', async () => {
+      mockCursorRead.mockResolvedValueOnce([loggedEvent(1, { totalAmount: 10 })]).mockResolvedValueOnce([]);
+
+      const ndjson = await request(app)
+        .get('/analytics/export/events?from=2026-02-01&to=2026-02-01&format=ndjson')
+        .set('x-user-role', 'admin');
+
+      expect(ndjson.status).toBe(200);
+      expect(JSON.parse(ndjson.text.trim())).toMatchObject({ id: 1, eventType: 'order.created', data: { totalAmount: 10 } });
+
+      mockCursorRead.mockResolvedValueOnce([]);
+      const empty = await request(app)
+        .get('/analytics/export/events?from=2026-02-01&to=2026-02-01')
+        .set('x-user-role', 'admin');
+
+      expect(empty.status).toBe(200);
+      expect(empty.text).toBe('id,eventId,eventType,orderId,userId,correlationId,occurredAt,receivedAt,data\r\n');
+    });
+
+    it('should reject invalid dates and the json format', async () => {
+      const badDate = await request(app)
+        .get('/analytics/export/events?from=02/01/2026')
+        .set('x-user-role', 'admin');
+      const json = await request(app)
+        .get('/analytics/export/events?format=json')
+        .set('x-user-role', 'admin');
+
+      expect(badDate.status).toBe(400);
+      expect(json.status).toBe(400);
+      expect(mockConnect).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 if the query fails before anything is sent', async () => {
+      mockCursorRead.mockRejectedValueOnce(new Error('connection lost'));
+
+      const response = await request(app)
+        .get('/analytics/export/events')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Internal server error');
+      expect(mockClientRelease).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  // ---- Outbox ----
+  describe('Outbox', () => {
+    const { relayOutbox } = require('../src/outbox');
+    const { closeReportingDay } = require('../src/derived');
+    const { publishMessages } = require('../src/kafka');
+    const outboxRow = (id, topic, eventType) => ({
+      id,
+      topic,
+      message_key: `key-${id}`,
+      event_type: eventType,
+      payload: { type: eventType }
+    });
+
+    beforeEach(() => {
+      publishMessages.mockClear();
+    });
+
+    it('should publish pending messages in order, one send per topic run, and mark them published', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+        .mockResolvedValueOnce({
+          rows: [
+            outboxRow('1', 'analytics.events', 'analytics.metrics_delta'),
+            outboxRow('2', 'analytics.events', 'analytics.product_milestone'),
+            outboxRow('3', 'analytics.alerts', 'alert.firing')
+          ]
+        })
+        .mockResolvedValueOnce({}) // markOutboxEventsPublished
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const published = await relayOutbox();
+
+      expect(published).toBe(3);
+      expect(mockClientQuery.mock.calls[2][1]).toEqual([100]);
+      expect(publishMessages).toHaveBeenCalledTimes(2);
+      expect(publishMessages.mock.calls[0]).toEqual(['analytics.events', [
+        { key: 'key-1', value: '{"type":"analytics.metrics_delta"}', headers: { 'x-event-id': '1', 'x-event-type': 'analytics.metrics_delta' } },
+        { key: 'key-2', value: '{"type":"analytics.product_milestone"}', headers: { 'x-event-id': '2', 'x-event-type': 'analytics.product_milestone' } }
+      ]]);
+      expect(publishMessages.mock.calls[1][0]).toBe('analytics.alerts');
+      expect(mockClientQuery.mock.calls[3][1]).toEqual([['1', '2', '3']]);
+      expect(mockClientQuery.mock.calls[4][0]).toBe('COMMIT');
+    });
+
+    it('should keep messages from a failed send pending and record the attempt', async () => {
+      publishMessages
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('Broker not available'));
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+        .mockResolvedValueOnce({
+          rows: [
+            outboxRow('1', 'analytics.events', 'analytics.metrics_delta'),
+            outboxRow('2', 'analytics.alerts', 'alert.firing'),
+            outboxRow('3', 'analytics.events', 'analytics.metrics_delta')
+          ]
+        })
+        .mockResolvedValueOnce({}) // markOutboxEventFailed
+        .mockResolvedValueOnce({}) // markOutboxEventsPublished
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const published = await relayOutbox();
+
+      // The send after the failure is not attempted, so order is kept
+      expect(published).toBe(1);
+      expect(publishMessages).toHaveBeenCalledTimes(2);
+      expect(mockClientQuery.mock.calls[3][1]).toEqual(['2', 'Broker not available']);
+      expect(mockClientQuery.mock.calls[4][1]).toEqual([['1']]);
+      expect(mockClientQuery.mock.calls[5][0]).toBe('COMMIT');
+    });
+
+    it('should not relay while another instance holds the lock', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ acquired: false }] })
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      expect(await relayOutbox()).toBe(0);
+      expect(publishMessages).not.toHaveBeenCalled();
+      expect(mockClientRelease).toHaveBeenCalled();
+    });
+
+    it('should queue the daily snapshot once the reporting day and grace period have passed', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] }) // getDailySnapshot (2026-01-31)
+        .mockResolvedValueOnce({ rows: [] }) // insertOutboxEvents
+        .mockResolvedValueOnce({ rows: [{ date: '2026-02-01', orders_created: 12, orders_confirmed: 9, revenue_confirmed: '450.5' }] })
+        .mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+
+      // 00:10 is still within the 15-minute grace period of 2026-02-01
+      const early = await closeReportingDay(new Date('2026-02-02T00:10:00Z'));
+      const closed = await closeReportingDay(new Date('2026-02-02T00:20:00Z'));
+      const again = await closeReportingDay(new Date('2026-02-02T00:30:00Z'));
+
+      expect([early, closed, again]).toEqual(['2026-01-31', '2026-02-01', null]);
+      expect(mockQuery).toHaveBeenCalledTimes(4);
+      expect(mockQuery.mock.calls[2][1]).toEqual(['2026-02-01']);
+      expect(JSON.parse(mockQuery.mock.calls[3][1][0])).toEqual([expect.objectContaining({
+        topic: 'analytics.events',
+        message_key: '2026-02-01',
+        event_type: 'analytics.daily_closed',
+        dedup_key: 'daily_closed:2026-02-01',
+        payload: expect.objectContaining({
+          date: '2026-02-01',
+          metrics: expect.objectContaining({ ordersCreated: 12, ordersConfirmed: 9, ordersShipped: 0, revenueConfirmed: '450.50' })
+        })
+      })]);
+    });
+  });
+
+  // ---- Live stream ----
+  describe('GET /analytics/stream', () => {
+    const { EventEmitter } = require('events');
+    const { openStream, handleNotification } = require('../src/stream');
+    const notify = (eventId) => handleNotification({ channel: 'analytics_updates', payload: eventId });
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const streamClient = (headers = {}) => ({
+      req: Object.assign(new EventEmitter(), { query: {}, get: name => headers[name] }),
+      res: { writeHead: jest.fn(), write: jest.fn(), end: jest.fn() }
+    });
+    const written = (res) => res.write.mock.calls.map(([chunk]) => chunk);
+    const queueUpdate = () => mockQuery
+      .mockResolvedValueOnce({ rows: [{ orders_created: '120', orders_confirmed: '80', revenue_confirmed: '5400.5' }] })
+      .mockResolvedValueOnce({ rows: [] }) // nothing today yet
+      .mockResolvedValueOnce({
+        rows: [{
+          hour_bucket: new Date('2026-02-01T10:00:00Z'), orders_created: '3', orders_confirmed: '2', orders_cancelled: '0',
+          orders_shipped: '0', revenue_confirmed: '90', revenue_cancelled: '0', revenue_reversed: '0', revenue_refunded: '0',
+          payment_success: '2', payment_failure: '0'
+        }]
+      });
+
+    it('should require admin role', async () => {
+      const response = await request(app).get('/analytics/stream');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should open with the current update', async () => {
+      // Notified while nobody was connected: loaded by the next client
+      notify('42');
+      queueUpdate();
+      const { req, res } = streamClient();
+
+      await openStream(req, res);
+
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      const [retry, update] = written(res);
+      expect(retry).toBe('retry: 3000\n\n');
+      expect(update).toMatch(/^id: 42\nevent: update\ndata: .*\n\n$/);
+      const data = JSON.parse(update.split('data: ')[1]);
+      expect(data.totals).toMatchObject({ ordersCreated: 120, ordersConfirmed: 80, revenueConfirmed: '5400.50', ordersShipped: 0 });
+      expect(data.today).toMatchObject({ ordersCreated: 0, revenueConfirmed: '0.00' });
+      expect(data.hour).toMatchObject({ hour: '2026-02-01T10:00:00.000Z', ordersCreated: 3, revenueConfirmed: '90.00' });
+      req.emit('close');
+    });
+
+    it('should resume without repeating the last update and fan out notifications', async () => {
+      notify('50');
+      queueUpdate();
+      const first = streamClient();
+      const resumed = streamClient({ 'Last-Event-ID': '50' });
+      await openStream(first.req, first.res);
+      await openStream(resumed.req, resumed.res);
+
+      expect(written(resumed.res)).toEqual(['retry: 3000\n\n']);
+
+      queueUpdate();
+      notify('51');
+      await flush();
+
+      // One load per notification, whatever the number of clients
+      expect(mockQuery).toHaveBeenCalledTimes(6);
+      expect(written(first.res)[2]).toMatch(/^id: 51\n/);
+      expect(written(resumed.res)[1]).toMatch(/^id: 51\n/);
+      first.req.emit('close');
+      resumed.req.emit('close');
+    });
+
+    it('should return 500 when the current update cannot be loaded', async () => {
+      notify('60');
+      mockQuery.mockRejectedValueOnce(new Error('connection refused'));
+
+      const response = await request(app)
+        .get('/analytics/stream')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Internal server error');
+    });
+  });
+
+  // ---- Alerts ----
+  describe('Alerts', () => {
+    const { evaluateAlerts } = require('../src/alerts');
+    // Messages queued in the outbox by an insertOutboxEvents call
+    const queued = (call) => JSON.parse(call[1][0]);
+    const ruleRow = (overrides = {}) => ({
+      id: 2,
+      name: 'Payment failures',
+      metric: 'payment_failure_rate',
+      evaluation: 'threshold',
+      condition: 'above',
+      threshold: '10.0000',
+      window_minutes: 60,
+      baseline_days: 14,
+      min_attempts: 20,
+      enabled: true,
+      created_at: new Date('2026-02-20T10:00:00Z'),
+      updated_at: new Date('2026-02-20T10:00:00Z'),
+      ...overrides
+    });
+    const alertRow = (overrides = {}) => ({
+      id: 8,
+      rule_id: 2,
+      rule_name: 'Payment failures',
+      metric: 'payment_failure_rate',
+      status: 'firing',
+      value: '25.0000',
+      bound: '10.0000',
+      message: 'payment_failure_rate over the last 60 minutes is 25.00, threshold above 10.00',
+      fired_at: new Date('2026-02-26T10:00:00Z'),
+      last_evaluated_at: new Date('2026-02-26T10:00:00Z'),
+      resolved_at: null,
+      ...overrides
+    });
+
+    it('should list alerts with filters', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [alertRow()] });
+
+      const response = await request(app)
+        .get('/analytics/alerts?status=firing&ruleId=2&limit=500')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toMatchObject({ id: 8, ruleId: 2, ruleName: 'Payment failures', status: 'firing', value: 25 });
+      expect(mockQuery.mock.calls[0][1]).toEqual(['firing', 2, 100, 0]);
+    });
+
+    it('should reject an invalid status', async () => {
+      const response = await request(app)
+        .get('/analytics/alerts?status=open')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should create a rule with defaults', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [ruleRow({ metric: 'orders_created', condition: 'below', threshold: '1.0000', window_minutes: 30, min_attempts: 0 })] });
+
+      const response = await request(app)
+        .post('/analytics/alerts/rules')
+        .set('x-user-role', 'admin')
+        .send({ name: 'No orders', metric: 'orders_created', condition: 'below', threshold: 1, windowMinutes: 30 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ metric: 'orders_created', threshold: 1, windowMinutes: 30 });
+      expect(mockQuery.mock.calls[0][1]).toEqual(['No orders', 'orders_created', 'threshold', 'below', 1, 30, 14, 0, true]);
+    });
+
+    it('should reject unknown metrics and non-positive anomaly thresholds', async () => {
+      const unknownMetric = await request(app)
+        .post('/analytics/alerts/rules')
+        .set('x-user-role', 'admin')
+        .send({ name: 'Refunds', metric: 'refunds', condition: 'above', threshold: 5 });
+      const anomaly = await request(app)
+        .post('/analytics/alerts/rules')
+        .set('x-user-role', 'admin')
+        .send({ name: 'Revenue dip', metric: 'revenue', evaluation: 'anomaly', condition: 'below', threshold: 0 });
+
+      expect(unknownMetric.status).toBe(400);
+      expect(anomaly.status).toBe(400);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when updating an unknown rule', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .put('/analytics/alerts/rules/99')
+        .set('x-user-role', 'admin')
+        .send({ name: 'Payment failures', metric: 'payment_failure_rate', condition: 'above', threshold: 10 });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should fire an alert and queue it for publishing when a threshold is breached', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+        .mockResolvedValueOnce({ rows: [ruleRow()] })
+        .mockResolvedValueOnce({ rows: [] }) // no firing alerts
+        .mockResolvedValueOnce({ rows: [{ value: '25.0', payment_attempts: '40' }] })
+        .mockResolvedValueOnce({ rows: [alertRow()] })
+        .mockResolvedValueOnce({}) // insertOutboxEvents
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const transitions = await evaluateAlerts();
+
+      expect(transitions).toHaveLength(1);
+      expect(mockClientQuery.mock.calls[5][1]).toEqual([2, 25, 10, expect.stringContaining('is 25.00')]);
+      // Queued in the same transaction, keyed by rule
+      expect(mockClientQuery.mock.calls[6][0]).toContain('INSERT INTO outbox_events');
+      expect(queued(mockClientQuery.mock.calls[6])).toEqual([expect.objectContaining({
+        topic: 'analytics.alerts',
+        message_key: '2',
+        event_type: 'alert.firing',
+        payload: expect.objectContaining({ type: 'alert.firing', alertId: 8, ruleId: 2, value: 25, bound: 10, condition: 'above' })
+      })]);
+      expect(mockClientQuery.mock.calls[7][0]).toBe('COMMIT');
+    });
+
+    it('should resolve a firing alert once the rule no longer breaches', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+        .mockResolvedValueOnce({ rows: [ruleRow()] })
+        .mockResolvedValueOnce({ rows: [alertRow()] })
+        .mockResolvedValueOnce({ rows: [{ value: '4.0', payment_attempts: '50' }] })
+        .mockResolvedValueOnce({ rows: [alertRow({ status: 'resolved', value: '4.0000', resolved_at: new Date('2026-02-26T11:00:00Z') })] })
+        .mockResolvedValueOnce({}) // insertOutboxEvents
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await evaluateAlerts();
+
+      expect(mockClientQuery.mock.calls[5][0]).toContain("SET status = 'resolved'");
+      expect(queued(mockClientQuery.mock.calls[6])[0].payload).toMatchObject({
+        type: 'alert.resolved', alertId: 8, resolvedAt: '2026-02-26T11:00:00.000Z'
+      });
+    });
+
+    it('should keep state when the failure rate has too few attempts', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+        .mockResolvedValueOnce({ rows: [ruleRow()] })
+        .mockResolvedValueOnce({ rows: [alertRow()] })
+        .mockResolvedValueOnce({ rows: [{ value: '0.0', payment_attempts: '3' }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const transitions = await evaluateAlerts();
+
+      expect(transitions).toEqual([]);
+      // Nothing queued
+      expect(mockClientQuery.mock.calls[5][0]).toBe('COMMIT');
+    });
+
+    it('should fire an anomaly rule below the same-hour baseline', async () => {
+      const series = [40, 100, 110, 90, 100].map((value, daysBack) => ({
+        days_back: daysBack, value: String(value), payment_attempts: '0'
+      }));
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+        .mockResolvedValueOnce({ rows: [ruleRow({ metric: 'revenue', evaluation: 'anomaly', condition: 'below', threshold: '3.0000', baseline_days: 4, min_attempts: 0 })] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: series })
+        .mockResolvedValueOnce({ rows: [alertRow({ metric: 'revenue', value: '40.0000' })] })
+        .mockResolvedValueOnce({}) // insertOutboxEvents
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await evaluateAlerts();
+
+      // Baseline mean 100, sample standard deviation ~8.16: bound ~75.5
+      expect(mockClientQuery.mock.calls[4][1]).toEqual([4, 'UTC']);
+      const [, value, bound] = mockClientQuery.mock.calls[5][1];
+      expect(value).toBe(40);
+      expect(bound).toBeCloseTo(75.5, 1);
+      expect(queued(mockClientQuery.mock.calls[6])[0].event_type).toBe('alert.firing');
+    });
+
+    it('should skip evaluation while another instance holds the lock', async () => {
+      mockClientQuery
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ acquired: false }] })
+        .mockResolvedValueOnce({}); // ROLLBACK
+
+      const transitions = await evaluateAlerts();
+
+      expect(transitions).toBeNull();
+      expect(mockClientQuery).toHaveBeenCalledTimes(3);
+      expect(mockClientRelease).toHaveBeenCalled();
+    });
+  });
+
+  // ---- Saved reports ----
+  describe('Saved reports', () => {
+    const crypto = require('crypto');
+    const originalFetch = global.fetch;
+    const definition = {
+      name: 'Weekly revenue',
+      schedule: '0 8 * * 1',
+      sections: [{ type: 'topCustomers', params: { limit: 10 } }],
+      webhookUrl: 'https://hooks.example.com/reports'
+    };
+    const reportRow = {
+      id: 3,
+      name: 'Weekly revenue',
+      schedule: '0 8 * * 1',
+      sections: definition.sections,
+      format: 'json',
+      webhook_url: definition.webhookUrl,
+      enabled: true,
+      next_run_at: new Date('2026-03-02T08:00:00Z'),
+      last_run_at: null,
+      created_at: new Date('2026-02-25T10:00:00Z'),
+      updated_at: new Date('2026-02-25T10:00:00Z')
+    };
+    const deliveryRow = (status, attempts, responseStatus, error) => ({
+      id: 11,
+      report_id: 3,
+      trigger: 'manual',
+      scheduled_for: new Date('2026-02-26T10:00:00Z'),
+      status,
+      attempts,
+      response_status: responseStatus,
+      error,
+      payload_bytes: 200,
+      created_at: new Date('2026-02-26T10:00:00Z'),
+      completed_at: new Date('2026-02-26T10:00:01Z')
+    });
+
+    beforeEach(() => {
+      global.fetch = jest.fn();
+    });
+
+    afterAll(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should create a report with its next scheduled run', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [reportRow] });
+
+      const response = await request(app)
+        .post('/analytics/reports')
+        .set('x-user-role', 'admin')
+        .send(definition);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ id: 3, webhookUrl: definition.webhookUrl, nextRunAt: '2026-03-02T08:00:00.000Z' });
+      const params = mockQuery.mock.calls[0][1];
+      expect(params.slice(0, 6)).toEqual([
+        'Weekly revenue', '0 8 * * 1', JSON.stringify(definition.sections), 'json', definition.webhookUrl, true
+      ]);
+      expect(params[6]).toBeInstanceOf(Date);
+      expect(params[6].getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reject an invalid cron expression', async () => {
+      const response = await request(app)
+        .post('/analytics/reports')
+        .set('x-user-role', 'admin')
+        .send({ ...definition, schedule: 'every monday' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('schedule');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown section types and params', async () => {
+      const unknownType = await request(app)
+        .post('/analytics/reports')
+        .set('x-user-role', 'admin')
+        .send({ ...definition, sections: [{ type: 'screenshots' }] });
+      const unknownParam = await request(app)
+        .post('/analytics/reports')
+        .set('x-user-role', 'admin')
+        .send({ ...definition, sections: [{ type: 'overview', params: { days: 7 } }] });
+
+      expect(unknownType.status).toBe(400);
+      expect(unknownParam.status).toBe(400);
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should reject a non-http webhook URL', async () => {
+      const response = await request(app)
+        .post('/analytics/reports')
+        .set('x-user-role', 'admin')
+        .send({ ...definition, webhookUrl: 'file:///etc/passwd' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require admin role', async () => {
+      const response = await request(app).get('/analytics/reports');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 when updating an unknown report', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .put('/analytics/reports/99')
+        .set('x-user-role', 'admin')
+        .send({ ...definition, enabled: false });
+
+      expect(response.status).toBe(404);
+      expect(mockQuery.mock.calls[0][1][7]).toBeNull();
+    });
+
+    it('should delete a report', async () => {
+      mockQuery.mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .delete('/analytics/reports/3')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ id: 3 });
+    });
+
+    it('should deliver a report with a signed request', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [reportRow] })
+        .mockResolvedValueOnce({ rows: [{ id: 11 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [deliveryRow('delivered', 1, 200, null)] });
+      global.fetch.mockResolvedValueOnce({ ok: true, status: 200 });
+
+      const response = await request(app)
+        .post('/analytics/reports/3/run')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: 11, status: 'delivered', attempts: 1 });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe(definition.webhookUrl);
+      expect(options.headers['x-delivery-id']).toBe('11');
+      const expected = crypto.createHmac('sha256', 'test-secret')
+        .update(`${options.headers['x-signature-timestamp']}.${options.body}`)
+        .digest('hex');
+      expect(options.headers['x-signature']).toBe(`sha256=${expected}`);
+      expect(JSON.parse(options.body)).toMatchObject({
+        report: { id: 3, name: 'Weekly revenue' },
+        sections: [{ type: 'topCustomers', params: { limit: 10 }, data: [] }]
+      });
+      expect(mockQuery.mock.calls[3][1].slice(1, 5)).toEqual(['delivered', 1, 200, null]);
+    });
+
+    it('should retry server errors and record a failed delivery', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [reportRow] })
+        .mockResolvedValueOnce({ rows: [{ id: 11 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [deliveryRow('failed', 3, 503, 'Webhook responded with 503')] });
+      global.fetch.mockResolvedValue({ ok: false, status: 503 });
+
+      const response = await request(app)
+        .post('/analytics/reports/3/run')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(mockQuery.mock.calls[3][1].slice(1, 5)).toEqual(['failed', 3, 503, 'Webhook responded with 503']);
+    });
+
+    it('should not retry client errors', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [reportRow] })
+        .mockResolvedValueOnce({ rows: [{ id: 11 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [deliveryRow('failed', 1, 410, 'Webhook responded with 410')] });
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 410 });
+
+      await request(app)
+        .post('/analytics/reports/3/run')
+        .set('x-user-role', 'admin');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 when running an unknown report', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/analytics/reports/99/run')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(404);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should list a report\'s deliveries', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [deliveryRow('delivered', 1, 200, null)] });
+
+      const response = await request(app)
+        .get('/analytics/reports/3/deliveries?limit=500')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toMatchObject({ reportId: 3, status: 'delivered', responseStatus: 200 });
+      expect(mockQuery.mock.calls[0][1]).toEqual([3, 100]);
+    });
+  });
+
+  // ---- Quarantine ----
+  describe('GET /analytics/quarantine', () => {
+    it('should list quarantined events with filters', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          id: 4, reason: 'validation_failed', error_message: 'Invalid orderId',
+          topic: 'order.events', kafka_partition: 0, kafka_offset: '1042',
+          message_key: '17', event_type: 'order.created', correlation_id: 'corr-1',
+          status: 'quarantined', redrive_attempts: 0, last_redrive_error: null,
+          quarantined_at: new Date('2026-02-17T10:00:00Z'), redriven_at: null
+        }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/quarantine?status=quarantined&reason=validation_failed&limit=20')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toMatchObject({
+        id: 4,
+        reason: 'validation_failed',
+        topic: 'order.events',
+        partition: 0,
+        offset: '1042',
+        status: 'quarantined'
+      });
+      expect(response.body.data[0].rawPayload).toBeUndefined();
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('FROM quarantined_events'),
+        ['quarantined', 'validation_failed', 20, 0]
+      );
+    });
+
+    it('should reject invalid status filter', async () => {
+      const response = await request(app)
+        .get('/analytics/quarantine?status=deleted')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should require admin role', async () => {
+      const response = await request(app).get('/analytics/quarantine');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /analytics/quarantine/:id', () => {
+    it('should return raw payload and headers', async () => {
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          id: 4, reason: 'invalid_json', error_message: 'Unexpected token',
+          topic: 'order.events', kafka_partition: 1, kafka_offset: '7',
+          message_key: null, raw_payload: '{"type":', headers: { 'x-correlation-id': 'corr-1' },
+          event_type: null, correlation_id: 'corr-1', status: 'quarantined',
+          redrive_attempts: 0, last_redrive_error: null,
+          quarantined_at: new Date('2026-02-17T10:00:00Z'), redriven_at: null
+        }]
+      });
+
+      const response = await request(app)
+        .get('/analytics/quarantine/4')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rawPayload).toBe('{"type":');
+      expect(response.body.data.headers).toEqual({ 'x-correlation-id': 'corr-1' });
+    });
+
+    it('should return 404 when not found', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/analytics/quarantine/999')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject non-numeric id', async () => {
+      const response = await request(app)
+        .get('/analytics/quarantine/abc')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /analytics/quarantine/redrive', () => {
+    it('should validate ids', async () => {
+      const response = await request(app)
+        .post('/analytics/quarantine/redrive')
+        .set('x-user-role', 'admin')
+        .send({ ids: [] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should report per-entry outcomes', async () => {
+      // id 1: not found
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+      // id 2: payload still unparseable
+      mockQuery.mockResolvedValueOnce({
+        rows: [{
+          id: 2, reason: 'invalid_json', error_message: 'Unexpected token',
+          topic: 'order.events', kafka_partition: 0, kafka_offset: '8',
+          message_key: null, raw_payload: '{"type":', headers: {},
+          event_type: null, correlation_id: null, status: 'quarantined',
+          redrive_attempts: 0, last_redrive_error: null,
+          quarantined_at: new Date('2026-02-17T10:00:00Z'), redriven_at: null
+        }]
+      });
+      // markQuarantinedEventRedriveFailed
+      mockQuery.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/analytics/quarantine/redrive')
+        .set('x-user-role', 'admin')
+        .send({ ids: [1, 2] });
+
+      expect(response.status).toBe(200);
+      const results = response.body.data.results;
+      expect(results[0]).toMatchObject({ id: 1, outcome: 'not_found' });
+      expect(results[1]).toMatchObject({ id: 2, outcome: 'failed' });
+      expect(mockQuery.mock.calls[2][0]).toContain("status = 'redrive_failed'");
+    });
+  });
+
+  // ---- Metrics Rebuild ----
+  describe('Metrics rebuild', () => {
+    it('should report idle status before any rebuild', async () => {
+      const response = await request(app)
+        .get('/analytics/rebuild/status')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        status: 'idle',
+        processedEvents: 0,
+        progress: 0
+      });
+    });
+
+    it('should return 409 when another instance holds the rebuild lock', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ acquired: false }] });
+
+      const response = await request(app)
+        .post('/analytics/rebuild')
+        .set('x-user-role', 'admin');
+
+      expect(response.status).toBe(409);
+      expect(response.body.success).toBe(false);
+      expect(mockClientQuery.mock.calls[0][0]).toContain('pg_try_advisory_lock');
+      expect(mockClientRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require admin role', async () => {
+      const response = await request(app).post('/analytics/rebuild');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should record migrations that can only be backfilled by a rebuild', async () => {
+      const { initDatabase } = require('../src/db');
+      const files = require('fs').readdirSync(require('path').join(__dirname, '..', 'migrations')).filter(f => f.endsWith('.sql'));
+      mockQuery
+        .mockResolvedValueOnce({ rows: [] }) // CREATE TABLE schema_migrations
+        .mockResolvedValueOnce({ rows: [] }) // ADD COLUMN rebuild_pending
+        .mockResolvedValueOnce({ rows: files.filter(f => !f.startsWith('007_')).map(filename => ({ filename })) })
+        .mockResolvedValueOnce({ rows: [] }) // 007
+        .mockResolvedValueOnce({ rows: [] }) // INSERT INTO schema_migrations
+        .mockResolvedValueOnce({ rows: [{ pending: true }] });
+
+      await expect(initDatabase()).resolves.toEqual({ rebuildPending: true });
+      expect(mockQuery.mock.calls[4][1]).toEqual(['007_extend_hourly_order_counts.sql', true]);
+    });
+  });
+
+  // ---- Correlation ID ----
+  describe('Correlation ID', () => {
+    it('should return correlation ID in response headers', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+      const response = await request(app).get('/health');
+
+      expect(response.headers['x-correlation-id']).toBeDefined();
+    });
+
+    it('should forward provided correlation ID', async () => {
+      mockQuery.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+      const response = await request(app)
+        .get('/health')
+        .set('x-correlation-id', 'test-corr-id');
+
+      expect(response.headers['x-correlation-id']).toBe('test-corr-id');
     });
   });
 });
@@ -458,7 +2568,8 @@ describe('Event Processor', () => {
   });
 
   describe('processEvent', () => {
-    const { processEvent } = require('../src/processor');
+    const { processEvent, processBatch } = require('../src/processor');
+    const { register } = require('../src/metrics');
 
     it('should process order.created event in a transaction', async () => {
       // BEGIN
@@ -469,6 +2580,14 @@ describe('Event Processor', () => {
       mockClientQuery.mockResolvedValueOnce({ rows: [] });
       // upsertHourlyMetrics
       mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // upsertUserMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // insertOutboxEvents (metric delta)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
       // COMMIT
       mockClientQuery.mockResolvedValueOnce({ rows: [] });
 
@@ -481,11 +2600,12 @@ describe('Event Processor', () => {
 
       const result = await processEvent(event, 'test-corr');
       expect(result).toBe(true);
-      // BEGIN + insertEvent + dailyMetrics + hourlyMetrics + COMMIT = 5
-      expect(mockClientQuery).toHaveBeenCalledTimes(5);
+      // BEGIN + insertEvent + dailyMetrics + hourlyMetrics + userMetrics + orderState + outbox + notify + COMMIT = 9
+      expect(mockClientQuery).toHaveBeenCalledTimes(9);
       // Verify BEGIN and COMMIT were called
       expect(mockClientQuery.mock.calls[0][0]).toBe('BEGIN');
-      expect(mockClientQuery.mock.calls[4][0]).toBe('COMMIT');
+      expect(mockClientQuery.mock.calls[7]).toEqual(['SELECT pg_notify($1, $2)', ['analytics_updates', '1']]);
+      expect(mockClientQuery.mock.calls[8][0]).toBe('COMMIT');
       // Verify client was released
       expect(mockClientRelease).toHaveBeenCalledTimes(1);
     });
@@ -499,9 +2619,30 @@ describe('Event Processor', () => {
       mockClientQuery.mockResolvedValueOnce({ rows: [] });
       // upsertHourlyMetrics
       mockClientQuery.mockResolvedValueOnce({ rows: [] });
-      // upsertProductMetrics for item 1
+      // upsertCurrencyRevenue + upsertHourlyCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // upsertProductMetrics + upsertProductDailyMetrics + upsertProductCurrencyRevenue for item 1
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // upsertProductMetrics + upsertProductDailyMetrics + upsertProductCurrencyRevenue for item 2
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
       mockClientQuery.mockResolvedValueOnce({ rows: [] });
-      // upsertProductMetrics for item 2
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // upsertProductPairs
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // getCancelledConfirmation (not cancelled)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // upsertUserMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // getProductTotals (no milestone crossed)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] });
+      // notifyMetricsUpdated
       mockClientQuery.mockResolvedValueOnce({ rows: [] });
       // COMMIT
       mockClientQuery.mockResolvedValueOnce({ rows: [] });
@@ -515,41 +2656,164 @@ describe('Event Processor', () => {
             { productId: 1, quantity: 2, price: 29.99 },
             { productId: 3, quantity: 1, price: 15.00 }
           ],
-          totalAmount: 74.98
+          totalAmount: 74.98,
+          currency: 'eur'
         }
       };
 
       const result = await processEvent(event, 'test-corr');
       expect(result).toBe(true);
-      // BEGIN + insertEvent + daily + hourly + 2 product metrics + COMMIT = 7
-      expect(mockClientQuery).toHaveBeenCalledTimes(7);
+      // BEGIN + insertEvent + daily + hourly + daily and hourly currency revenue
+      // + 2 x (product + product daily + product currency) + product pairs + cancellation lookup
+      // + userMetrics + orderState + product totals + outbox + notify + COMMIT = 20
+      expect(mockClientQuery).toHaveBeenCalledTimes(20);
+      // Revenue is also kept in the order's own currency, per day and per hour
+      const currencyCall = mockClientQuery.mock.calls[4];
+      expect(currencyCall[0]).toContain('INSERT INTO daily_revenue_by_currency');
+      expect(currencyCall[1].slice(1)).toEqual(['EUR', 1, 74.98, 0, 0]);
+      expect(mockClientQuery.mock.calls[5][0]).toContain('INSERT INTO hourly_revenue_by_currency');
+      expect(mockClientQuery.mock.calls[5][1].slice(2)).toEqual(['EUR', 1, 74.98, 0, 0]);
+      // Per-day product row: date, productId, quantity, revenue
+      const productDailyCall = mockClientQuery.mock.calls[7];
+      expect(productDailyCall[0]).toContain('INSERT INTO product_daily_metrics');
+      expect(productDailyCall[1].slice(1)).toEqual([1, 2, 59.98]);
+      // and its revenue in the order's currency
+      expect(mockClientQuery.mock.calls[8][0]).toContain('INSERT INTO product_daily_revenue_by_currency');
+      expect(mockClientQuery.mock.calls[8][1].slice(1)).toEqual([1, 'EUR', 59.98, 0]);
+      // One basket of the order's distinct products
+      expect(mockClientQuery.mock.calls[12][0]).toContain('INSERT INTO product_pairs');
+      expect(mockClientQuery.mock.calls[12][1]).toEqual(['[[1,3]]']);
+      expect(mockClientQuery.mock.calls[15][1][5]).toBe('EUR');
+      expect(mockClientRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should process order.cancelled event', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 3 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // getCancelledConfirmation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertUserMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: 'order.cancelled',
+        orderId: 3,
+        userId: 10,
+        data: { reason: 'payment failed', cancelledBy: 'system', totalAmount: 59.98 }
+      };
+
+      const result = await processEvent(event, 'test-corr');
+      expect(result).toBe(true);
+      // BEGIN + insertEvent + dailyMetrics + hourlyMetrics + daily and hourly currency revenue
+      // + cancellation lookup + userMetrics + orderState + outbox + notify + COMMIT = 12
+      expect(mockClientQuery).toHaveBeenCalledTimes(12);
       expect(mockClientRelease).toHaveBeenCalledTimes(1);
     });
 
-    it('should process order.cancelled event', async () => {
+    it('should reverse the confirmed items of a cancelled order', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 31 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({
+        rows: [{
+          confirmed_id: 30,
+          data: { items: [{ productId: 1, quantity: 2, price: 29.99 }], totalAmount: 59.98, currency: 'EUR' },
+          cancelled_id: 31,
+          cancelled_at: new Date('2026-02-03T08:00:00.000Z')
+        }]
+      }); // getCancelledConfirmation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductCancellation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductDailyCancellation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // reverseProductPairs
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: 'order.cancelled',
+        orderId: 30,
+        timestamp: '2026-02-03T08:00:00.000Z',
+        data: { reason: 'customer request', cancelledBy: 'user', totalAmount: 59.98 }
+      };
+
+      await processEvent(event, 'test-corr');
+
+      expect(mockClientQuery).toHaveBeenCalledTimes(15);
+      expect(mockClientQuery.mock.calls[6][1]).toEqual([30]);
+      const productCall = mockClientQuery.mock.calls[7];
+      expect(productCall[0]).toContain('quantity_cancelled = product_metrics.quantity_cancelled');
+      expect(productCall[1]).toEqual([1, 2, 59.98]);
+      // Bucketed by the cancellation date
+      expect(mockClientQuery.mock.calls[8][1]).toEqual(['2026-02-03', 1, 2, 59.98]);
+      // in the currency the order was confirmed in
+      expect(mockClientQuery.mock.calls[9][1]).toEqual(['2026-02-03', 1, 'EUR', 0, 59.98]);
+      // Its basket is taken back out of the co-purchase counts
+      expect(mockClientQuery.mock.calls[10][0]).toContain('UPDATE product_pairs');
+      expect(mockClientQuery.mock.calls[10][1]).toEqual([JSON.stringify([[1]])]);
+    });
+
+    it('should reverse items when the confirmation is logged after the cancellation', async () => {
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
-      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 3 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 33 }] }); // insertEvent
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductPairs
+      mockClientQuery.mockResolvedValueOnce({
+        rows: [{
+          confirmed_id: 33,
+          data: { items: [{ productId: 4, quantity: 1, price: 10 }], totalAmount: 10 },
+          cancelled_id: 32,
+          cancelled_at: new Date('2026-02-03T08:00:00.000Z')
+        }]
+      }); // getCancelledConfirmation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductCancellation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductDailyCancellation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // reverseProductPairs
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // getProductTotals
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
 
       const event = {
-        type: 'order.cancelled',
-        orderId: 3,
-        userId: 10,
-        data: { reason: 'payment failed', cancelledBy: 'system', totalAmount: 59.98 }
+        type: 'order.confirmed',
+        orderId: 32,
+        timestamp: '2026-02-03T07:59:00.000Z',
+        data: { items: [{ productId: 4, quantity: 1, price: 10 }], totalAmount: 10 }
       };
 
-      const result = await processEvent(event, 'test-corr');
-      expect(result).toBe(true);
-      // BEGIN + insertEvent + dailyMetrics + COMMIT = 4
-      expect(mockClientQuery).toHaveBeenCalledTimes(4);
-      expect(mockClientRelease).toHaveBeenCalledTimes(1);
+      await processEvent(event, 'test-corr');
+
+      expect(mockClientQuery).toHaveBeenCalledTimes(20);
+      expect(mockClientQuery.mock.calls[11][1]).toEqual([4, 1, 10]);
+      expect(mockClientQuery.mock.calls[14][0]).toContain('UPDATE product_pairs');
     });
 
     it('should process order.shipped event', async () => {
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
       mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 4 }] }); // insertEvent
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
 
       const event = {
@@ -561,7 +2825,7 @@ describe('Event Processor', () => {
 
       const result = await processEvent(event, 'test-corr');
       expect(result).toBe(true);
-      expect(mockClientQuery).toHaveBeenCalledTimes(4);
+      expect(mockClientQuery).toHaveBeenCalledTimes(8);
       expect(mockClientRelease).toHaveBeenCalledTimes(1);
     });
 
@@ -569,18 +2833,32 @@ describe('Event Processor', () => {
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
       mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 5 }] }); // insertEvent
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertPaymentAttempt
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertPaymentDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertPaymentCurrencyAmount
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
 
       const event = {
         type: 'payment.authorized',
         orderId: 5,
         userId: 10,
-        data: { amount: 99.99, currency: 'USD', transactionId: 'txn-123' }
+        data: { amount: 99.99, currency: 'eur', transactionId: 'txn-123', paymentMethod: 'card' }
       };
 
       const result = await processEvent(event, 'test-corr');
       expect(result).toBe(true);
-      expect(mockClientQuery).toHaveBeenCalledTimes(4);
+      expect(mockClientQuery).toHaveBeenCalledTimes(11);
+
+      // orderId, userId, method, authorized amount, failed amount, authorizations, failures, reason
+      expect(mockClientQuery.mock.calls[4][1].slice(0, 8)).toEqual([5, 10, 'card', 99.99, 0, 1, 0, null]);
+      expect(mockClientQuery.mock.calls[5][1].slice(1)).toEqual(['card', 'authorized', '', 99.99]);
+      // The amount is also kept in the payment's own currency
+      expect(mockClientQuery.mock.calls[6][0]).toContain('INSERT INTO payment_daily_amounts_by_currency');
+      expect(mockClientQuery.mock.calls[6][1].slice(1)).toEqual(['card', 'authorized', '', 'EUR', 99.99]);
       expect(mockClientRelease).toHaveBeenCalledTimes(1);
     });
 
@@ -588,6 +2866,14 @@ describe('Event Processor', () => {
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
       mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 6 }] }); // insertEvent
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertPaymentAttempt
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertPaymentDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertPaymentCurrencyAmount
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertUserMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
 
       const event = {
@@ -599,10 +2885,47 @@ describe('Event Processor', () => {
 
       const result = await processEvent(event, 'test-corr');
       expect(result).toBe(true);
-      expect(mockClientQuery).toHaveBeenCalledTimes(4);
+      expect(mockClientQuery).toHaveBeenCalledTimes(12);
+
+      // Without a method the attempt is bucketed as unknown; the free-text reason is kept
+      expect(mockClientQuery.mock.calls[4][1].slice(0, 8)).toEqual([6, 10, null, 0, 0, 0, 1, 'Insufficient funds']);
+      expect(mockClientQuery.mock.calls[5][1].slice(1)).toEqual(['unknown', 'failed', 'Insufficient funds', 0]);
       expect(mockClientRelease).toHaveBeenCalledTimes(1);
     });
 
+    it('should record a partial refund as refunded revenue, deduplicated per refund', async () => {
+      const { EVENT_TYPES } = require('@florea-alex/order-events-schemas');
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 17 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: EVENT_TYPES.PAYMENT_PARTIALLY_REFUNDED,
+        orderId: 17,
+        userId: 10,
+        timestamp: '2026-02-06T09:00:00.000Z',
+        data: { refundAmount: 15.5, amount: 40, currency: 'USD' }
+      };
+
+      const result = await processEvent(event, 'test-corr');
+
+      expect(result).toBe(true);
+      expect(mockClientQuery).toHaveBeenCalledTimes(9);
+      // A second refund of the same order gets its own key
+      expect(mockClientQuery.mock.calls[1][1][7]).toBe(`${EVENT_TYPES.PAYMENT_PARTIALLY_REFUNDED}:17:2026-02-06T09:00:00.000Z`);
+      // The refunded amount, not the payment amount, as revenue_refunded
+      expect(mockClientQuery.mock.calls[2][1]).toEqual(['2026-02-06', 0, 0, 0, 0, 0, 0, 15.5, 0, 0]);
+      expect(mockClientQuery.mock.calls[3][1].slice(2)).toEqual([0, 0, 0, 0, 0, 0, 15.5, 0, 0]);
+      expect(mockClientQuery.mock.calls[5][1].slice(2)).toEqual(['USD', 0, 0, 0, 15.5]);
+      expect(mockClientQuery.mock.calls[8][0]).toBe('COMMIT');
+    });
+
     it('should skip duplicate events (idempotency) and rollback', async () => {
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
       // insertEvent returns no rows (conflict/duplicate)
@@ -623,6 +2946,11 @@ describe('Event Processor', () => {
       expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
       // Client is always released
       expect(mockClientRelease).toHaveBeenCalledTimes(1);
+
+      const metric = await register.getSingleMetric('analytics_events_processed_total').get();
+      expect(metric.values).toContainEqual(expect.objectContaining({
+        labels: { event_type: 'order.created', outcome: 'duplicate' }
+      }));
     });
 
     it('should rollback and release client on error', async () => {
@@ -647,27 +2975,682 @@ describe('Event Processor', () => {
       expect(mockClientRelease).toHaveBeenCalledTimes(1);
     });
 
-    it('should use date_trunc in hourly metrics SQL (not JS hour bucket)', async () => {
+    it('should use date_trunc on the event time in hourly metrics SQL (not JS hour bucket)', async () => {
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
       mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 8 }] }); // insertEvent
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertUserMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
       mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
 
       const event = {
         type: 'order.created',
         orderId: 8,
         userId: 10,
+        timestamp: '2026-02-01T10:42:00.000Z',
         data: { items: [], totalAmount: 0 }
       };
 
       await processEvent(event, 'test-corr');
 
-      // The hourly metrics query (4th call, index 3) should use date_trunc
+      // The hourly metrics query (4th call, index 3) should truncate the event time in SQL
       const hourlyCall = mockClientQuery.mock.calls[3];
-      expect(hourlyCall[0]).toContain("date_trunc('hour', NOW())");
-      // Should only have 2 params (order_count, revenue), not 3 (no hourBucket)
-      expect(hourlyCall[1]).toHaveLength(2);
+      expect(hourlyCall[0]).toContain("date_trunc('hour', $1::timestamptz AT TIME ZONE $2)");
+      expect(hourlyCall[0]).not.toContain('NOW()');
+      // Params: occurredAt, timezone, then the same nine increments as daily_metrics
+      expect(hourlyCall[1]).toEqual([new Date('2026-02-01T10:42:00.000Z'), 'UTC', 1, 0, 0, 0, 0, 0, 0, 0, 0]);
+    });
+
+    it('should bucket late-arriving events on the day they occurred', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 9 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: 'order.shipped',
+        orderId: 9,
+        userId: 10,
+        timestamp: '2025-12-31T23:59:59.000Z',
+        data: { trackingNumber: '1Z999AA1' }
+      };
+
+      await processEvent(event, 'test-corr');
+
+      // insertEvent stores the occurrence time alongside the payload
+      expect(mockClientQuery.mock.calls[1][1][5]).toEqual(new Date('2025-12-31T23:59:59.000Z'));
+      // upsertDailyMetrics targets the event's date, not today
+      expect(mockClientQuery.mock.calls[2][1][0]).toBe('2025-12-31');
+    });
+
+    it('should record the order lifecycle transition in order_states', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 10 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // getCancelledConfirmation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertUserMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: 'order.cancelled',
+        orderId: 10,
+        userId: 12,
+        timestamp: '2026-02-03T08:00:00.000Z',
+        data: { reason: 'customer request', cancelledBy: 'user', totalAmount: 40 }
+      };
+
+      await processEvent(event, 'test-corr');
+
+      const stateCall = mockClientQuery.mock.calls[8];
+      expect(stateCall[0]).toContain('INSERT INTO order_states');
+      expect(stateCall[0]).toContain('cancelled_at = LEAST(order_states.cancelled_at, EXCLUDED.cancelled_at)');
+      // orderId, userId, initial status, amount and currency (only from created/confirmed), occurredAt
+      expect(stateCall[1]).toEqual([10, 12, 'cancelled', null, new Date('2026-02-03T08:00:00.000Z'), null]);
+    });
+
+    it('should track payment-only orders as pending', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 11 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertPaymentAttempt
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertPaymentDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertPaymentCurrencyAmount
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: 'payment.authorized',
+        orderId: 11,
+        userId: 12,
+        data: { amount: 40, currency: 'USD', transactionId: 'txn-11' }
+      };
+
+      await processEvent(event, 'test-corr');
+
+      const stateCall = mockClientQuery.mock.calls[7];
+      expect(stateCall[0]).toContain('payment_authorized_at');
+      expect(stateCall[1][2]).toBe('pending');
+    });
+
+    it('should update customer metrics for the event user', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 12 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertUserMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: 'order.created',
+        orderId: 12,
+        userId: 42,
+        timestamp: '2026-02-04T09:30:00.000Z',
+        data: { items: [], totalAmount: 25 }
+      };
+
+      await processEvent(event, 'test-corr');
+
+      const userCall = mockClientQuery.mock.calls[4];
+      expect(userCall[0]).toContain('INSERT INTO user_metrics');
+      // userId, orders created/confirmed, revenue, cancelled, payment failures, orderedAt
+      expect(userCall[1]).toEqual([42, 1, 0, 0, 0, 0, new Date('2026-02-04T09:30:00.000Z')]);
+    });
+
+    it('should skip customer metrics when the event has no user', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 13 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // getCancelledConfirmation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: 'order.cancelled',
+        orderId: 13,
+        data: { reason: 'fraud', cancelledBy: 'system', totalAmount: 10 }
+      };
+
+      await processEvent(event, 'test-corr');
+
+      expect(mockClientQuery).toHaveBeenCalledTimes(11);
+      const queries = mockClientQuery.mock.calls.map(call => call[0]);
+      expect(queries.some(sql => sql.includes('user_metrics'))).toBe(false);
+    });
+
+    it('should write a batch in one transaction with pre-aggregated upserts and per-event dedup', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({
+        rows: [
+          { id: 20, dedup_key: 'order.created:20' },
+          { id: 21, dedup_key: 'order.created:21' }
+        ]
+      }); // insertEvents (third event is a duplicate)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetricsBatch
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetricsBatch
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertUserMetrics (order 20)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState (order 20)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertUserMetrics (order 21)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState (order 21)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const created = (orderId, userId, timestamp) => ({
+        event: { type: 'order.created', orderId, userId, timestamp, data: { items: [], totalAmount: 10 } },
+        correlationId: `corr-${orderId}`
+      });
+
+      const result = await processBatch([
+        created(20, 1, '2026-02-01T10:05:00.000Z'),
+        created(21, 2, '2026-02-01T10:40:00.000Z'),
+        created(20, 1, '2026-02-01T10:05:00.000Z')
+      ]);
+
+      expect(result).toEqual({ processed: 2, duplicates: 1 });
+      expect(mockClientQuery).toHaveBeenCalledTimes(11);
+      expect(mockClientQuery.mock.calls[0][0]).toBe('BEGIN');
+      expect(mockClientQuery.mock.calls[1][0]).toContain('INSERT INTO events_log');
+      expect(mockClientQuery.mock.calls[1][1]).toHaveLength(27);
+      // One row per date and per hour, with summed increments
+      expect(mockClientQuery.mock.calls[2][1]).toEqual(['2026-02-01', 2, 0, 0, 0, 0, 0, 0, 0, 0]);
+      expect(mockClientQuery.mock.calls[3][1]).toEqual(['UTC', new Date('2026-02-01T10:05:00.000Z'), 2, 0, 0, 0, 0, 0, 0, 0, 0]);
+      // One metrics delta for the batch's single date
+      const outboxCall = mockClientQuery.mock.calls[8];
+      expect(outboxCall[0]).toContain('INSERT INTO outbox_events');
+      expect(JSON.parse(outboxCall[1][0])).toEqual([
+        expect.objectContaining({
+          topic: 'analytics.events',
+          message_key: '2026-02-01',
+          event_type: 'analytics.metrics_delta',
+          payload: expect.objectContaining({ date: '2026-02-01', eventCount: 2 })
+        })
+      ]);
+      // One notification for the batch, with its newest events_log id
+      expect(mockClientQuery.mock.calls[9][1]).toEqual(['analytics_updates', '21']);
+      expect(mockClientQuery.mock.calls[10][0]).toBe('COMMIT');
+      expect(mockClientRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should merge product increments across a batch', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({
+        rows: [
+          { id: 22, dedup_key: 'order.confirmed:22' },
+          { id: 23, dedup_key: 'order.confirmed:23' }
+        ]
+      }); // insertEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // getCancelledConfirmation (order 22)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // getCancelledConfirmation (order 23)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetricsBatch
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetricsBatch
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductMetricsBatch
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductDailyMetricsBatch
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductPairs
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertCurrencyRevenue (2026-02-01)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertCurrencyRevenue (2026-02-02)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyCurrencyRevenue (2026-02-01 09:00)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyCurrencyRevenue (2026-02-02 09:00)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState (order 22)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState (order 23)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // getProductTotals
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const confirmed = (orderId, timestamp, quantity) => ({
+        event: {
+          type: 'order.confirmed',
+          orderId,
+          timestamp,
+          data: { items: [{ productId: 7, quantity, price: 5 }], totalAmount: quantity * 5 }
+        },
+        correlationId: `corr-${orderId}`
+      });
+
+      await processBatch([
+        confirmed(22, '2026-02-01T09:00:00.000Z', 1),
+        confirmed(23, '2026-02-02T09:00:00.000Z', 2)
+      ]);
+
+      const productCall = mockClientQuery.mock.calls[6];
+      expect(productCall[0]).toContain('INSERT INTO product_metrics');
+      // productId, quantity, revenue, order count, latest order time
+      expect(productCall[1]).toEqual([7, 3, 15, 2, new Date('2026-02-02T09:00:00.000Z')]);
+      // Two dates -> two daily rows, overall and for the product
+      expect(mockClientQuery.mock.calls[4][1]).toHaveLength(20);
+      const productDailyCall = mockClientQuery.mock.calls[7];
+      expect(productDailyCall[0]).toContain('INSERT INTO product_daily_metrics');
+      expect(productDailyCall[1]).toEqual(['2026-02-01', 7, 1, 5, 1, '2026-02-02', 7, 2, 10, 1]);
+      // and its revenue per day and currency in one upsert
+      expect(mockClientQuery.mock.calls[8][0]).toContain('INSERT INTO product_daily_revenue_by_currency');
+      expect(mockClientQuery.mock.calls[8][1]).toEqual(['2026-02-01', 7, 'USD', 5, 0, '2026-02-02', 7, 'USD', 10, 0]);
+      // Both orders' baskets in one co-purchase upsert
+      expect(mockClientQuery.mock.calls[9][1]).toEqual(['[[7],[7]]']);
+      // Per-currency revenue per hour, one row per hour and currency
+      expect(mockClientQuery.mock.calls[12][0]).toContain('INSERT INTO hourly_revenue_by_currency');
+      expect(mockClientQuery.mock.calls[13][1].slice(2)).toEqual(['USD', 1, 10, 0, 0]);
+    });
+
+    it('should queue the metric delta and crossed product milestones in the outbox', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 24 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductCurrencyRevenue
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertProductPairs
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // getCancelledConfirmation
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({
+        rows: [{ product_id: 1, total_quantity_sold: '101', total_revenue: '3029.00' }]
+      }); // getProductTotals
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: 'order.confirmed',
+        orderId: 24,
+        timestamp: '2026-02-05T12:00:00.000Z',
+        data: { items: [{ productId: 1, quantity: 2, price: 29.99 }], totalAmount: 59.98 }
+      };
+
+      await processEvent(event, 'test-corr');
+
+      expect(mockClientQuery).toHaveBeenCalledTimes(16);
+      expect(mockClientQuery.mock.calls[12][1]).toEqual([[1]]);
+      const outboxCall = mockClientQuery.mock.calls[13];
+      expect(outboxCall[0]).toContain('ON CONFLICT (dedup_key) DO NOTHING');
+      // 99 -> 101 units sold crosses the 100 milestone, once per product
+      expect(JSON.parse(outboxCall[1][0])).toEqual([
+        {
+          topic: 'analytics.events',
+          message_key: '2026-02-05',
+          event_type: 'analytics.metrics_delta',
+          payload: {
+            type: 'analytics.metrics_delta',
+            date: '2026-02-05',
+            deltas: { ordersConfirmed: 1, revenueConfirmed: '59.98' },
+            eventCount: 1,
+            timestamp: expect.any(String)
+          },
+          dedup_key: null
+        },
+        {
+          topic: 'analytics.events',
+          message_key: '1',
+          event_type: 'analytics.product_milestone',
+          payload: {
+            type: 'analytics.product_milestone',
+            productId: 1,
+            milestone: 100,
+            quantitySold: 101,
+            revenue: '3029.00',
+            timestamp: expect.any(String)
+          },
+          dedup_key: 'product_milestone:1:100'
+        }
+      ]);
+    });
+
+    it('should store the consumed offset in the same transaction', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ next_offset: '41' }] }); // lockConsumerOffset
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ id: 14 }] }); // insertEvent
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertDailyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertHourlyMetrics
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // upsertOrderState
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertOutboxEvents
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // saveConsumerOffset
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // notifyMetricsUpdated
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // COMMIT
+
+      const event = {
+        type: 'order.shipped',
+        orderId: 14,
+        userId: 10,
+        data: { trackingNumber: '1Z999AA1' }
+      };
+      const source = { groupId: 'analytics-service-group', topic: 'order.events', partition: 2, offset: '41' };
+
+      const result = await processEvent(event, 'test-corr', source);
+
+      expect(result).toBe(true);
+      expect(mockClientQuery).toHaveBeenCalledTimes(10);
+      expect(mockClientQuery.mock.calls[1][0]).toContain('FOR UPDATE');
+      const offsetCall = mockClientQuery.mock.calls[7];
+      expect(offsetCall[0]).toContain('INSERT INTO consumer_offsets');
+      // Stores the next offset to consume
+      expect(offsetCall[1]).toEqual(['analytics-service-group', 'order.events', 2, '42']);
+      expect(mockClientQuery.mock.calls[9][0]).toBe('COMMIT');
+    });
+
+    it('should skip messages below the stored offset', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [{ next_offset: '50' }] }); // lockConsumerOffset
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // ROLLBACK
+
+      const event = {
+        type: 'order.created',
+        orderId: 15,
+        userId: 10,
+        data: { items: [], totalAmount: 0 }
+      };
+      const source = { groupId: 'analytics-service-group', topic: 'order.events', partition: 2, offset: '49' };
+
+      const result = await processEvent(event, 'test-corr', source);
+
+      expect(result).toBe(false);
+      expect(mockClientQuery).toHaveBeenCalledTimes(3);
+      expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
+      expect(mockClientRelease).toHaveBeenCalledTimes(1);
+    });
+
+    it('should deduplicate on the envelope event ID when present', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertEvent (duplicate)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // ROLLBACK
+
+      const event = {
+        eventId: 'evt-123',
+        type: 'order.created',
+        orderId: 16,
+        userId: 10,
+        data: { items: [], totalAmount: 0 }
+      };
+
+      await processEvent(event, 'test-corr');
+
+      const insertCall = mockClientQuery.mock.calls[1];
+      expect(insertCall[0]).toContain('ON CONFLICT (dedup_key) DO NOTHING');
+      // Rows logged before event IDs were stored are matched on the fallback key
+      expect(insertCall[0]).toContain('WHERE NOT EXISTS (SELECT 1 FROM events_log WHERE dedup_key = $9::text AND legacy)');
+      expect(insertCall[1].slice(6)).toEqual(['evt-123', 'id:evt-123', 'order.created:16']);
+    });
+
+    it('should fall back to the configured key fields without an event ID', async () => {
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // BEGIN
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // insertEvent (duplicate)
+      mockClientQuery.mockResolvedValueOnce({ rows: [] }); // ROLLBACK
+
+      const event = {
+        type: 'payment.failed',
+        orderId: 17,
+        userId: 10,
+        timestamp: '2026-02-05T12:00:00.000Z',
+        data: { reason: 'Insufficient funds', retryable: true }
+      };
+
+      await processEvent(event, 'test-corr');
+
+      // A second failure for the same order (different timestamp) gets its own key
+      expect(mockClientQuery.mock.calls[1][1].slice(6)).toEqual([
+        null,
+        'payment.failed:17:2026-02-05T12:00:00.000Z',
+        'payment.failed:17:2026-02-05T12:00:00.000Z'
+      ]);
+    });
+
+    it('should key the timestamp as its UTC instant and fall back to orderId when it is missing', async () => {
+      const { getDedupKey } = require('../src/dedup');
+      const failed = (timestamp) => ({ type: 'payment.failed', orderId: 17, timestamp, data: {} });
+
+      // Same instant as migrated rows' occurred_at, whatever the offset notation
+      expect(getDedupKey(failed('2026-02-05T14:00:00+02:00'))).toBe('payment.failed:17:2026-02-05T12:00:00.000Z');
+      expect(getDedupKey(failed(undefined))).toBe('payment.failed:17');
+      expect(getDedupKey(failed('not a date'))).toBe('payment.failed:17');
+      expect(getDedupKey({ type: 'order.shipped', orderId: 4, data: {} })).toBe('order.shipped:4');
+    });
+  });
+
+  describe('Kafka consumer', () => {
+    const { handleMessage, handleBatch } = jest.requireActual('../src/kafka');
+    const { validateEvent } = require('@florea-alex/order-events-schemas');
+    const topic = 'order.events';
+    const shipped = (orderId) => ({ type: 'order.shipped', orderId, userId: 10, data: { trackingNumber: `1Z${orderId}` } });
+    const kafkaMessage = (offset, value, headers = {}) => ({
+      offset,
+      key: Buffer.from('order-key'),
+      value: value === null ? null : Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)),
+      headers
+    });
+    // validateEvent accepts the next message(s) as they are
+    const accept = (...events) => events.forEach(event => validateEvent.mockReturnValueOnce({ success: true, data: event }));
+    const sqlCalls = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+    const dlqHeaders = () => mockProducerSend.mock.calls[0][0].messages[0].headers;
+    const batchPayload = (messages, calls = []) => ({
+      batch: { topic, partition: 0, messages, lastOffset: () => messages[messages.length - 1].offset },
+      resolveOffset: jest.fn(offset => calls.push(`resolve:${offset}`)),
+      commitOffsetsIfNecessary: jest.fn(async () => calls.push('commit')),
+      heartbeat: jest.fn().mockResolvedValue(),
+      isRunning: () => true,
+      isStale: () => false
+    });
+
+    beforeEach(() => {
+      mockProducerSend.mockClear();
+      mockConsumerSeek.mockClear();
+      mockConsumerPause.mockClear();
+      mockConsumerResume.mockClear();
+      validateEvent.mockClear();
+    });
+
+    it('should pass a valid event to the handler with its source offset', async () => {
+      const event = shipped(1);
+      accept(event);
+      const handler = jest.fn().mockResolvedValue(true);
+
+      await handleMessage({ topic, partition: 2, message: kafkaMessage('41', event, { 'x-correlation-id': Buffer.from('corr-1') }) }, handler);
+
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ orderId: 1 }),
+        'corr-1',
+        { groupId: expect.any(String), topic, partition: 2, offset: '41' }
+      );
+      expect(mockProducerSend).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter and quarantine an empty message, moving the stored offset past it', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // insertQuarantinedEvent
+        .mockResolvedValueOnce({ rows: [] }); // saveConsumerOffset
+      const handler = jest.fn();
+
+      await handleMessage({ topic, partition: 3, message: kafkaMessage('7', null, { 'x-correlation-id': Buffer.from('corr-7') }) }, handler);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(mockProducerSend.mock.calls[0][0].topic).toBe('analytics.dead-letter');
+      // Original headers are kept, the DLQ ones added
+      expect(dlqHeaders()).toEqual({
+        'x-correlation-id': 'corr-7',
+        'x-dlq-reason': 'empty_message',
+        'x-dlq-error': '',
+        'x-dlq-source-topic': topic,
+        'x-dlq-source-partition': '3',
+        'x-dlq-source-offset': '7'
+      });
+      expect(mockQuery.mock.calls[0][1].slice(0, 5)).toEqual(['empty_message', null, topic, 3, '7']);
+      expect(mockQuery.mock.calls[1][0]).toContain('INSERT INTO consumer_offsets');
+      expect(mockQuery.mock.calls[1][1]).toEqual([expect.any(String), topic, 3, '8']);
+    });
+
+    it('should reject messages that are not JSON or fail validation', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] }) // insertQuarantinedEvent
+        .mockResolvedValueOnce({ rows: [] }) // saveConsumerOffset
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [] });
+      validateEvent.mockReturnValueOnce({ success: false, error: new Error('orderId is required') });
+
+      await handleMessage({ topic, partition: 0, message: kafkaMessage('1', '{not json') }, jest.fn());
+      await handleMessage({ topic, partition: 0, message: kafkaMessage('2', { type: 'order.created' }) }, jest.fn());
+
+      const reasons = mockProducerSend.mock.calls.map(([{ messages }]) => messages[0].headers['x-dlq-reason']);
+      expect(reasons).toEqual(['invalid_json', 'validation_failed']);
+      expect(mockProducerSend.mock.calls[1][0].messages[0].headers['x-dlq-error']).toBe('orderId is required');
+      // The event type is kept for validation failures
+      const quarantined = sqlCalls('INSERT INTO quarantined_events');
+      expect(quarantined[1][1][0]).toBe('validation_failed');
+      expect(quarantined[1][1][8]).toBe('order.created');
+    });
+
+    it('should quarantine events the handler fails on', async () => {
+      const event = shipped(2);
+      accept(event);
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] }) // insertQuarantinedEvent
+        .mockResolvedValueOnce({ rows: [] }); // saveConsumerOffset
+
+      await handleMessage({ topic, partition: 0, message: kafkaMessage('5', event) }, jest.fn().mockRejectedValue(new Error('deadlock detected')));
+
+      expect(dlqHeaders()).toMatchObject({ 'x-dlq-reason': 'processing_failed', 'x-dlq-error': 'deadlock detected' });
+      expect(mockQuery.mock.calls[0][1][8]).toBe('order.shipped');
+    });
+
+    it('should quarantine when the dead-letter publish fails, and publish when quarantining fails', async () => {
+      mockProducerSend.mockRejectedValueOnce(new Error('Broker not available'));
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // insertQuarantinedEvent
+        .mockResolvedValueOnce({ rows: [] }); // saveConsumerOffset
+      await handleMessage({ topic, partition: 0, message: kafkaMessage('8', null) }, jest.fn());
+
+      expect(sqlCalls('INSERT INTO quarantined_events')).toHaveLength(1);
+
+      mockQuery.mockClear();
+      mockQuery.mockRejectedValueOnce(new Error('connection refused'));
+      await expect(handleMessage({ topic, partition: 0, message: kafkaMessage('9', null) }, jest.fn())).resolves.toBeUndefined();
+
+      expect(mockProducerSend).toHaveBeenCalledTimes(2);
+      // The offset does not move past a message that was not quarantined
+      expect(sqlCalls('consumer_offsets')).toHaveLength(0);
+    });
+
+    it('should write a batch in one call and resolve and commit its offset only afterwards', async () => {
+      const calls = [];
+      const events = [shipped(10), shipped(11)];
+      accept(...events);
+      const batchHandler = jest.fn(async () => calls.push('batch'));
+      const payload = batchPayload([kafkaMessage('10', events[0]), kafkaMessage('11', events[1])], calls);
+
+      await handleBatch(payload, jest.fn(), batchHandler);
+
+      expect(batchHandler).toHaveBeenCalledWith(
+        [
+          { event: expect.objectContaining({ orderId: 10 }), correlationId: null, offset: '10' },
+          { event: expect.objectContaining({ orderId: 11 }), correlationId: null, offset: '11' }
+        ],
+        { groupId: expect.any(String), topic, partition: 0, offset: '11' }
+      );
+      expect(calls).toEqual(['batch', 'resolve:11', 'commit']);
+    });
+
+    it('should fall back to per-message processing when the batch transaction fails', async () => {
+      const calls = [];
+      const events = [shipped(12), shipped(13)];
+      accept(...events, ...events);
+      const messageHandler = jest.fn(async (event) => calls.push(`message:${event.orderId}`));
+      const payload = batchPayload([kafkaMessage('12', events[0]), kafkaMessage('13', events[1])], calls);
+
+      await handleBatch(payload, messageHandler, jest.fn().mockRejectedValue(new Error('could not serialize access')));
+
+      expect(messageHandler.mock.calls.map(([, , source]) => source.offset)).toEqual(['12', '13']);
+      expect(calls).toEqual(['message:12', 'message:13', 'resolve:13', 'commit']);
+    });
+
+    it('should not move the stored offset past valid messages for a rejection later in the batch', async () => {
+      const events = [shipped(10), shipped(11)];
+      accept(...events);
+      mockQuery.mockResolvedValueOnce({ rows: [{ id: 6 }] }); // insertQuarantinedEvent
+      const batchHandler = jest.fn().mockResolvedValue();
+      const payload = batchPayload([kafkaMessage('10', events[0]), kafkaMessage('11', events[1]), kafkaMessage('12', '{not json')]);
+
+      await handleBatch(payload, jest.fn(), batchHandler);
+
+      expect(sqlCalls('INSERT INTO quarantined_events')[0][1][4]).toBe('12');
+      // The batch transaction stores the offset past all three
+      expect(sqlCalls('consumer_offsets')).toHaveLength(0);
+      expect(batchHandler.mock.calls[0][0].map(({ offset }) => offset)).toEqual(['10', '11']);
+      expect(batchHandler.mock.calls[0][1].offset).toBe('12');
+    });
+
+    it('should store the offset once for a batch with no valid messages', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ rows: [{ id: 7 }] }) // insertQuarantinedEvent
+        .mockResolvedValueOnce({ rows: [{ id: 8 }] })
+        .mockResolvedValueOnce({ rows: [] }); // saveConsumerOffset
+      const batchHandler = jest.fn();
+      const calls = [];
+      const payload = batchPayload([kafkaMessage('20', null), kafkaMessage('21', '{not json')], calls);
+
+      await handleBatch(payload, jest.fn(), batchHandler);
+
+      expect(batchHandler).not.toHaveBeenCalled();
+      const saved = sqlCalls('INSERT INTO consumer_offsets');
+      expect(saved).toHaveLength(1);
+      expect(saved[0][1]).toEqual([expect.any(String), topic, 0, '22']);
+      expect(calls).toEqual(['resolve:21', 'commit']);
+    });
+
+    it('should seek assigned partitions to their stored offsets on group join', async () => {
+      const [, onGroupJoin] = mockConsumerOn.mock.calls.find(([event]) => event === 'consumer.group_join');
+      mockQuery.mockResolvedValueOnce({
+        rows: [
+          { topic, kafka_partition: 0, next_offset: '120' },
+          { topic, kafka_partition: 1, next_offset: '75' }
+        ]
+      });
+
+      const joined = onGroupJoin({ payload: { memberAssignment: { [topic]: [0] } } });
+
+      // Paused before the offsets are read, so no fetch runs ahead of the seek
+      expect(mockConsumerPause).toHaveBeenCalledWith([{ topic, partitions: [0] }]);
+      expect(mockConsumerResume).not.toHaveBeenCalled();
+
+      await joined;
+
+      expect(mockConsumerSeek).toHaveBeenCalledTimes(1);
+      expect(mockConsumerSeek).toHaveBeenCalledWith({ topic, partition: 0, offset: '120' });
+      expect(mockConsumerResume).toHaveBeenCalledWith([{ topic, partitions: [0] }]);
+      expect(mockConsumerSeek.mock.invocationCallOrder[0])
+        .toBeLessThan(mockConsumerResume.mock.invocationCallOrder[0]);
+    });
+
+    it('should resume assigned partitions when the stored offsets cannot be read', async () => {
+      const [, onGroupJoin] = mockConsumerOn.mock.calls.find(([event]) => event === 'consumer.group_join');
+      mockQuery.mockRejectedValueOnce(new Error('connection refused'));
+
+      await onGroupJoin({ payload: { memberAssignment: { [topic]: [0, 1] } } });
+
+      expect(mockConsumerSeek).not.toHaveBeenCalled();
+      expect(mockConsumerResume).toHaveBeenCalledWith([{ topic, partitions: [0, 1] }]);
     });
   });
 });
@@ -0,0 +1,5 @@
+-- Occurrence time from the event envelope (received_at is processing time).
+-- Metrics are bucketed by occurred_at so replays land on the right day/hour.
+ALTER TABLE events_log ADD COLUMN IF NOT EXISTS occurred_at TIMESTAMP WITH TIME ZONE;
+UPDATE events_log SET occurred_at = received_at WHERE occurred_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_events_log_occurred ON events_log(occurred_at);
@@ -0,0 +1,23 @@
+-- Kafka messages rejected by the consumer (empty, unparseable, invalid or
+-- failed processing). Mirrors what is published to the dead-letter topic
+-- and lets admins inspect and re-drive entries once the cause is fixed.
+CREATE TABLE IF NOT EXISTS quarantined_events (
+  id SERIAL PRIMARY KEY,
+  reason TEXT NOT NULL,
+  error_message TEXT,
+  topic TEXT NOT NULL,
+  kafka_partition INTEGER NOT NULL,
+  kafka_offset BIGINT NOT NULL,
+  message_key TEXT,
+  raw_payload TEXT,
+  headers JSONB,
+  event_type TEXT,
+  correlation_id TEXT,
+  status TEXT NOT NULL DEFAULT 'quarantined',
+  redrive_attempts INTEGER DEFAULT 0,
+  last_redrive_error TEXT,
+  quarantined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  redriven_at TIMESTAMP WITH TIME ZONE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quarantined_events_source ON quarantined_events(topic, kafka_partition, kafka_offset);
+CREATE INDEX IF NOT EXISTS idx_quarantined_events_status ON quarantined_events(status, quarantined_at);
@@ -0,0 +1,49 @@
+-- Current lifecycle state per order, updated on every order and payment event.
+-- Each transition keeps the earliest time it was seen; status is derived from
+-- which transitions happened (cancelled > shipped > confirmed > created), and
+-- orders only known from payment events are 'pending'.
+CREATE TABLE IF NOT EXISTS order_states (
+  order_id INTEGER PRIMARY KEY,
+  user_id INTEGER,
+  status TEXT NOT NULL,
+  amount NUMERIC(12,2),
+  created_at TIMESTAMP WITH TIME ZONE,
+  payment_authorized_at TIMESTAMP WITH TIME ZONE,
+  payment_failed_at TIMESTAMP WITH TIME ZONE,
+  confirmed_at TIMESTAMP WITH TIME ZONE,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  shipped_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_order_states_status ON order_states(status);
+
+-- Backfill from the events already logged
+INSERT INTO order_states (
+  order_id, user_id, status, amount,
+  created_at, payment_authorized_at, payment_failed_at, confirmed_at, cancelled_at, shipped_at
+)
+SELECT
+  order_id,
+  (ARRAY_AGG(user_id ORDER BY id DESC) FILTER (WHERE user_id IS NOT NULL))[1],
+  'pending',
+  COALESCE(
+    (ARRAY_AGG((data->>'totalAmount')::numeric ORDER BY id DESC) FILTER (WHERE event_type = 'order.confirmed' AND data ? 'totalAmount'))[1],
+    (ARRAY_AGG((data->>'totalAmount')::numeric ORDER BY id DESC) FILTER (WHERE event_type = 'order.created' AND data ? 'totalAmount'))[1]
+  ),
+  MIN(occurred_at) FILTER (WHERE event_type = 'order.created'),
+  MIN(occurred_at) FILTER (WHERE event_type = 'payment.authorized'),
+  MIN(occurred_at) FILTER (WHERE event_type = 'payment.failed'),
+  MIN(occurred_at) FILTER (WHERE event_type = 'order.confirmed'),
+  MIN(occurred_at) FILTER (WHERE event_type = 'order.cancelled'),
+  MIN(occurred_at) FILTER (WHERE event_type = 'order.shipped')
+FROM events_log
+GROUP BY order_id
+ON CONFLICT (order_id) DO NOTHING;
+
+UPDATE order_states SET status = CASE
+  WHEN cancelled_at IS NOT NULL THEN 'cancelled'
+  WHEN shipped_at IS NOT NULL THEN 'shipped'
+  WHEN confirmed_at IS NOT NULL THEN 'confirmed'
+  WHEN created_at IS NOT NULL THEN 'created'
+  ELSE 'pending'
+END;
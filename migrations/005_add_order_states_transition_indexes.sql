@@ -0,0 +1,4 @@
+-- Latency queries bucket durations by the time each transition completed
+CREATE INDEX IF NOT EXISTS idx_order_states_payment_authorized ON order_states(payment_authorized_at);
+CREATE INDEX IF NOT EXISTS idx_order_states_confirmed ON order_states(confirmed_at);
+CREATE INDEX IF NOT EXISTS idx_order_states_shipped ON order_states(shipped_at);
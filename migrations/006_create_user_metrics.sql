@@ -0,0 +1,32 @@
+-- Per-customer aggregations
+CREATE TABLE IF NOT EXISTS user_metrics (
+  user_id INTEGER PRIMARY KEY,
+  order_count INTEGER DEFAULT 0,
+  confirmed_order_count INTEGER DEFAULT 0,
+  confirmed_revenue NUMERIC(12,2) DEFAULT 0,
+  cancelled_order_count INTEGER DEFAULT 0,
+  payment_failure_count INTEGER DEFAULT 0,
+  first_order_at TIMESTAMP WITH TIME ZONE,
+  last_order_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_user_metrics_revenue ON user_metrics(confirmed_revenue DESC);
+CREATE INDEX IF NOT EXISTS idx_user_metrics_first_order ON user_metrics(first_order_at);
+
+-- Backfill from the events already logged
+INSERT INTO user_metrics (
+  user_id, order_count, confirmed_order_count, confirmed_revenue,
+  cancelled_order_count, payment_failure_count, first_order_at, last_order_at
+)
+SELECT
+  user_id,
+  COUNT(*) FILTER (WHERE event_type = 'order.created'),
+  COUNT(*) FILTER (WHERE event_type = 'order.confirmed'),
+  COALESCE(SUM((data->>'totalAmount')::numeric) FILTER (WHERE event_type = 'order.confirmed'), 0),
+  COUNT(*) FILTER (WHERE event_type = 'order.cancelled'),
+  COUNT(*) FILTER (WHERE event_type = 'payment.failed'),
+  MIN(occurred_at) FILTER (WHERE event_type = 'order.created'),
+  MAX(occurred_at) FILTER (WHERE event_type = 'order.created')
+FROM events_log
+WHERE user_id IS NOT NULL
+GROUP BY user_id
+ON CONFLICT (user_id) DO NOTHING;
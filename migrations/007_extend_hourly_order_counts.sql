@@ -0,0 +1,11 @@
+-- Remaining statuses and payment outcomes per hour for the intraday chart.
+-- order_count stays the created count and revenue the confirmed revenue.
+-- Existing buckets are backfilled from events_log by the metrics rebuild
+-- this schedules.
+-- @rebuild-metrics
+ALTER TABLE hourly_order_counts ADD COLUMN IF NOT EXISTS orders_confirmed INTEGER DEFAULT 0;
+ALTER TABLE hourly_order_counts ADD COLUMN IF NOT EXISTS orders_cancelled INTEGER DEFAULT 0;
+ALTER TABLE hourly_order_counts ADD COLUMN IF NOT EXISTS orders_shipped INTEGER DEFAULT 0;
+ALTER TABLE hourly_order_counts ADD COLUMN IF NOT EXISTS revenue_cancelled NUMERIC(12,2) DEFAULT 0;
+ALTER TABLE hourly_order_counts ADD COLUMN IF NOT EXISTS payment_success_count INTEGER DEFAULT 0;
+ALTER TABLE hourly_order_counts ADD COLUMN IF NOT EXISTS payment_failure_count INTEGER DEFAULT 0;
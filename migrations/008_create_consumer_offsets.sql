@@ -0,0 +1,12 @@
+-- Kafka offsets consumed per group/topic/partition, written in the same
+-- transaction as the metric updates. next_offset is the first offset not
+-- yet applied; the consumer seeks here on partition assignment so metrics
+-- are aggregated exactly once regardless of Kafka's own committed offsets.
+CREATE TABLE IF NOT EXISTS consumer_offsets (
+  group_id TEXT NOT NULL,
+  topic TEXT NOT NULL,
+  kafka_partition INTEGER NOT NULL,
+  next_offset BIGINT NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (group_id, topic, kafka_partition)
+);
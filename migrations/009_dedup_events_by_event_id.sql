@@ -0,0 +1,16 @@
+-- Deduplicate events_log on a dedup key instead of (event_type, order_id):
+-- "id:<eventId>" when the envelope carries an event ID, otherwise
+-- "<event_type>:<fallback fields>" (see EVENT_DEDUP_KEYS).
+ALTER TABLE events_log ADD COLUMN IF NOT EXISTS event_id TEXT;
+ALTER TABLE events_log ADD COLUMN IF NOT EXISTS dedup_key TEXT;
+
+-- Existing rows were deduplicated by (event_type, order_id); carry that
+-- key over so they stay unique under the new index.
+UPDATE events_log SET dedup_key = event_type || ':' || order_id WHERE dedup_key IS NULL;
+ALTER TABLE events_log ALTER COLUMN dedup_key SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_log_dedup_key ON events_log(dedup_key);
+DROP INDEX IF EXISTS idx_events_log_dedup;
+
+-- Still needed for per-order lookups and the legacy dedup report
+CREATE INDEX IF NOT EXISTS idx_events_log_type_order ON events_log(event_type, order_id);
@@ -0,0 +1,32 @@
+-- Per-order payment attempts (authorized/failed amounts, method, retries)
+CREATE TABLE IF NOT EXISTS payment_metrics (
+  order_id INTEGER PRIMARY KEY,
+  user_id INTEGER,
+  payment_method TEXT,
+  authorized_amount NUMERIC(12,2) DEFAULT 0,
+  failed_amount NUMERIC(12,2) DEFAULT 0,
+  authorization_count INTEGER DEFAULT 0,
+  failure_count INTEGER DEFAULT 0,
+  retry_count INTEGER DEFAULT 0,
+  last_failure_reason TEXT,
+  first_attempt_at TIMESTAMP WITH TIME ZONE,
+  authorized_at TIMESTAMP WITH TIME ZONE,
+  last_attempt_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_payment_metrics_first_attempt ON payment_metrics(first_attempt_at);
+
+-- Daily payment attempts by method, outcome (authorized/failed) and failure
+-- reason ('' for authorizations), for time series and breakdowns
+CREATE TABLE IF NOT EXISTS payment_daily_metrics (
+  date DATE NOT NULL,
+  payment_method TEXT NOT NULL,
+  outcome TEXT NOT NULL,
+  reason TEXT NOT NULL DEFAULT '',
+  attempt_count INTEGER DEFAULT 0,
+  amount NUMERIC(12,2) DEFAULT 0,
+  PRIMARY KEY (date, payment_method, outcome, reason)
+);
+
+-- Both are projections of events_log, backfilled by the metrics rebuild
+-- this schedules.
+-- @rebuild-metrics
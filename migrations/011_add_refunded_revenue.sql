@@ -0,0 +1,10 @@
+-- Refunded amounts per day and hour, for net revenue
+-- (confirmed - confirmed-then-cancelled - refunded). Existing days and
+-- hours are backfilled by the metrics rebuild this schedules.
+-- @rebuild-metrics
+ALTER TABLE daily_metrics ADD COLUMN IF NOT EXISTS revenue_refunded NUMERIC(12,2) DEFAULT 0;
+ALTER TABLE hourly_order_counts ADD COLUMN IF NOT EXISTS revenue_refunded NUMERIC(12,2) DEFAULT 0;
+
+-- Revenue of confirmed orders that were later cancelled is read from
+-- order_states by cancellation time
+CREATE INDEX IF NOT EXISTS idx_order_states_cancelled ON order_states(cancelled_at);
@@ -0,0 +1,25 @@
+-- Revenue per day in each order's original currency; daily_metrics keeps
+-- the unconverted sums. Backfilled by the metrics rebuild this schedules.
+-- @rebuild-metrics
+CREATE TABLE IF NOT EXISTS daily_revenue_by_currency (
+  date DATE NOT NULL,
+  currency CHAR(3) NOT NULL,
+  orders_confirmed INTEGER DEFAULT 0,
+  revenue_confirmed NUMERIC(12,2) DEFAULT 0,
+  revenue_cancelled NUMERIC(12,2) DEFAULT 0,
+  revenue_refunded NUMERIC(12,2) DEFAULT 0,
+  PRIMARY KEY (date, currency)
+);
+
+-- Currency of order_states.amount, for converting confirmed-then-cancelled revenue
+ALTER TABLE order_states ADD COLUMN IF NOT EXISTS currency CHAR(3);
+
+-- FX rates: units of the base currency (BASE_CURRENCY) per unit of currency,
+-- effective from date until the next rate for that currency
+CREATE TABLE IF NOT EXISTS fx_rates (
+  date DATE NOT NULL,
+  currency CHAR(3) NOT NULL,
+  rate NUMERIC(18,8) NOT NULL CHECK (rate > 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (currency, date)
+);
@@ -0,0 +1,16 @@
+-- Per-product confirmed quantity, revenue and orders per day, for the
+-- product detail series. Backfilled by the metrics rebuild this schedules.
+-- @rebuild-metrics
+CREATE TABLE IF NOT EXISTS product_daily_metrics (
+  date DATE NOT NULL,
+  product_id INTEGER NOT NULL,
+  quantity_sold INTEGER DEFAULT 0,
+  revenue NUMERIC(12,2) DEFAULT 0,
+  order_count INTEGER DEFAULT 0,
+  PRIMARY KEY (product_id, date)
+);
+
+-- Confirmed orders containing a product, for its cancellation rate
+CREATE INDEX IF NOT EXISTS idx_events_log_confirmed_items
+  ON events_log USING GIN ((data -> 'items') jsonb_path_ops)
+  WHERE event_type = 'order.confirmed';
@@ -0,0 +1,12 @@
+-- Items of confirmed orders that were later cancelled, kept apart from the
+-- gross totals so product reports can show both gross and net figures.
+ALTER TABLE product_metrics ADD COLUMN IF NOT EXISTS quantity_cancelled INTEGER DEFAULT 0;
+ALTER TABLE product_metrics ADD COLUMN IF NOT EXISTS revenue_cancelled NUMERIC(12,2) DEFAULT 0;
+ALTER TABLE product_metrics ADD COLUMN IF NOT EXISTS cancelled_order_count INTEGER DEFAULT 0;
+
+-- Per day of cancellation
+ALTER TABLE product_daily_metrics ADD COLUMN IF NOT EXISTS quantity_cancelled INTEGER DEFAULT 0;
+ALTER TABLE product_daily_metrics ADD COLUMN IF NOT EXISTS revenue_cancelled NUMERIC(12,2) DEFAULT 0;
+
+-- Existing cancellations are reversed by the metrics rebuild this schedules.
+-- @rebuild-metrics
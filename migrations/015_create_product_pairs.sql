@@ -0,0 +1,42 @@
+-- Co-purchases: confirmed orders containing both products, stored in both
+-- directions. The row pairing a product with itself counts the confirmed
+-- orders containing it, for confidence and lift. Orders cancelled after
+-- confirmation are subtracted again.
+CREATE TABLE IF NOT EXISTS product_pairs (
+  product_id INTEGER NOT NULL,
+  related_product_id INTEGER NOT NULL,
+  order_count INTEGER DEFAULT 0,
+  PRIMARY KEY (product_id, related_product_id)
+);
+
+-- Backfill from the events already logged: the distinct products of every
+-- order.confirmed, less those of each cancelled order's first confirmation
+WITH baskets AS (
+  SELECT e.id, e.order_id, ARRAY(
+    SELECT DISTINCT item->>'productId'
+    FROM jsonb_array_elements(e.data->'items') AS item
+    WHERE item->>'productId' IS NOT NULL
+  ) AS products
+  FROM events_log e
+  WHERE e.event_type = 'order.confirmed' AND jsonb_typeof(e.data->'items') = 'array'
+),
+weighted AS (
+  SELECT products, 1 AS weight FROM baskets
+  UNION ALL
+  (
+    SELECT DISTINCT ON (b.order_id) b.products, -1
+    FROM baskets b
+    WHERE EXISTS (
+      SELECT 1 FROM events_log c
+      WHERE c.event_type = 'order.cancelled' AND c.order_id = b.order_id
+    )
+    ORDER BY b.order_id, b.id
+  )
+)
+INSERT INTO product_pairs (product_id, related_product_id, order_count)
+SELECT a.product_id::int, r.product_id::int, SUM(w.weight)
+FROM weighted w
+CROSS JOIN LATERAL unnest(w.products) AS a(product_id)
+CROSS JOIN LATERAL unnest(w.products) AS r(product_id)
+GROUP BY 1, 2
+ON CONFLICT (product_id, related_product_id) DO NOTHING;
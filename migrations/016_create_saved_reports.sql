@@ -0,0 +1,32 @@
+-- Reports rendered on a cron schedule (in REPORTING_TIMEZONE) and posted
+-- to a webhook. sections is a list of { type, params }.
+CREATE TABLE IF NOT EXISTS saved_reports (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  schedule TEXT NOT NULL,
+  sections JSONB NOT NULL,
+  format TEXT NOT NULL DEFAULT 'json',
+  webhook_url TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  next_run_at TIMESTAMP WITH TIME ZONE,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_saved_reports_next_run ON saved_reports(next_run_at) WHERE enabled;
+
+-- One row per delivery (scheduled or manual run), updated with its outcome
+CREATE TABLE IF NOT EXISTS report_deliveries (
+  id SERIAL PRIMARY KEY,
+  report_id INTEGER NOT NULL REFERENCES saved_reports(id) ON DELETE CASCADE,
+  trigger TEXT NOT NULL,
+  scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  error TEXT,
+  payload_bytes INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_report_deliveries_report ON report_deliveries(report_id, created_at DESC);
@@ -0,0 +1,35 @@
+-- Alert rules evaluated periodically against hourly_order_counts.
+-- threshold rules compare the metric over the last window_minutes with
+-- threshold; anomaly rules compare the last full hour with the same hour on
+-- the previous baseline_days days, threshold being the number of standard
+-- deviations. min_attempts only applies to payment_failure_rate.
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  metric TEXT NOT NULL,
+  evaluation TEXT NOT NULL DEFAULT 'threshold',
+  condition TEXT NOT NULL,
+  threshold NUMERIC(14,4) NOT NULL,
+  window_minutes INTEGER NOT NULL DEFAULT 60,
+  baseline_days INTEGER NOT NULL DEFAULT 14,
+  min_attempts INTEGER NOT NULL DEFAULT 0,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per firing episode of a rule, resolved in place once the rule no
+-- longer breaches. A rule has at most one firing alert.
+CREATE TABLE IF NOT EXISTS alerts (
+  id SERIAL PRIMARY KEY,
+  rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'firing',
+  value NUMERIC(14,4),
+  bound NUMERIC(14,4),
+  message TEXT NOT NULL,
+  fired_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_evaluated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITH TIME ZONE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_firing_rule ON alerts(rule_id) WHERE status = 'firing';
+CREATE INDEX IF NOT EXISTS idx_alerts_fired_at ON alerts(fired_at DESC);
@@ -0,0 +1,17 @@
+-- Transactional outbox: messages written in the same transaction as the
+-- metrics they derive from, and published to Kafka by the outbox relay.
+-- dedup_key, when set, makes an event one-off (daily close, milestones).
+CREATE TABLE IF NOT EXISTS outbox_events (
+  id BIGSERIAL PRIMARY KEY,
+  topic TEXT NOT NULL,
+  message_key TEXT,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  dedup_key TEXT UNIQUE,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  published_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_outbox_events_pending ON outbox_events(id) WHERE published_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_outbox_events_published ON outbox_events(published_at) WHERE published_at IS NOT NULL;
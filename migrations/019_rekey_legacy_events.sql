@@ -0,0 +1,44 @@
+-- Rows logged under the legacy (event_type, order_id) rule, before event IDs
+-- were stored. A redelivered event with an ID is also checked against these
+-- by its fallback key, since their own ID is unknown.
+ALTER TABLE events_log ADD COLUMN IF NOT EXISTS legacy BOOLEAN NOT NULL DEFAULT FALSE;
+
+UPDATE events_log SET legacy = TRUE
+WHERE received_at < (
+  SELECT applied_at FROM schema_migrations WHERE filename = '009_dedup_events_by_event_id.sql'
+);
+
+-- Recompute the keys of rows without an event ID the way src/dedup.js now
+-- does with the default fallback fields: the timestamp as its UTC instant
+-- (occurred_at), the tracking number for order.shipped, and orderId alone
+-- when the field is missing (legacy keys and empty segments). Keys go
+-- through a placeholder first so rows can take each other's old key; where
+-- two rows turn out to be the same event, the first keeps the key.
+CREATE TEMP TABLE rekeyed_events AS
+SELECT DISTINCT ON (new_key) id, dedup_key, new_key
+FROM (
+  SELECT id, dedup_key, CASE
+    WHEN dedup_key = event_type || ':' || order_id || ':' THEN event_type || ':' || order_id
+    WHEN event_type IN ('payment.failed', 'payment.refunded', 'payment.partially_refunded')
+      THEN event_type || ':' || order_id || ':'
+        || to_char(occurred_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+    WHEN event_type = 'order.shipped' AND COALESCE(data->>'trackingNumber', '') <> ''
+      THEN event_type || ':' || order_id || ':' || (data->>'trackingNumber')
+    ELSE event_type || ':' || order_id
+  END AS new_key
+  FROM events_log
+  WHERE event_id IS NULL AND occurred_at IS NOT NULL
+) keyed
+ORDER BY new_key, (dedup_key = new_key) DESC, id;
+
+DELETE FROM rekeyed_events r
+WHERE r.dedup_key = r.new_key
+   OR EXISTS (
+     SELECT 1 FROM events_log e
+     WHERE e.dedup_key = r.new_key AND NOT EXISTS (SELECT 1 FROM rekeyed_events m WHERE m.id = e.id)
+   );
+
+UPDATE events_log e SET dedup_key = 'rekey:' || e.id FROM rekeyed_events r WHERE e.id = r.id;
+UPDATE events_log e SET dedup_key = r.new_key FROM rekeyed_events r WHERE e.id = r.id;
+
+DROP TABLE rekeyed_events;
@@ -0,0 +1,41 @@
+-- Hourly, per-product and payment amounts per original currency, so every
+-- report converts them at the FX rate for their date instead of adding
+-- currencies together; the existing tables keep the counts (and the
+-- unconverted sums). Backfilled, along with daily_revenue_by_currency, by
+-- the metrics rebuild this schedules.
+-- @rebuild-metrics
+CREATE TABLE IF NOT EXISTS hourly_revenue_by_currency (
+  hour_bucket TIMESTAMP WITH TIME ZONE NOT NULL,
+  currency CHAR(3) NOT NULL,
+  orders_confirmed INTEGER DEFAULT 0,
+  revenue_confirmed NUMERIC(12,2) DEFAULT 0,
+  revenue_cancelled NUMERIC(12,2) DEFAULT 0,
+  revenue_refunded NUMERIC(12,2) DEFAULT 0,
+  PRIMARY KEY (hour_bucket, currency)
+);
+
+-- Confirmed item revenue per day of confirmation, and cancelled item
+-- revenue per day of cancellation, in the order's currency
+CREATE TABLE IF NOT EXISTS product_daily_revenue_by_currency (
+  date DATE NOT NULL,
+  product_id INTEGER NOT NULL,
+  currency CHAR(3) NOT NULL,
+  revenue NUMERIC(12,2) DEFAULT 0,
+  revenue_cancelled NUMERIC(12,2) DEFAULT 0,
+  PRIMARY KEY (product_id, date, currency)
+);
+CREATE INDEX IF NOT EXISTS idx_product_daily_revenue_by_currency_date
+  ON product_daily_revenue_by_currency(date);
+
+CREATE TABLE IF NOT EXISTS payment_daily_amounts_by_currency (
+  date DATE NOT NULL,
+  payment_method TEXT NOT NULL,
+  outcome TEXT NOT NULL,
+  reason TEXT NOT NULL DEFAULT '',
+  currency CHAR(3) NOT NULL,
+  amount NUMERIC(12,2) DEFAULT 0,
+  PRIMARY KEY (date, payment_method, outcome, reason, currency)
+);
+
+-- Customer and cohort revenue are read from order_states per customer
+CREATE INDEX IF NOT EXISTS idx_order_states_user ON order_states(user_id);
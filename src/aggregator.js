@@ -0,0 +1,224 @@
+const repository = require('./repository');
+const { toReportingDate, toReportingHour } = require('./time');
+
+const INCREMENT_FIELDS = [
+  'ordersCreated',
+  'ordersConfirmed',
+  'ordersCancelled',
+  'ordersShipped',
+  'revenueConfirmed',
+  'revenueCancelled',
+  'revenueRefunded',
+  'paymentSuccessCount',
+  'paymentFailureCount'
+];
+
+const addIncrements = (target, increments) => {
+  for (const field of INCREMENT_FIELDS) {
+    if (increments[field]) {
+      target[field] = (target[field] || 0) + increments[field];
+    }
+  }
+};
+
+/**
+ * Metric writer that applies each update immediately on the given client.
+ * Used for single events and the metrics rebuild.
+ */
+function createDirectWriter(client) {
+  return {
+    daily: (date, increments) => repository.upsertDailyMetrics(date, increments, client),
+    hourly: (occurredAt, increments) => repository.upsertHourlyMetrics(occurredAt, increments, client),
+    product: async (productId, quantity, revenue, orderedAt, currency) => {
+      const date = toReportingDate(orderedAt);
+      await repository.upsertProductMetrics(productId, quantity, revenue, orderedAt, client);
+      await repository.upsertProductDailyMetrics(date, productId, quantity, revenue, client);
+      await repository.upsertProductCurrencyRevenue([{ date, productId, currency, revenue }], client);
+    },
+    productPairs: (productIds) => repository.upsertProductPairs([productIds], client),
+    productPairsCancellation: (productIds) => repository.reverseProductPairs([productIds], client),
+    productCancellation: async (productId, quantity, revenue, cancelledAt, currency) => {
+      const date = toReportingDate(cancelledAt);
+      await repository.upsertProductCancellation(productId, quantity, revenue, client);
+      await repository.upsertProductDailyCancellation(date, productId, quantity, revenue, client);
+      await repository.upsertProductCurrencyRevenue([{ date, productId, currency, revenueCancelled: revenue }], client);
+    },
+    user: (userId, increments, orderedAt) => repository.upsertUserMetrics(userId, increments, orderedAt, client),
+    currencyRevenue: async (occurredAt, currency, increments) => {
+      await repository.upsertCurrencyRevenue(toReportingDate(occurredAt), currency, increments, client);
+      await repository.upsertHourlyCurrencyRevenue(occurredAt, currency, increments, client);
+    },
+    orderState: (orderId, transition) => repository.upsertOrderState(orderId, transition, client),
+    payment: async (date, orderId, attempt) => {
+      await repository.upsertPaymentAttempt(orderId, attempt, client);
+      await repository.upsertPaymentDailyMetrics(date, attempt, client);
+      await repository.upsertPaymentCurrencyAmount(date, attempt, client);
+    }
+  };
+}
+
+/**
+ * Metric writer for batch consumption. Daily, hourly and product (lifetime,
+ * per-day and per-day per-currency) increments are summed in memory per key
+ * and written by flush() as one multi-row upsert per table, as are all
+ * orders' co-purchases, then the reversed ones of cancelled orders;
+ * per-currency revenue is summed per date (and hour) and currency and
+ * written one row at a time. Per-order and per-customer updates, and
+ * product cancellations, are queued and replayed in order.
+ */
+function createBatchAggregator() {
+  const daily = new Map();
+  const hourly = new Map();
+  const products = new Map();
+  const productDaily = new Map();
+  const productCurrency = new Map();
+  const baskets = [];
+  const cancelledBaskets = [];
+  const currencyRevenue = new Map();
+  const hourlyCurrencyRevenue = new Map();
+  const pending = [];
+
+  const writer = {
+    daily: (date, increments) => {
+      if (!daily.has(date)) daily.set(date, { date, increments: {} });
+      addIncrements(daily.get(date).increments, increments);
+    },
+
+    hourly: (occurredAt, increments) => {
+      const key = toReportingHour(occurredAt);
+      if (!hourly.has(key)) hourly.set(key, { occurredAt, increments: {} });
+      addIncrements(hourly.get(key).increments, increments);
+    },
+
+    product: (productId, quantity, revenue, orderedAt, currency) => {
+      const date = toReportingDate(orderedAt);
+      const dayKey = `${date}:${productId}`;
+      const day = productDaily.get(dayKey);
+      if (day) {
+        day.quantitySold += quantity;
+        day.revenue += revenue;
+        day.orderCount += 1;
+      } else {
+        productDaily.set(dayKey, { date, productId, quantitySold: quantity, revenue, orderCount: 1 });
+      }
+
+      const currencyKey = `${dayKey}:${currency}`;
+      const dayCurrency = productCurrency.get(currencyKey);
+      if (dayCurrency) {
+        dayCurrency.revenue += revenue;
+      } else {
+        productCurrency.set(currencyKey, { date, productId, currency, revenue });
+      }
+
+      const entry = products.get(productId);
+      if (!entry) {
+        products.set(productId, { productId, quantitySold: quantity, revenue, orderCount: 1, lastOrderedAt: orderedAt });
+        return;
+      }
+      entry.quantitySold += quantity;
+      entry.revenue += revenue;
+      entry.orderCount += 1;
+      if (orderedAt > entry.lastOrderedAt) entry.lastOrderedAt = orderedAt;
+    },
+
+    productPairs: (productIds) => {
+      baskets.push(productIds);
+    },
+
+    productPairsCancellation: (productIds) => {
+      cancelledBaskets.push(productIds);
+    },
+
+    productCancellation: (productId, quantity, revenue, cancelledAt, currency) => {
+      pending.push(async (client) => {
+        const date = toReportingDate(cancelledAt);
+        await repository.upsertProductCancellation(productId, quantity, revenue, client);
+        await repository.upsertProductDailyCancellation(date, productId, quantity, revenue, client);
+        await repository.upsertProductCurrencyRevenue([{ date, productId, currency, revenueCancelled: revenue }], client);
+      });
+    },
+
+    currencyRevenue: (occurredAt, currency, increments) => {
+      const date = toReportingDate(occurredAt);
+      const key = `${date}:${currency}`;
+      if (!currencyRevenue.has(key)) currencyRevenue.set(key, { date, currency, increments: {} });
+      addIncrements(currencyRevenue.get(key).increments, increments);
+
+      const hourKey = `${toReportingHour(occurredAt)}:${currency}`;
+      if (!hourlyCurrencyRevenue.has(hourKey)) hourlyCurrencyRevenue.set(hourKey, { occurredAt, currency, increments: {} });
+      addIncrements(hourlyCurrencyRevenue.get(hourKey).increments, increments);
+    },
+
+    user: (userId, increments, orderedAt) => {
+      pending.push((client) => repository.upsertUserMetrics(userId, increments, orderedAt, client));
+    },
+
+    orderState: (orderId, transition) => {
+      pending.push((client) => repository.upsertOrderState(orderId, transition, client));
+    },
+
+    payment: (date, orderId, attempt) => {
+      pending.push(async (client) => {
+        await repository.upsertPaymentAttempt(orderId, attempt, client);
+        await repository.upsertPaymentDailyMetrics(date, attempt, client);
+        await repository.upsertPaymentCurrencyAmount(date, attempt, client);
+      });
+    }
+  };
+
+  async function flush(client) {
+    if (daily.size > 0) await repository.upsertDailyMetricsBatch([...daily.values()], client);
+    if (hourly.size > 0) await repository.upsertHourlyMetricsBatch([...hourly.values()], client);
+    if (products.size > 0) await repository.upsertProductMetricsBatch([...products.values()], client);
+    if (productDaily.size > 0) await repository.upsertProductDailyMetricsBatch([...productDaily.values()], client);
+    if (productCurrency.size > 0) await repository.upsertProductCurrencyRevenue([...productCurrency.values()], client);
+    if (baskets.length > 0) await repository.upsertProductPairs(baskets, client);
+    if (cancelledBaskets.length > 0) await repository.reverseProductPairs(cancelledBaskets, client);
+    for (const { date, currency, increments } of currencyRevenue.values()) {
+      await repository.upsertCurrencyRevenue(date, currency, increments, client);
+    }
+    for (const { occurredAt, currency, increments } of hourlyCurrencyRevenue.values()) {
+      await repository.upsertHourlyCurrencyRevenue(occurredAt, currency, increments, client);
+    }
+    for (const write of pending) {
+      await write(client);
+    }
+  }
+
+  return { writer, flush };
+}
+
+/**
+ * Wrap a metric writer to also record what goes through it: daily
+ * increments (and event count) per date, and quantity sold per product.
+ * processEvent and processBatch build their derived events from these.
+ */
+function trackChanges(writer) {
+  const daily = new Map();
+  const productsSold = new Map();
+
+  return {
+    daily,
+    productsSold,
+    writer: {
+      ...writer,
+      daily: (date, increments) => {
+        if (!daily.has(date)) daily.set(date, { increments: {}, eventCount: 0 });
+        const entry = daily.get(date);
+        addIncrements(entry.increments, increments);
+        entry.eventCount += 1;
+        return writer.daily(date, increments);
+      },
+      product: (productId, quantity, revenue, orderedAt, currency) => {
+        productsSold.set(productId, (productsSold.get(productId) || 0) + quantity);
+        return writer.product(productId, quantity, revenue, orderedAt, currency);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createDirectWriter,
+  createBatchAggregator,
+  trackChanges
+};
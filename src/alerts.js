@@ -0,0 +1,255 @@
+const { getPool } = require('./db');
+const repository = require('./repository');
+const logger = require('./logger');
+
+const ALERTS_TOPIC = process.env.KAFKA_ALERTS_TOPIC || 'analytics.alerts';
+const EVALUATION_INTERVAL_MS = parseInt(process.env.ALERT_EVALUATION_INTERVAL_MS, 10) || 60000;
+
+// Transaction-level advisory lock so only one instance evaluates at a time
+const ALERT_LOCK_KEY = 72730002;
+
+const ALERT_METRICS = [
+  'orders_created',
+  'orders_confirmed',
+  'orders_cancelled',
+  'revenue',
+  'payment_failures',
+  'payment_failure_rate'
+];
+const EVALUATIONS = ['threshold', 'anomaly'];
+const CONDITIONS = ['above', 'below'];
+
+// Anomaly rules are not evaluated on fewer baseline hours than this
+const MIN_BASELINE_SAMPLES = 3;
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate an alert rule from a request body. Returns { rule } with
+ * defaults applied, or { error }.
+ */
+function validateAlertRule(body) {
+  const {
+    name,
+    metric,
+    evaluation = 'threshold',
+    condition,
+    threshold,
+    windowMinutes = 60,
+    baselineDays = 14,
+    minAttempts = 0,
+    enabled = true
+  } = body || {};
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 200) {
+    return { error: 'name must be a non-empty string of at most 200 characters.' };
+  }
+  if (!ALERT_METRICS.includes(metric)) {
+    return { error: `metric must be one of ${ALERT_METRICS.join(', ')}.` };
+  }
+  if (!EVALUATIONS.includes(evaluation)) {
+    return { error: 'evaluation must be threshold or anomaly.' };
+  }
+  if (!CONDITIONS.includes(condition)) {
+    return { error: 'condition must be above or below.' };
+  }
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || (evaluation === 'anomaly' && threshold <= 0)) {
+    return { error: 'threshold must be a number (a positive number of standard deviations for anomaly rules).' };
+  }
+  if (!isIntegerBetween(windowMinutes, 1, 10080)) {
+    return { error: 'windowMinutes must be an integer from 1 to 10080.' };
+  }
+  if (!isIntegerBetween(baselineDays, MIN_BASELINE_SAMPLES, 90)) {
+    return { error: `baselineDays must be an integer from ${MIN_BASELINE_SAMPLES} to 90.` };
+  }
+  if (!isIntegerBetween(minAttempts, 0, 1000000)) {
+    return { error: 'minAttempts must be a non-negative integer.' };
+  }
+  if (typeof enabled !== 'boolean') {
+    return { error: 'enabled must be a boolean.' };
+  }
+
+  return {
+    rule: { name: name.trim(), metric, evaluation, condition, threshold, windowMinutes, baselineDays, minAttempts, enabled }
+  };
+}
+
+const formatValue = (value) => (value === null ? 'n/a' : value.toFixed(2));
+
+/**
+ * Whether a measurement can be judged: the failure rate needs at least
+ * minAttempts payment attempts behind it.
+ */
+const isUsable = (rule, sample) => sample.value !== null &&
+  (rule.metric !== 'payment_failure_rate' || sample.paymentAttempts >= rule.minAttempts);
+
+/**
+ * Evaluate a rule against hourly_order_counts. Returns { value, bound,
+ * breached, message }, or null when there is not enough data to judge.
+ */
+async function evaluateRule(rule, client) {
+  const breaches = (value, bound) => (rule.condition === 'above' ? value > bound : value < bound);
+
+  if (rule.evaluation === 'anomaly') {
+    const [current, ...baseline] = await repository.getAlertMetricSameHourSeries(rule.metric, rule.baselineDays, client);
+    const values = baseline.filter(sample => isUsable(rule, sample)).map(sample => sample.value);
+    if (!isUsable(rule, current) || values.length < MIN_BASELINE_SAMPLES) return null;
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+    const offset = rule.threshold * Math.sqrt(variance);
+    const bound = rule.condition === 'above' ? mean + offset : mean - offset;
+
+    return {
+      value: current.value,
+      bound,
+      breached: breaches(current.value, bound),
+      message: `${rule.metric} for the last full hour is ${formatValue(current.value)}; ` +
+        `the ${values.length}-day same-hour mean is ${formatValue(mean)}, ` +
+        `${rule.threshold}σ ${rule.condition} is ${formatValue(bound)}`
+    };
+  }
+
+  const sample = await repository.getAlertMetricWindow(rule.metric, rule.windowMinutes, client);
+  if (!isUsable(rule, sample)) return null;
+
+  return {
+    value: sample.value,
+    bound: rule.threshold,
+    breached: breaches(sample.value, rule.threshold),
+    message: `${rule.metric} over the last ${rule.windowMinutes} minutes is ${formatValue(sample.value)}, ` +
+      `threshold ${rule.condition} ${formatValue(rule.threshold)}`
+  };
+}
+
+/**
+ * Kafka message for an alert transition
+ */
+const toAlertMessage = (type, alert, rule) => ({
+  type,
+  alertId: alert.id,
+  ruleId: alert.ruleId,
+  ruleName: alert.ruleName,
+  metric: alert.metric,
+  evaluation: rule ? rule.evaluation : null,
+  condition: rule ? rule.condition : null,
+  threshold: rule ? rule.threshold : null,
+  value: alert.value,
+  bound: alert.bound,
+  message: alert.message,
+  firedAt: alert.firedAt,
+  resolvedAt: alert.resolvedAt,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Evaluate every enabled rule in one transaction: a breaching rule without
+ * a firing alert fires one, a firing alert whose rule no longer breaches
+ * (or was disabled) is resolved, and a rule without enough data
+ * keeps its current state. Transitions are queued in the outbox in the
+ * same transaction, for the relay to publish to the alerts topic. Returns
+ * the queued messages, or null when another instance holds the lock.
+ */
+async function evaluateAlerts() {
+  const client = await getPool().connect();
+  const transitions = [];
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [ALERT_LOCK_KEY]);
+    if (!rows[0].acquired) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const rules = await repository.listAlertRules({ enabledOnly: true }, client);
+    const firing = await repository.getFiringAlerts(client);
+
+    for (const rule of rules) {
+      const result = await evaluateRule(rule, client);
+      const open = firing.get(rule.id);
+      firing.delete(rule.id);
+      if (!result) continue;
+
+      const { value, bound, message } = result;
+      if (result.breached && !open) {
+        const alert = await repository.insertAlert({ ruleId: rule.id, value, bound, message }, client);
+        transitions.push(toAlertMessage('alert.firing', alert, rule));
+      } else if (result.breached) {
+        await repository.updateAlertEvaluation(open.id, { value, bound, message }, client);
+      } else if (open) {
+        const alert = await repository.resolveAlert(open.id, { value, bound }, client);
+        transitions.push(toAlertMessage('alert.resolved', alert, rule));
+      }
+    }
+
+    // Firing alerts left over belong to rules that are no longer enabled
+    for (const open of firing.values()) {
+      const alert = await repository.resolveAlert(open.id, { value: open.value, bound: open.bound }, client);
+      transitions.push(toAlertMessage('alert.resolved', alert, null));
+    }
+
+    if (transitions.length > 0) {
+      await repository.insertOutboxEvents(transitions.map(transition => ({
+        topic: ALERTS_TOPIC,
+        key: String(transition.ruleId),
+        eventType: transition.type,
+        payload: transition
+      })), client);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const transition of transitions) {
+    const log = transition.type === 'alert.firing' ? logger.warn : logger.info;
+    log.call(logger, transition.type === 'alert.firing' ? 'Alert firing' : 'Alert resolved', {
+      alertId: transition.alertId,
+      ruleId: transition.ruleId,
+      message: transition.message
+    });
+  }
+  return transitions;
+}
+
+let timer = null;
+let tick = null;
+
+/**
+ * Evaluate alert rules every ALERT_EVALUATION_INTERVAL_MS. An evaluation
+ * that is still running when the next one is due is not overlapped.
+ */
+function startAlertEvaluator() {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    if (tick) return;
+    tick = evaluateAlerts()
+      .catch(error => logger.error('Alert evaluation failed', { error: error.message }))
+      .finally(() => {
+        tick = null;
+      });
+  }, EVALUATION_INTERVAL_MS);
+  timer.unref();
+  logger.info('Alert evaluator started', { intervalMs: EVALUATION_INTERVAL_MS });
+}
+
+/**
+ * Stop evaluating and wait for a running evaluation to finish.
+ */
+async function stopAlertEvaluator() {
+  clearInterval(timer);
+  timer = null;
+  if (tick) await tick;
+}
+
+module.exports = {
+  validateAlertRule,
+  evaluateRule,
+  evaluateAlerts,
+  startAlertEvaluator,
+  stopAlertEvaluator
+};
@@ -0,0 +1,147 @@
+const COMPARE_MODES = ['previous_period', 'previous_year'];
+
+// Ratios can't be summed, so they get per-bucket deltas but no total
+const NON_ADDITIVE_FIELDS = ['averageOrderValue'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight. Returns null if invalid.
+ */
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Monday of the date's week, matching date_trunc('week')
+const startOfWeek = (date) => addDays(date, -((date.getUTCDay() + 6) % 7));
+
+/**
+ * Shift by calendar months, keeping the time of day and clamping the day to
+ * the end of the target month (like Postgres interval arithmetic).
+ */
+function addMonths(date, months) {
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return new Date(target.getTime() + (date.getTime() - day));
+}
+
+/**
+ * Range to compare a series against.
+ * previous_period is the same number of buckets immediately before the range;
+ * previous_year is the same range a year earlier (52 weeks for weekly, so
+ * week buckets line up). Daily/weekly/monthly ranges are YYYY-MM-DD dates,
+ * hourly ranges ISO instants. Returns null if the range can't be parsed.
+ */
+function getComparisonRange(period, from, to, mode) {
+  if (period === 'hourly') {
+    const start = new Date(from);
+    const end = new Date(to);
+    if (mode === 'previous_year') {
+      return { from: addMonths(start, -12).toISOString(), to: addMonths(end, -12).toISOString() };
+    }
+    const hours = Math.floor(end.getTime() / HOUR_MS) - Math.floor(start.getTime() / HOUR_MS) + 1;
+    return {
+      from: new Date(start.getTime() - hours * HOUR_MS).toISOString(),
+      to: new Date(end.getTime() - hours * HOUR_MS).toISOString()
+    };
+  }
+
+  const start = parseDate(from);
+  const end = parseDate(to);
+  if (!start || !end) return null;
+
+  let shift;
+  switch (period) {
+    case 'weekly': {
+      const weeks = mode === 'previous_year'
+        ? 52
+        : Math.round((startOfWeek(end) - startOfWeek(start)) / (7 * DAY_MS)) + 1;
+      shift = (date) => addDays(date, -7 * weeks);
+      break;
+    }
+    case 'monthly': {
+      const months = mode === 'previous_year'
+        ? 12
+        : (end.getUTCFullYear() * 12 + end.getUTCMonth()) - (start.getUTCFullYear() * 12 + start.getUTCMonth()) + 1;
+      shift = (date) => addMonths(date, -months);
+      break;
+    }
+    default: {
+      if (mode === 'previous_year') {
+        shift = (date) => addMonths(date, -12);
+      } else {
+        const days = Math.round((end - start) / DAY_MS) + 1;
+        shift = (date) => addDays(date, -days);
+      }
+    }
+  }
+
+  return { from: formatDate(shift(start)), to: formatDate(shift(end)) };
+}
+
+/**
+ * Absolute and percentage change; money values (strings) keep two decimals.
+ * percent is null when there is nothing to compare against.
+ */
+function delta(current, previous, money) {
+  if (previous === null || previous === undefined) {
+    return { absolute: null, percent: null };
+  }
+
+  const diff = Number(current) - Number(previous);
+  return {
+    absolute: money ? diff.toFixed(2) : diff,
+    percent: Number(previous) !== 0 ? parseFloat(((diff / Number(previous)) * 100).toFixed(1)) : null
+  };
+}
+
+/**
+ * Per-bucket and total deltas between two series of the same period.
+ * Buckets are paired by position; every field except date is compared.
+ */
+function compareSeries(current, previous) {
+  const sample = current[0] || previous[0] || {};
+  const fields = Object.keys(sample).filter(field => field !== 'date');
+  const isMoney = (field) => typeof sample[field] === 'string';
+
+  const series = current.map((bucket, index) => {
+    const prior = previous[index];
+    const entry = { date: bucket.date, previousDate: prior ? prior.date : null };
+    for (const field of fields) {
+      entry[field] = delta(bucket[field], prior ? prior[field] : null, isMoney(field));
+    }
+    return entry;
+  });
+
+  const total = {};
+  for (const field of fields.filter(name => !NON_ADDITIVE_FIELDS.includes(name))) {
+    const sum = (rows) => rows.reduce((acc, row) => acc + Number(row[field]), 0);
+    const currentTotal = sum(current);
+    const previousTotal = sum(previous);
+    total[field] = {
+      current: isMoney(field) ? currentTotal.toFixed(2) : currentTotal,
+      previous: isMoney(field) ? previousTotal.toFixed(2) : previousTotal,
+      ...delta(currentTotal, previousTotal, isMoney(field))
+    };
+  }
+
+  return { series, total };
+}
+
+module.exports = {
+  COMPARE_MODES,
+  parseDate,
+  getComparisonRange,
+  compareSeries
+};
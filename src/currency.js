@@ -0,0 +1,75 @@
+const fs = require('fs').promises;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Upper-cased ISO 4217 code, or null if value isn't a 3-letter code.
+ */
+function normalizeCurrency(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toUpperCase();
+  return CURRENCY_PATTERN.test(code) ? code : null;
+}
+
+// Currency fx_rates are quoted in, and assumed for events without
+// data.currency. Checked at load so an invalid value fails at startup.
+const BASE_CURRENCY = normalizeCurrency(process.env.BASE_CURRENCY || 'USD');
+if (!BASE_CURRENCY) {
+  throw new Error('BASE_CURRENCY must be a 3-letter ISO 4217 code');
+}
+
+/**
+ * Currency of an event's amounts.
+ */
+function getEventCurrency(data) {
+  return normalizeCurrency(data?.currency) || BASE_CURRENCY;
+}
+
+const isDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+
+/**
+ * Validate FX rates ([{ date, currency, rate }], rate = units of
+ * BASE_CURRENCY per unit of currency). Returns { rates } with currencies
+ * normalized, or { error }.
+ */
+function validateFxRates(rates) {
+  if (!Array.isArray(rates) || rates.length === 0) {
+    return { error: 'rates must be a non-empty array.' };
+  }
+
+  const normalized = [];
+  for (const [index, entry] of rates.entries()) {
+    const currency = normalizeCurrency(entry && entry.currency);
+    const rate = Number(entry && entry.rate);
+    if (!entry || !isDate(entry.date) || !currency || !Number.isFinite(rate) || rate <= 0) {
+      return { error: `rates[${index}] must have a YYYY-MM-DD date, a 3-letter currency and a positive rate.` };
+    }
+    if (currency === BASE_CURRENCY) {
+      return { error: `rates[${index}]: ${BASE_CURRENCY} is the base currency (rate 1).` };
+    }
+    normalized.push({ date: entry.date, currency, rate });
+  }
+  return { rates: normalized };
+}
+
+/**
+ * Read and validate a JSON file of FX rates (same shape as the
+ * POST /analytics/fx-rates body's rates). Throws if it is invalid.
+ */
+async function readFxRatesFile(filePath) {
+  const { rates, error } = validateFxRates(JSON.parse(await fs.readFile(filePath, 'utf-8')));
+  if (error) {
+    throw new Error(`${filePath}: ${error}`);
+  }
+  return rates;
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  getEventCurrency,
+  validateFxRates,
+  readFxRatesFile
+};
@@ -1,23 +1,32 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
 
 let pool = null;
 
+/**
+ * Connection settings shared by the pool and dedicated clients
+ */
+function getConnectionConfig() {
+  return {
+    host: process.env.DB_HOST || 'localhost',
+    port: parseInt(process.env.DB_PORT || '5432', 10),
+    database: process.env.DB_NAME || 'analytics_service',
+    user: process.env.DB_USER || 'postgres',
+    password: process.env.DB_PASSWORD || 'postgres',
+    ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
+  };
+}
+
 /**
  * Initialize database connection pool (lazy singleton)
  */
 function getPool() {
   if (!pool) {
     pool = new Pool({
-      host: process.env.DB_HOST || 'localhost',
-      port: parseInt(process.env.DB_PORT || '5432', 10),
-      database: process.env.DB_NAME || 'analytics_service',
-      user: process.env.DB_USER || 'postgres',
-      password: process.env.DB_PASSWORD || 'postgres',
-      max: parseInt(process.env.DB_POOL_MAX || '10', 10),
-      ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
+      ...getConnectionConfig(),
+      max: parseInt(process.env.DB_POOL_MAX || '10', 10)
     });
 
     pool.on('error', (err) => {
@@ -38,10 +47,24 @@ function getPool() {
   return pool;
 }
 
+/**
+ * Create a client outside the pool, for connections held open for their
+ * session (LISTEN). The caller connects and ends it.
+ */
+function createClient() {
+  return new Client(getConnectionConfig());
+}
+
+// Marks a migration whose new columns or tables can only be backfilled by
+// replaying events_log (bucketed by reporting timezone, or order-dependent)
+const REBUILD_DIRECTIVE = /^-- @rebuild-metrics\s*$/m;
+
 /**
  * Run database migrations from migrations/ directory.
  * Tracks applied migrations in a schema_migrations table to prevent
  * re-running already-applied migrations (safe for ALTER TABLE, etc.).
+ * Migrations carrying the rebuild directive are recorded as awaiting a
+ * metrics rebuild until one completes. Returns { rebuildPending }.
  */
 async function runMigrations() {
   const pool = getPool();
@@ -54,6 +77,9 @@ async function runMigrations() {
         applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
       )
     `);
+    await pool.query(
+      'ALTER TABLE schema_migrations ADD COLUMN IF NOT EXISTS rebuild_pending BOOLEAN NOT NULL DEFAULT FALSE'
+    );
 
     const migrationsDir = path.join(__dirname, '..', 'migrations');
     const files = await fs.readdir(migrationsDir);
@@ -79,13 +105,18 @@ async function runMigrations() {
       logger.info('Executing migration', { file });
       await pool.query(sql);
       await pool.query(
-        'INSERT INTO schema_migrations (filename) VALUES ($1)',
-        [file]
+        'INSERT INTO schema_migrations (filename, rebuild_pending) VALUES ($1, $2)',
+        [file, REBUILD_DIRECTIVE.test(sql)]
       );
       logger.info('Migration completed', { file });
     }
 
+    const rebuild = await pool.query(
+      'SELECT EXISTS (SELECT 1 FROM schema_migrations WHERE rebuild_pending) AS pending'
+    );
+
     logger.info('All database migrations completed successfully');
+    return { rebuildPending: rebuild.rows[0].pending };
   } catch (error) {
     logger.error('Failed to run database migrations', {
       error: error.message,
@@ -96,13 +127,14 @@ async function runMigrations() {
 }
 
 /**
- * Initialize database: run migrations
+ * Initialize database: run migrations. Returns { rebuildPending }.
  */
 async function initDatabase() {
   try {
     logger.info('Initializing database');
-    await runMigrations();
+    const result = await runMigrations();
     logger.info('Database initialization completed successfully');
+    return result;
   } catch (error) {
     logger.error('Database initialization failed', {
       error: error.message,
@@ -150,6 +182,7 @@ async function checkHealth() {
 
 module.exports = {
   getPool,
+  createClient,
   initDatabase,
   closePool,
   checkHealth
@@ -0,0 +1,93 @@
+const { EVENT_TYPES } = require('@florea-alex/order-events-schemas');
+
+// Fallback dedup fields for events without an envelope eventId. Types not
+// listed use orderId alone, which matches the legacy (event_type, order_id)
+// rule; these types legitimately repeat per order.
+const DEFAULT_DEDUP_FIELDS = {
+  [EVENT_TYPES.PAYMENT_FAILED]: ['orderId', 'timestamp'],
+  [EVENT_TYPES.ORDER_SHIPPED]: ['orderId', 'data.trackingNumber']
+};
+
+// Refunds, where the schema package defines them, can repeat per order too
+for (const type of [EVENT_TYPES.PAYMENT_REFUNDED, EVENT_TYPES.PAYMENT_PARTIALLY_REFUNDED]) {
+  if (type) DEFAULT_DEDUP_FIELDS[type] = ['orderId', 'timestamp'];
+}
+
+const LEGACY_DEDUP_FIELDS = ['orderId'];
+
+/**
+ * Parse EVENT_DEDUP_KEYS ({"<event type>": ["field", "data.nested", ...]}).
+ * Runs at load so a malformed value fails at startup.
+ */
+function loadDedupFields(raw) {
+  if (!raw) return { ...DEFAULT_DEDUP_FIELDS };
+
+  const parsed = JSON.parse(raw);
+  for (const [type, fields] of Object.entries(parsed)) {
+    if (!Array.isArray(fields) || fields.length === 0 || !fields.every(field => typeof field === 'string')) {
+      throw new Error(`EVENT_DEDUP_KEYS: fields for ${type} must be a non-empty array of strings`);
+    }
+  }
+  return { ...DEFAULT_DEDUP_FIELDS, ...parsed };
+}
+
+const DEDUP_FIELDS = loadDedupFields(process.env.EVENT_DEDUP_KEYS);
+
+const readField = (event, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  event
+);
+
+/**
+ * Value of a fallback field as it appears in the key, or null when missing.
+ * The envelope timestamp is keyed as the instant it parses to (ISO 8601,
+ * UTC), so formatting differences don't split one event into two keys.
+ */
+function readKeyValue(event, field) {
+  const value = readField(event, field);
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (field === 'timestamp') {
+    const instant = new Date(value);
+    return Number.isNaN(instant.getTime()) ? null : instant.toISOString();
+  }
+  return String(value);
+}
+
+/**
+ * Envelope event ID, when the producer set one.
+ */
+function getEventId(event) {
+  return event.eventId ? String(event.eventId) : null;
+}
+
+/**
+ * Key from the type's fallback fields: "<type>:<field values>". An event
+ * missing one of its fields is keyed on orderId alone, as under the legacy
+ * rule, rather than on an empty value. Migration 019 rekeys the rows logged
+ * before event IDs were stored to this form (with the default fields).
+ */
+function getFallbackKey(event) {
+  const fields = DEDUP_FIELDS[event.type] || LEGACY_DEDUP_FIELDS;
+  const values = fields.map(field => readKeyValue(event, field));
+  if (values.includes(null)) {
+    return `${event.type}:${event.orderId}`;
+  }
+  return `${event.type}:${values.join(':')}`;
+}
+
+/**
+ * Key events_log deduplicates on: "id:<eventId>" when the envelope has an
+ * event ID, otherwise the fallback key.
+ */
+function getDedupKey(event) {
+  const eventId = getEventId(event);
+  return eventId ? `id:${eventId}` : getFallbackKey(event);
+}
+
+module.exports = {
+  getEventId,
+  getFallbackKey,
+  getDedupKey
+};
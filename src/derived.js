@@ -0,0 +1,128 @@
+const repository = require('./repository');
+const { toReportingDate } = require('./time');
+const logger = require('./logger');
+
+const ANALYTICS_TOPIC = process.env.KAFKA_ANALYTICS_TOPIC || 'analytics.events';
+
+// Lifetime units sold at which a product milestone is published; an empty
+// list turns milestones off
+const PRODUCT_MILESTONES = (process.env.PRODUCT_MILESTONES ?? '100,1000,10000')
+  .split(',')
+  .map(value => parseInt(value, 10))
+  .filter(value => Number.isInteger(value) && value > 0)
+  .sort((a, b) => a - b);
+
+// A reporting day is closed this long after it ends, so events still in
+// flight at midnight are counted in its snapshot
+const DAILY_CLOSE_GRACE_MINUTES = parseInt(process.env.DAILY_CLOSE_GRACE_MINUTES || '15', 10);
+const DAILY_CLOSE_CHECK_INTERVAL_MS = 60000;
+
+const MONEY_FIELDS = new Set(['revenueConfirmed', 'revenueCancelled', 'revenueRefunded']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Outbox entry for a derived analytics event
+ */
+const derivedEvent = (type, key, data, dedupKey = null) => ({
+  topic: ANALYTICS_TOPIC,
+  key,
+  eventType: type,
+  dedupKey,
+  payload: { type, ...data, timestamp: new Date().toISOString() }
+});
+
+const formatDeltas = (increments) => Object.fromEntries(
+  Object.entries(increments).map(([field, value]) => [field, MONEY_FIELDS.has(field) ? value.toFixed(2) : value])
+);
+
+/**
+ * Queue the derived events of a metric transaction in the outbox, in that
+ * transaction: one analytics.metrics_delta per date whose daily metrics
+ * changed, and an analytics.product_milestone for each milestone a
+ * product's lifetime quantity sold crossed. changes comes from
+ * trackChanges; product metrics must already be written.
+ */
+async function recordDerivedEvents(changes, client) {
+  const entries = [];
+
+  for (const [date, { increments, eventCount }] of changes.daily) {
+    entries.push(derivedEvent('analytics.metrics_delta', date, { date, deltas: formatDeltas(increments), eventCount }));
+  }
+
+  if (changes.productsSold.size > 0 && PRODUCT_MILESTONES.length > 0) {
+    const totals = await repository.getProductTotals([...changes.productsSold.keys()], client);
+    for (const { productId, quantitySold, revenue } of totals) {
+      const before = quantitySold - changes.productsSold.get(productId);
+      for (const milestone of PRODUCT_MILESTONES.filter(value => before < value && quantitySold >= value)) {
+        entries.push(derivedEvent(
+          'analytics.product_milestone',
+          String(productId),
+          { productId, milestone, quantitySold, revenue },
+          `product_milestone:${productId}:${milestone}`
+        ));
+      }
+    }
+  }
+
+  if (entries.length > 0) {
+    await repository.insertOutboxEvents(entries, client);
+  }
+}
+
+let lastClosedDate = null;
+
+/**
+ * Queue the analytics.daily_closed snapshot of the last reporting day once
+ * it has ended (plus the grace period). Each day is closed once across
+ * instances and restarts; days the service was down for are not closed
+ * retroactively. Returns the date closed, or null when already done.
+ */
+async function closeReportingDay(now = new Date()) {
+  const current = toReportingDate(new Date(now.getTime() - DAILY_CLOSE_GRACE_MINUTES * 60 * 1000));
+  const date = new Date(Date.parse(current) - DAY_MS).toISOString().split('T')[0];
+  if (date === lastClosedDate) return null;
+
+  const metrics = await repository.getDailySnapshot(date);
+  await repository.insertOutboxEvents([
+    derivedEvent('analytics.daily_closed', date, { date, metrics }, `daily_closed:${date}`)
+  ]);
+  lastClosedDate = date;
+  logger.info('Reporting day closed', { date });
+  return date;
+}
+
+let timer = null;
+let tick = null;
+
+/**
+ * Check every minute whether a reporting day is ready to be closed.
+ */
+function startDailyClose() {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    if (tick) return;
+    tick = closeReportingDay()
+      .catch(error => logger.error('Closing reporting day failed', { error: error.message }))
+      .finally(() => {
+        tick = null;
+      });
+  }, DAILY_CLOSE_CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+/**
+ * Stop checking and wait for a running check to finish.
+ */
+async function stopDailyClose() {
+  clearInterval(timer);
+  timer = null;
+  if (tick) await tick;
+}
+
+module.exports = {
+  recordDerivedEvents,
+  closeReportingDay,
+  startDailyClose,
+  stopDailyClose
+};
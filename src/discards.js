@@ -0,0 +1,167 @@
+const { CONSUMER_GROUPS } = require('@florea-alex/order-events-schemas');
+const { scanRetainedMessages } = require('./kafka');
+const { getDedupKey, getFallbackKey } = require('./dedup');
+const repository = require('./repository');
+const logger = require('./logger');
+
+let state = {
+  status: 'idle',
+  startedAt: null,
+  finishedAt: null,
+  since: null,
+  scannedMessages: 0,
+  oldestMessageAt: null,
+  error: null
+};
+
+// eventType -> { discarded, orders, firstSeenAt, lastSeenAt }, and the keys
+// already counted (a discarded event may have been redelivered too)
+let counts = new Map();
+let countedKeys = new Set();
+
+/**
+ * Current or last legacy discard scan (this instance only), with the events
+ * found so far grouped by type.
+ */
+function getDiscardScanStatus() {
+  const byEventType = [...counts.entries()]
+    .map(([eventType, entry]) => ({
+      eventType,
+      discarded: entry.discarded,
+      affectedOrders: entry.orders.size,
+      firstSeenAt: new Date(entry.firstSeenAt).toISOString(),
+      lastSeenAt: new Date(entry.lastSeenAt).toISOString()
+    }))
+    .sort((a, b) => b.discarded - a.discarded || a.eventType.localeCompare(b.eventType));
+
+  return {
+    ...state,
+    totalDiscarded: byEventType.reduce((sum, row) => sum + row.discarded, 0),
+    byEventType
+  };
+}
+
+const parseEvent = (message) => {
+  try {
+    const event = JSON.parse(message.value ? message.value.toString() : '');
+    return event && typeof event.type === 'string' && event.orderId !== undefined ? event : null;
+  } catch (parseError) {
+    return null;
+  }
+};
+
+/**
+ * Count a batch's messages that the legacy rule discarded: produced before
+ * migration 009, consumed (below the stored offset), not quarantined, and
+ * not in events_log under their dedup key (nor a legacy row under their
+ * fallback key). Since legacy rows carry the fallback key, such an event
+ * differs from the one kept for its type and order, so it was wrongly
+ * discarded rather than a redelivery.
+ */
+async function countBatch({ topic, partition, messages }, since, consumedOffsets) {
+  state.scannedMessages += messages.length;
+
+  const nextOffset = consumedOffsets.get(`${topic}:${partition}`);
+  const candidates = [];
+  for (const message of messages) {
+    const producedAt = Number(message.timestamp);
+    if (state.oldestMessageAt === null || producedAt < Date.parse(state.oldestMessageAt)) {
+      state.oldestMessageAt = new Date(producedAt).toISOString();
+    }
+    if (producedAt >= since.getTime()) continue;
+    if (nextOffset !== undefined && BigInt(message.offset) >= nextOffset) continue;
+
+    const event = parseEvent(message);
+    if (event) {
+      candidates.push({
+        offset: String(message.offset),
+        producedAt,
+        event,
+        dedupKey: getDedupKey(event),
+        fallbackKey: getFallbackKey(event)
+      });
+    }
+  }
+  if (candidates.length === 0) return;
+
+  const quarantined = await repository.findQuarantinedOffsets(topic, partition, candidates.map(c => c.offset));
+  const logged = await repository.findLoggedDedupKeys([
+    ...new Set(candidates.flatMap(c => [c.dedupKey, c.fallbackKey]))
+  ]);
+
+  for (const { offset, producedAt, event, dedupKey, fallbackKey } of candidates) {
+    if (quarantined.has(offset) || logged.has(dedupKey) || logged.get(fallbackKey) === true) continue;
+    if (countedKeys.has(dedupKey)) continue;
+    countedKeys.add(dedupKey);
+
+    const entry = counts.get(event.type) || { discarded: 0, orders: new Set(), firstSeenAt: producedAt, lastSeenAt: producedAt };
+    entry.discarded += 1;
+    entry.orders.add(String(event.orderId));
+    entry.firstSeenAt = Math.min(entry.firstSeenAt, producedAt);
+    entry.lastSeenAt = Math.max(entry.lastSeenAt, producedAt);
+    counts.set(event.type, entry);
+  }
+}
+
+async function runDiscardScan() {
+  try {
+    const since = await repository.getDedupMigrationAppliedAt();
+    if (!since) {
+      throw new Error('Migration 009 has not been applied');
+    }
+    state.since = since.toISOString();
+
+    const stored = await repository.getConsumerOffsets(CONSUMER_GROUPS.ANALYTICS_SERVICE);
+    const consumedOffsets = new Map(
+      stored.map(({ topic, partition, nextOffset }) => [`${topic}:${partition}`, BigInt(nextOffset)])
+    );
+
+    await scanRetainedMessages((batch) => countBatch(batch, since, consumedOffsets));
+
+    state.status = 'completed';
+    logger.info('Legacy discard scan completed', {
+      scannedMessages: state.scannedMessages,
+      totalDiscarded: getDiscardScanStatus().totalDiscarded
+    });
+  } catch (error) {
+    state.status = 'failed';
+    state.error = error.message;
+    logger.error('Legacy discard scan failed', { error: error.message });
+  } finally {
+    state.finishedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Start a scan of the messages still retained on the source topics, in the
+ * background, for the events the legacy (event_type, order_id) rule
+ * discarded. Returns false if a scan is already running on this instance.
+ */
+function startDiscardScan() {
+  if (state.status === 'running') {
+    return false;
+  }
+
+  state = {
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    since: null,
+    scannedMessages: 0,
+    oldestMessageAt: null,
+    error: null
+  };
+  counts = new Map();
+  countedKeys = new Set();
+
+  logger.info('Legacy discard scan started');
+
+  // Runs detached; results are reported through getDiscardScanStatus
+  runDiscardScan();
+  return true;
+}
+
+module.exports = {
+  startDiscardScan,
+  getDiscardScanStatus
+};
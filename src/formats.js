@@ -0,0 +1,88 @@
+// Response formats for analytics reads: format query value -> content type
+const FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Requested response format: the format query parameter, else the Accept
+ * header (JSON unless it prefers CSV or NDJSON). Returns { format } or
+ * { error } for an unknown format value.
+ */
+function resolveFormat(req) {
+  const { format } = req.query;
+  if (format !== undefined) {
+    return FORMATS[format] ? { format } : { error: 'Invalid format. Must be json, csv, or ndjson.' };
+  }
+
+  const accepted = req.accepts(Object.values(FORMATS));
+  const match = Object.keys(FORMATS).find(name => FORMATS[name] === accepted);
+  return { format: match || 'json' };
+}
+
+/**
+ * Flatten nested objects into dot-separated keys (deltas.revenue); arrays
+ * are kept as values.
+ */
+function flattenRow(row, prefix = '', target = {}) {
+  for (const [key, value] of Object.entries(row)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRow(value, name, target);
+    } else {
+      target[name] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Rows of a report's data: the data itself when it is a list, else its
+ * first list field (series, products, cohorts, rates...), else the data as
+ * a single row.
+ */
+function toRows(data) {
+  if (Array.isArray(data)) return data;
+  if (data === null || typeof data !== 'object') return [];
+
+  const list = Object.values(data).find(Array.isArray);
+  return list || [data];
+}
+
+/**
+ * One CSV field. Quotes fields containing separators, quotes or line breaks
+ * (RFC 4180), and prefixes text a spreadsheet would evaluate as a formula.
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (values) => `${values.map(csvValue).join(',')}\r\n`;
+
+/**
+ * CSV with a header line. Columns are the given list, else every flattened
+ * key in order of first appearance, so the order is stable per report.
+ */
+function toCsv(rows, columns = null) {
+  const flat = rows.map(row => flattenRow(row));
+  const header = columns || [...new Set(flat.flatMap(Object.keys))];
+  return csvLine(header) + flat.map(row => csvLine(header.map(column => row[column]))).join('');
+}
+
+const toNdjson = (rows) => rows.map(row => `${JSON.stringify(row)}\n`).join('');
+
+module.exports = {
+  FORMATS,
+  resolveFormat,
+  toRows,
+  csvLine,
+  toCsv,
+  toNdjson
+};
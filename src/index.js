@@ -2,8 +2,21 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { checkHealth: checkDbHealth, initDatabase, closePool } = require('./db');
 const { startConsumer, stopConsumer, getHealthStatus: getKafkaHealth } = require('./kafka');
-const { processEvent } = require('./processor');
+const { processEvent, processBatch } = require('./processor');
+const { redriveQuarantinedEvents } = require('./quarantine');
+const { startRebuild, getRebuildStatus } = require('./rebuild');
+const { startDiscardScan, getDiscardScanStatus } = require('./discards');
+const { validateReport, getNextRun, deliverReport, startReportScheduler, stopReportScheduler } = require('./reports');
+const { validateAlertRule, startAlertEvaluator, stopAlertEvaluator } = require('./alerts');
+const { startDailyClose, stopDailyClose } = require('./derived');
+const { startOutboxRelay, stopOutboxRelay } = require('./outbox');
+const { openStream, startStreamListener, stopStream } = require('./stream');
+const { COMPARE_MODES, parseDate, getComparisonRange, compareSeries } = require('./comparison');
+const { BASE_CURRENCY, normalizeCurrency, validateFxRates, readFxRatesFile } = require('./currency');
+const { FORMATS, resolveFormat, toRows, csvLine, toCsv, toNdjson } = require('./formats');
 const repository = require('./repository');
+const { register: metricsRegister, httpRequestDuration } = require('./metrics');
+const { toReportingDate } = require('./time');
 const logger = require('./logger');
 
 const app = express();
@@ -32,11 +45,51 @@ app.use((req, res, next) => {
       duration,
       correlationId: req.correlationId
     });
+
+    // Label by route pattern (not raw path) to keep cardinality bounded
+    httpRequestDuration.observe({
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+      status_code: String(res.statusCode)
+    }, duration / 1000);
   });
 
   next();
 });
 
+// Response format middleware — successful analytics reads are sent as CSV
+// or NDJSON rows instead of the JSON envelope when format (or Accept) asks
+app.use('/analytics', (req, res, next) => {
+  if (req.method !== 'GET') return next();
+
+  const { format, error } = resolveFormat(req);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      data: null,
+      error,
+      timestamp: new Date().toISOString()
+    });
+  }
+  res.locals.format = format;
+  if (format === 'json') return next();
+
+  // Named after the path below /analytics; req.path is the full path again
+  // once the route runs
+  const name = req.path.split('/').filter(Boolean).join('-') || 'analytics';
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (!body || body.success !== true) return sendJson(body);
+
+    const rows = toRows(body.data);
+    // attachment() sets the type from the extension, which mime lacks for .ndjson
+    res.attachment(`${name}.${format}`);
+    res.type(FORMATS[format]);
+    return res.send(format === 'csv' ? toCsv(rows) : toNdjson(rows));
+  };
+  next();
+});
+
 // Admin guard middleware — defense-in-depth (Gateway also enforces)
 function requireAdmin(req, res, next) {
   if (req.headers['x-user-role'] !== 'admin') {
@@ -50,6 +103,101 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+const MAX_HOURLY_RANGE_HOURS = 31 * 24;
+
+/**
+ * Resolve from/to instants for hourly queries (default: the last 24 hours).
+ * Returns { from, to } as ISO timestamps, or { error } when invalid.
+ */
+function resolveHourlyRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'Invalid from/to. Must be ISO 8601 timestamps.' };
+  }
+  if (from > to) {
+    return { error: 'from must not be after to.' };
+  }
+  if (to - from > MAX_HOURLY_RANGE_HOURS * 60 * 60 * 1000) {
+    return { error: `Hourly range cannot exceed ${MAX_HOURLY_RANGE_HOURS} hours.` };
+  }
+
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+// Reporting dates an hourly range spans, for resolveCurrency
+const toDateRange = ({ from, to }) => ({
+  from: toReportingDate(new Date(from)),
+  to: toReportingDate(new Date(to))
+});
+
+/**
+ * Resolve the comparison range for a series request.
+ * Returns { range } (null when no compare mode was requested) or { error }.
+ */
+function resolveComparison(period, from, to, compare) {
+  if (compare === undefined) {
+    return { range: null };
+  }
+  if (!COMPARE_MODES.includes(compare)) {
+    return { error: 'Invalid compare. Must be previous_period or previous_year.' };
+  }
+
+  const range = getComparisonRange(period, from, to, compare);
+  if (!range) {
+    return { error: 'Invalid from/to. Must be YYYY-MM-DD dates.' };
+  }
+  return { range };
+}
+
+const MAX_TRENDING_DAYS = 90;
+
+/**
+ * Resolve the current and previous windows for trending products: `days`
+ * days ending on `to` (default today), and as many days before that.
+ * Returns { current, previous } of YYYY-MM-DD ranges, or { error }.
+ */
+function resolveTrendingWindows(query) {
+  const days = query.days === undefined ? 7 : Number(query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TRENDING_DAYS) {
+    return { error: `Invalid days. Must be an integer from 1 to ${MAX_TRENDING_DAYS}.` };
+  }
+
+  const to = query.to || toReportingDate(new Date());
+  const end = /^\d{4}-\d{2}-\d{2}$/.test(to) ? Date.parse(to) : NaN;
+  const from = Number.isNaN(end)
+    ? null
+    : new Date(end - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const previous = from && getComparisonRange('daily', from, to, 'previous_period');
+  if (!previous) {
+    return { error: 'Invalid to. Must be a YYYY-MM-DD date.' };
+  }
+
+  return { current: { from, to }, previous };
+}
+
+/**
+ * Resolve the currency to convert amounts to (BASE_CURRENCY when not
+ * requested). Returns { currency } or { error }, including when amounts in
+ * one of the date ranges have no FX rate to convert them.
+ */
+async function resolveCurrency(value, ranges) {
+  const currency = value === undefined ? BASE_CURRENCY : normalizeCurrency(value);
+  if (!currency) {
+    return { error: 'Invalid currency. Must be a 3-letter ISO 4217 code.' };
+  }
+
+  for (const { from, to } of ranges) {
+    const missing = await repository.getMissingFxRates(from, to, currency);
+    if (missing.length > 0) {
+      const currencies = missing.map(entry => `${entry.currency} (from ${entry.firstDate})`).join(', ');
+      return { error: `No FX rate to convert ${currencies} to ${currency}.` };
+    }
+  }
+  return { currency };
+}
+
 // ---- Routes ----
 
 /**
@@ -71,13 +219,37 @@ app.get('/health', async (req, res) => {
   });
 });
 
+/**
+ * GET /metrics
+ * Prometheus metrics — admin only
+ */
+app.get('/metrics', requireAdmin, async (req, res) => {
+  try {
+    res.set('Content-Type', metricsRegister.contentType);
+    res.end(await metricsRegister.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error: error.message, correlationId: req.correlationId });
+    res.status(500).end();
+  }
+});
+
 /**
  * GET /analytics/overview
  * Dashboard summary — admin only
  */
 app.get('/analytics/overview', requireAdmin, async (req, res) => {
   try {
-    const data = await repository.getOverview();
+    const { currency, error } = await resolveCurrency(req.query.currency, [{ from: null, to: toReportingDate(new Date()) }]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await repository.getOverview(currency);
     res.json({
       success: true,
       data,
@@ -95,29 +267,100 @@ app.get('/analytics/overview', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /analytics/stream
+ * Server-Sent Events: totals, today's counters and the current hour after
+ * each committed metric change, on any instance — admin only
+ */
+app.get('/analytics/stream', requireAdmin, async (req, res) => {
+  try {
+    await openStream(req, res);
+  } catch (error) {
+    logger.error('Error opening analytics stream', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /analytics/revenue
- * Revenue time series — admin only
+ * Revenue time series (hourly, daily, weekly or monthly) — admin only
  */
 app.get('/analytics/revenue', requireAdmin, async (req, res) => {
   try {
     const period = req.query.period || 'daily';
-    const to = req.query.to || new Date().toISOString().split('T')[0];
-    const from = req.query.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-    if (!['daily', 'weekly', 'monthly'].includes(period)) {
+    if (!['hourly', 'daily', 'weekly', 'monthly'].includes(period)) {
       return res.status(400).json({
         success: false,
         data: null,
-        error: 'Invalid period. Must be daily, weekly, or monthly.',
+        error: 'Invalid period. Must be hourly, daily, weekly, or monthly.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let from;
+    let to;
+    if (period === 'hourly') {
+      const range = resolveHourlyRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: range.error,
+          timestamp: new Date().toISOString()
+        });
+      }
+      ({ from, to } = range);
+    } else {
+      to = req.query.to || toReportingDate(new Date());
+      from = req.query.from || toReportingDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+    }
+
+    const comparison = resolveComparison(period, from, to, req.query.compare);
+    if (comparison.error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: comparison.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const ranges = [{ from, to }, comparison.range].filter(Boolean);
+    const { currency, error } = await resolveCurrency(
+      req.query.currency,
+      period === 'hourly' ? ranges.map(toDateRange) : ranges
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
         timestamp: new Date().toISOString()
       });
     }
 
-    const series = await repository.getRevenueSeries(period, from, to);
+    const series = await repository.getRevenueSeries(period, from, to, currency);
+    const data = { period, currency, series };
+    if (comparison.range) {
+      const previous = await repository.getRevenueSeries(period, comparison.range.from, comparison.range.to, currency);
+      Object.assign(data, {
+        from,
+        to,
+        compare: req.query.compare,
+        previous: { ...comparison.range, series: previous },
+        deltas: compareSeries(series, previous)
+      });
+    }
+
     res.json({
       success: true,
-      data: { period, series },
+      data,
       error: null,
       timestamp: new Date().toISOString()
     });
@@ -134,27 +377,65 @@ app.get('/analytics/revenue', requireAdmin, async (req, res) => {
 
 /**
  * GET /analytics/orders
- * Order count time series by status — admin only
+ * Order count time series by status (hourly, daily, weekly or monthly) — admin only
  */
 app.get('/analytics/orders', requireAdmin, async (req, res) => {
   try {
     const period = req.query.period || 'daily';
-    const to = req.query.to || new Date().toISOString().split('T')[0];
-    const from = req.query.from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-    if (!['daily', 'weekly', 'monthly'].includes(period)) {
+    if (!['hourly', 'daily', 'weekly', 'monthly'].includes(period)) {
       return res.status(400).json({
         success: false,
         data: null,
-        error: 'Invalid period. Must be daily, weekly, or monthly.',
+        error: 'Invalid period. Must be hourly, daily, weekly, or monthly.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let from;
+    let to;
+    if (period === 'hourly') {
+      const range = resolveHourlyRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: range.error,
+          timestamp: new Date().toISOString()
+        });
+      }
+      ({ from, to } = range);
+    } else {
+      to = req.query.to || toReportingDate(new Date());
+      from = req.query.from || toReportingDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+    }
+
+    const comparison = resolveComparison(period, from, to, req.query.compare);
+    if (comparison.error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: comparison.error,
         timestamp: new Date().toISOString()
       });
     }
 
     const series = await repository.getOrdersSeries(period, from, to);
+    const data = { period, series };
+    if (comparison.range) {
+      const previous = await repository.getOrdersSeries(period, comparison.range.from, comparison.range.to);
+      Object.assign(data, {
+        from,
+        to,
+        compare: req.query.compare,
+        previous: { ...comparison.range, series: previous },
+        deltas: compareSeries(series, previous)
+      });
+    }
+
     res.json({
       success: true,
-      data: { period, series },
+      data,
       error: null,
       timestamp: new Date().toISOString()
     });
@@ -169,19 +450,91 @@ app.get('/analytics/orders', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /analytics/hourly
+ * Intraday hourly buckets (all statuses, revenue and payment outcomes) — admin only
+ */
+app.get('/analytics/hourly', requireAdmin, async (req, res) => {
+  try {
+    const range = resolveHourlyRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: range.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { currency, error } = await resolveCurrency(req.query.currency, [toDateRange(range)]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const series = await repository.getHourlySeries(range.from, range.to, currency);
+    res.json({
+      success: true,
+      data: { period: 'hourly', from: range.from, to: range.to, currency, series },
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching hourly metrics', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /analytics/products/top
- * Top products by revenue or quantity — admin only
+ * Top products by revenue or quantity, all-time or within a date range — admin only
  */
 app.get('/analytics/products/top', requireAdmin, async (req, res) => {
   try {
     let limit = parseInt(req.query.limit, 10) || 10;
     if (limit < 1) limit = 1;
     if (limit > 50) limit = 50;
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
 
     const sortBy = req.query.sortBy === 'quantity' ? 'quantity' : 'revenue';
 
-    const data = await repository.getTopProducts(limit, sortBy);
+    const { from, to } = req.query;
+    if ((from && !parseDate(from)) || (to && !parseDate(to))) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid from/to. Must be YYYY-MM-DD dates.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { currency, error } = await resolveCurrency(req.query.currency, [{ from: from || null, to: to || toReportingDate(new Date()) }]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await repository.getTopProducts({
+      limit,
+      offset,
+      sortBy,
+      from: from || null,
+      to: to || null,
+      currency
+    });
     res.json({
       success: true,
       data,
@@ -200,20 +553,47 @@ app.get('/analytics/products/top', requireAdmin, async (req, res) => {
 });
 
 /**
- * GET /analytics/conversion
- * Conversion funnel — admin only
+ * GET /analytics/products/trending
+ * Products growing fastest versus the previous window — admin only
  */
-app.get('/analytics/conversion', requireAdmin, async (req, res) => {
+app.get('/analytics/products/trending', requireAdmin, async (req, res) => {
   try {
-    const data = await repository.getConversion();
+    const windows = resolveTrendingWindows(req.query);
+    if (windows.error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: windows.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let limit = parseInt(req.query.limit, 10) || 10;
+    if (limit < 1) limit = 1;
+    if (limit > 50) limit = 50;
+    const minQuantity = Math.max(1, parseInt(req.query.minQuantity, 10) || 5);
+
+    const sortBy = req.query.sortBy === 'quantity' ? 'quantity' : 'revenue';
+
+    const { currency, error } = await resolveCurrency(req.query.currency, [windows.current, windows.previous]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const products = await repository.getTrendingProducts({ ...windows, sortBy, minQuantity, limit, currency });
     res.json({
       success: true,
-      data,
+      data: { ...windows.current, previous: windows.previous, sortBy, minQuantity, currency, products },
       error: null,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Error fetching conversion', { error: error.message, correlationId: req.correlationId });
+    logger.error('Error fetching trending products', { error: error.message, correlationId: req.correlationId });
     res.status(500).json({
       success: false,
       data: null,
@@ -223,40 +603,1280 @@ app.get('/analytics/conversion', requireAdmin, async (req, res) => {
   }
 });
 
-// ---- Startup & Shutdown ----
+/**
+ * GET /analytics/products/:productId
+ * Single product totals and quantity/revenue series — admin only
+ */
+app.get('/analytics/products/:productId', requireAdmin, async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId, 10);
+    if (!Number.isInteger(productId) || productId < 1 || String(productId) !== req.params.productId) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid product id.',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-let server = null;
+    const period = req.query.period || 'daily';
+    if (!['daily', 'weekly'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid period. Must be daily or weekly.',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-const shutdown = async (signal) => {
-  logger.info('Shutdown signal received', { signal });
+    const to = req.query.to || toReportingDate(new Date());
+    const from = req.query.from || toReportingDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
 
-  try {
-    await stopConsumer();
+    const { currency, error } = await resolveCurrency(req.query.currency, [{ from: null, to: toReportingDate(new Date()) }]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    if (server) {
-      await new Promise((resolve) => {
-        server.close(() => {
-          logger.info('Express server closed');
-          resolve();
-        });
+    const data = await repository.getProductDetail(productId, period, from, to, currency);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: 'Product not found',
+        timestamp: new Date().toISOString()
       });
     }
 
-    await closePool();
-    process.exit(0);
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    logger.error('Error during shutdown', { error: error.message });
-    process.exit(1);
+    logger.error('Error fetching product', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
   }
-};
+});
 
-const start = async () => {
+/**
+ * GET /analytics/products/:productId/affinity
+ * Products most often bought together with a product — admin only
+ */
+app.get('/analytics/products/:productId/affinity', requireAdmin, async (req, res) => {
   try {
-    // Initialize database and run migrations
-    await initDatabase();
+    const productId = parseInt(req.params.productId, 10);
+    if (!Number.isInteger(productId) || productId < 1 || String(productId) !== req.params.productId) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid product id.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let limit = parseInt(req.query.limit, 10) || 10;
+    if (limit < 1) limit = 1;
+    if (limit > 50) limit = 50;
+
+    const data = await repository.getProductAffinity(productId, limit);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: 'Product not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching product affinity', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/conversion
+ * Conversion funnel — admin only
+ */
+app.get('/analytics/conversion', requireAdmin, async (req, res) => {
+  try {
+    const data = await repository.getConversion();
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching conversion', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/latency
+ * Order lifecycle latency percentiles per transition — admin only
+ */
+app.get('/analytics/latency', requireAdmin, async (req, res) => {
+  try {
+    const period = req.query.period || 'daily';
+    const to = req.query.to || toReportingDate(new Date());
+    const from = req.query.from || toReportingDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+
+    if (!['daily', 'weekly', 'monthly'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid period. Must be daily, weekly, or monthly.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const series = await repository.getLatencySeries(period, from, to);
+    res.json({
+      success: true,
+      data: { period, series },
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching latency', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/payments
+ * Payment authorization/failure series, top failure reasons, per-method
+ * authorization rates and retry stats — admin only
+ */
+app.get('/analytics/payments', requireAdmin, async (req, res) => {
+  try {
+    const period = req.query.period || 'daily';
+    const to = req.query.to || toReportingDate(new Date());
+    const from = req.query.from || toReportingDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+
+    if (!['daily', 'weekly', 'monthly'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid period. Must be daily, weekly, or monthly.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let limit = parseInt(req.query.limit, 10) || 10;
+    if (limit < 1) limit = 1;
+    if (limit > 50) limit = 50;
+
+    const { currency, error } = await resolveCurrency(req.query.currency, [{ from, to }]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const payments = await repository.getPaymentAnalytics(period, from, to, limit, currency);
+    res.json({
+      success: true,
+      data: { period, from, to, ...payments },
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching payment analytics', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/customers/top
+ * Top customers by confirmed revenue or order count — admin only
+ */
+app.get('/analytics/customers/top', requireAdmin, async (req, res) => {
+  try {
+    let limit = parseInt(req.query.limit, 10) || 10;
+    if (limit < 1) limit = 1;
+    if (limit > 50) limit = 50;
+
+    const sortBy = req.query.sortBy === 'orders' ? 'orders' : 'revenue';
+
+    const { currency, error } = await resolveCurrency(req.query.currency, [{ from: null, to: toReportingDate(new Date()) }]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await repository.getTopCustomers(limit, sortBy, currency);
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching top customers', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/customers/:userId
+ * Single customer metrics — admin only
+ */
+app.get('/analytics/customers/:userId', requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (!Number.isInteger(userId) || userId < 1 || String(userId) !== req.params.userId) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid user id.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { currency, error } = await resolveCurrency(req.query.currency, [{ from: null, to: toReportingDate(new Date()) }]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await repository.getCustomer(userId, currency);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: 'Customer not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching customer', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/cohorts
+ * Cohort retention matrix by first-order week or month — admin only
+ */
+app.get('/analytics/cohorts', requireAdmin, async (req, res) => {
+  try {
+    const granularity = req.query.granularity || 'month';
+    const to = req.query.to || toReportingDate(new Date());
+    const from = req.query.from || toReportingDate(new Date(Date.now() - 180 * 24 * 60 * 60 * 1000));
+
+    if (!['week', 'month'].includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid granularity. Must be week or month.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { currency, error } = await resolveCurrency(req.query.currency, [{ from, to: toReportingDate(new Date()) }]);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const cohorts = await repository.getCohorts(granularity, from, to, currency);
+    res.json({
+      success: true,
+      data: { granularity, currency, cohorts },
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching cohorts', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/dedup/would-discard
+ * Events logged since the dedup migration that the legacy (event_type, order_id)
+ * rule would discard — admin only
+ */
+app.get('/analytics/dedup/would-discard', requireAdmin, async (req, res) => {
+  try {
+    const data = await repository.getLegacyWouldDiscardReport();
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching dedup report', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /analytics/dedup/scan
+ * Count the events the legacy (event_type, order_id) rule discarded, by
+ * scanning the messages Kafka still retains — admin only. Runs in the
+ * background.
+ */
+app.post('/analytics/dedup/scan', requireAdmin, (req, res) => {
+  const started = startDiscardScan();
+
+  if (!started) {
+    return res.status(409).json({
+      success: false,
+      data: getDiscardScanStatus(),
+      error: 'A legacy discard scan is already running',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  logger.info('Legacy discard scan requested', { correlationId: req.correlationId });
+  res.status(202).json({
+    success: true,
+    data: getDiscardScanStatus(),
+    error: null,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /analytics/dedup/scan/status
+ * Progress and findings of the current or last legacy discard scan — admin only
+ */
+app.get('/analytics/dedup/scan/status', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: getDiscardScanStatus(),
+    error: null,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Column order of GET /analytics/export/events
+const EXPORT_COLUMNS = [
+  'id', 'eventId', 'eventType', 'orderId', 'userId', 'correlationId', 'occurredAt', 'receivedAt', 'data'
+];
+
+// Resolves once the response can take more data (or the client has gone)
+const drained = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * GET /analytics/export/events
+ * Stream events_log rows for a date range as CSV or NDJSON — admin only
+ */
+app.get('/analytics/export/events', requireAdmin, async (req, res) => {
+  const format = res.locals.format === 'ndjson' ? 'ndjson' : 'csv';
+  const to = req.query.to || toReportingDate(new Date());
+  const from = req.query.from || toReportingDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+
+  if (req.query.format === 'json') {
+    return res.status(400).json({
+      success: false,
+      data: null,
+      error: 'Invalid format. Must be csv or ndjson.',
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    return res.status(400).json({
+      success: false,
+      data: null,
+      error: 'Invalid from/to. Must be YYYY-MM-DD dates.',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  // Headers go out with the first batch, so a failed query can still get a 500
+  const start = () => {
+    if (res.headersSent) return;
+    res.attachment(`events-${from}-${to}.${format}`);
+    res.type(FORMATS[format]);
+    if (format === 'csv') res.write(csvLine(EXPORT_COLUMNS));
+  };
+
+  try {
+    const batches = repository.streamLoggedEvents({ from, to, eventType: req.query.eventType || null });
+    for await (const rows of batches) {
+      if (closed) break;
+      start();
+
+      const chunk = format === 'csv'
+        ? rows.map(row => csvLine(EXPORT_COLUMNS.map(column => row[column]))).join('')
+        : toNdjson(rows);
+      if (!res.write(chunk)) await drained(res);
+    }
+
+    if (!closed) {
+      start();
+      res.end();
+    }
+  } catch (error) {
+    logger.error('Error exporting events', { error: error.message, correlationId: req.correlationId });
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/fx-rates
+ * List FX rates (units of the base currency per unit of currency) — admin only
+ */
+app.get('/analytics/fx-rates', requireAdmin, async (req, res) => {
+  try {
+    const currency = req.query.currency !== undefined ? normalizeCurrency(req.query.currency) : null;
+    if (req.query.currency !== undefined && !currency) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid currency. Must be a 3-letter ISO 4217 code.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let limit = parseInt(req.query.limit, 10) || 100;
+    if (limit < 1) limit = 1;
+    if (limit > 1000) limit = 1000;
+
+    const rates = await repository.getFxRates({ currency, from: req.query.from, to: req.query.to, limit });
+    res.json({
+      success: true,
+      data: { baseCurrency: BASE_CURRENCY, rates },
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching FX rates', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /analytics/fx-rates
+ * Load FX rates, replacing existing rates for the same currency and date — admin only
+ */
+app.post('/analytics/fx-rates', requireAdmin, async (req, res) => {
+  try {
+    const input = req.body && req.body.rates;
+    const { rates, error } = Array.isArray(input) && input.length > 1000
+      ? { error: 'rates cannot contain more than 1000 entries.' }
+      : validateFxRates(input);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const upserted = await repository.upsertFxRates(rates);
+    res.json({
+      success: true,
+      data: { baseCurrency: BASE_CURRENCY, upserted },
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error loading FX rates', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/quarantine
+ * List rejected Kafka messages — admin only
+ */
+app.get('/analytics/quarantine', requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    const reason = req.query.reason || null;
+
+    if (status && !['quarantined', 'redriven', 'redrive_failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid status. Must be quarantined, redriven, or redrive_failed.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let limit = parseInt(req.query.limit, 10) || 50;
+    if (limit < 1) limit = 1;
+    if (limit > 100) limit = 100;
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+    const data = await repository.listQuarantinedEvents({ status, reason, limit, offset });
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing quarantined events', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /analytics/quarantine/redrive
+ * Re-drive selected quarantined messages through the event processor — admin only
+ */
+app.post('/analytics/quarantine/redrive', requireAdmin, async (req, res) => {
+  try {
+    const ids = req.body && req.body.ids;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 100 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'ids must be a non-empty array of up to 100 positive integers.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const results = await redriveQuarantinedEvents(ids);
+    res.json({
+      success: true,
+      data: { results },
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error re-driving quarantined events', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/quarantine/:id
+ * Inspect a quarantined message including raw payload and headers — admin only
+ */
+app.get('/analytics/quarantine/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1 || String(id) !== req.params.id) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid quarantine id.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await repository.getQuarantinedEvent(id);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: 'Quarantined event not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching quarantined event', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/alerts
+ * Firing and resolved alerts, newest first — admin only
+ */
+app.get('/analytics/alerts', requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !['firing', 'resolved'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid status. Must be firing or resolved.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let ruleId = null;
+    if (req.query.ruleId !== undefined) {
+      ruleId = parseInt(req.query.ruleId, 10);
+      if (!Number.isInteger(ruleId) || ruleId < 1 || String(ruleId) !== req.query.ruleId) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: 'Invalid ruleId.',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    let limit = parseInt(req.query.limit, 10) || 50;
+    if (limit < 1) limit = 1;
+    if (limit > 100) limit = 100;
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+    const data = await repository.listAlerts({ status, ruleId, limit, offset });
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing alerts', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/alerts/rules
+ * List alert rules — admin only
+ */
+app.get('/analytics/alerts/rules', requireAdmin, async (req, res) => {
+  try {
+    const data = await repository.listAlertRules();
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing alert rules', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /analytics/alerts/rules
+ * Create an alert rule, evaluated from the next evaluation on — admin only
+ */
+app.post('/analytics/alerts/rules', requireAdmin, async (req, res) => {
+  try {
+    const { rule, error } = validateAlertRule(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await repository.createAlertRule(rule);
+    logger.info('Alert rule created', { ruleId: data.id, correlationId: req.correlationId });
+    res.status(201).json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating alert rule', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /analytics/alerts/rules/:id
+ * Replace an alert rule's definition — admin only
+ */
+app.put('/analytics/alerts/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1 || String(id) !== req.params.id) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid alert rule id.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { rule, error } = validateAlertRule(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await repository.updateAlertRule(id, rule);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: 'Alert rule not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating alert rule', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /analytics/alerts/rules/:id
+ * Delete an alert rule and its alerts — admin only
+ */
+app.delete('/analytics/alerts/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1 || String(id) !== req.params.id) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid alert rule id.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const deleted = await repository.deleteAlertRule(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: 'Alert rule not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id },
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting alert rule', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/reports
+ * List saved reports — admin only
+ */
+app.get('/analytics/reports', requireAdmin, async (req, res) => {
+  try {
+    const data = await repository.listSavedReports();
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing saved reports', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /analytics/reports
+ * Save a report to render on a cron schedule and deliver to a webhook — admin only
+ */
+app.post('/analytics/reports', requireAdmin, async (req, res) => {
+  try {
+    const { report, error } = validateReport(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await repository.createSavedReport(report, report.enabled ? getNextRun(report.schedule) : null);
+    logger.info('Saved report created', { reportId: data.id, correlationId: req.correlationId });
+    res.status(201).json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating saved report', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /analytics/reports/:id
+ * Replace a saved report's definition; its next run follows the new schedule — admin only
+ */
+app.put('/analytics/reports/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1 || String(id) !== req.params.id) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid report id.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { report, error } = validateReport(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await repository.updateSavedReport(id, report, report.enabled ? getNextRun(report.schedule) : null);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: 'Report not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating saved report', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /analytics/reports/:id
+ * Delete a saved report and its delivery log — admin only
+ */
+app.delete('/analytics/reports/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1 || String(id) !== req.params.id) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid report id.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const deleted = await repository.deleteSavedReport(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: 'Report not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id },
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting saved report', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /analytics/reports/:id/run
+ * Render and deliver a report now, outside its schedule — admin only.
+ * Waits for the delivery (including retries) and returns its log entry.
+ */
+app.post('/analytics/reports/:id/run', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1 || String(id) !== req.params.id) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid report id.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const report = await repository.getSavedReport(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        error: 'Report not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const data = await deliverReport(report, new Date(), 'manual');
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error running saved report', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/reports/:id/deliveries
+ * Delivery log of a saved report, newest first — admin only
+ */
+app.get('/analytics/reports/:id/deliveries', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1 || String(id) !== req.params.id) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'Invalid report id.',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let limit = parseInt(req.query.limit, 10) || 20;
+    if (limit < 1) limit = 1;
+    if (limit > 100) limit = 100;
+
+    const data = await repository.listReportDeliveries(id, limit);
+    res.json({
+      success: true,
+      data,
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing report deliveries', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /analytics/rebuild
+ * Rebuild all metric projections by replaying events_log — admin only.
+ * Runs in the background; the dashboard keeps serving the current numbers
+ * until the rebuilt tables are swapped in.
+ */
+app.post('/analytics/rebuild', requireAdmin, async (req, res) => {
+  try {
+    const started = await startRebuild();
+
+    if (!started) {
+      return res.status(409).json({
+        success: false,
+        data: getRebuildStatus(),
+        error: 'A metrics rebuild is already running',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info('Metrics rebuild requested', { correlationId: req.correlationId });
+    res.status(202).json({
+      success: true,
+      data: getRebuildStatus(),
+      error: null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error starting metrics rebuild', { error: error.message, correlationId: req.correlationId });
+    res.status(500).json({
+      success: false,
+      data: null,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /analytics/rebuild/status
+ * Progress of the current or last metrics rebuild — admin only
+ */
+app.get('/analytics/rebuild/status', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: getRebuildStatus(),
+    error: null,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ---- Startup & Shutdown ----
+
+let server = null;
+
+const shutdown = async (signal) => {
+  logger.info('Shutdown signal received', { signal });
+
+  try {
+    await stopAlertEvaluator();
+    await stopReportScheduler();
+    await stopDailyClose();
+    // Let a running relay poll finish before the producer disconnects
+    await stopOutboxRelay();
+    await stopConsumer();
+    // Open streams would keep the server from closing
+    await stopStream();
+
+    if (server) {
+      await new Promise((resolve) => {
+        server.close(() => {
+          logger.info('Express server closed');
+          resolve();
+        });
+      });
+    }
+
+    await closePool();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during shutdown', { error: error.message });
+    process.exit(1);
+  }
+};
+
+const start = async () => {
+  try {
+    // Initialize database and run migrations
+    const { rebuildPending } = await initDatabase();
+
+    // Load FX rates shipped with the deployment, if any
+    if (process.env.FX_RATES_FILE) {
+      const rates = await readFxRatesFile(process.env.FX_RATES_FILE);
+      await repository.upsertFxRates(rates);
+      logger.info('FX rates loaded', { file: process.env.FX_RATES_FILE, count: rates.length });
+    }
+
+    // Backfill projections added by migrations that need a replay; if another
+    // instance is already rebuilding, the next start picks it up
+    if (rebuildPending) {
+      const started = await startRebuild();
+      logger.info('Metrics rebuild required by migrations', { started });
+    }
 
     // Start Kafka consumer
-    await startConsumer(processEvent);
+    await startConsumer(processEvent, processBatch);
+
+    // Start delivering saved reports on their schedules
+    startReportScheduler();
+
+    // Publish queued outbox messages with the consumer's producer
+    startOutboxRelay();
+    startDailyClose();
+
+    // Start evaluating alert rules
+    startAlertEvaluator();
+
+    // Push metric updates from every instance to stream clients
+    startStreamListener();
 
     // Start HTTP server
     server = app.listen(PORT, () => {
@@ -1,10 +1,22 @@
 const { Kafka } = require('kafkajs');
 const { TOPICS, CONSUMER_GROUPS, validateEvent } = require('@florea-alex/order-events-schemas');
+const repository = require('./repository');
+const { messagesRejected, consumerLag } = require('./metrics');
 const logger = require('./logger');
 
 const KAFKA_BROKERS = (process.env.KAFKA_BROKERS || 'localhost:9092').split(',');
 const KAFKA_CLIENT_ID = process.env.KAFKA_CLIENT_ID || 'analytics-service';
 const KAFKA_GROUP_ID = CONSUMER_GROUPS.ANALYTICS_SERVICE;
+const KAFKA_DEAD_LETTER_TOPIC = process.env.KAFKA_DEAD_LETTER_TOPIC || 'analytics.dead-letter';
+const KAFKA_BATCH_MODE = process.env.KAFKA_BATCH_MODE === 'true';
+
+// Reasons a message is routed to the dead-letter topic / quarantine table
+const REJECT_REASONS = {
+  EMPTY_MESSAGE: 'empty_message',
+  INVALID_JSON: 'invalid_json',
+  VALIDATION_FAILED: 'validation_failed',
+  PROCESSING_FAILED: 'processing_failed'
+};
 
 const kafka = new Kafka({
   clientId: KAFKA_CLIENT_ID,
@@ -22,95 +34,441 @@ const consumer = kafka.consumer({
   heartbeatInterval: 3000
 });
 
+const producer = kafka.producer();
+
+// Per-partition lag as reported after each fetched batch is processed
+consumer.on(consumer.events.END_BATCH_PROCESS, ({ payload }) => {
+  consumerLag.set(
+    { topic: payload.topic, partition: String(payload.partition) },
+    Number(payload.offsetLag)
+  );
+});
+
 let isRunning = false;
 
+// Resume each assigned partition from the offset stored alongside the
+// metrics; Kafka's committed offset only applies where nothing is stored yet.
+// kafkajs doesn't await this listener, so the assigned partitions are paused
+// (synchronously, before the first fetch) until the seeks are in place
+consumer.on(consumer.events.GROUP_JOIN, async ({ payload }) => {
+  const assignment = payload.memberAssignment || {};
+  const assigned = Object.entries(assignment).map(([topic, partitions]) => ({ topic, partitions }));
+  consumer.pause(assigned);
+
+  try {
+    const stored = await repository.getConsumerOffsets(KAFKA_GROUP_ID);
+
+    for (const { topic, partition, nextOffset } of stored) {
+      if ((assignment[topic] || []).includes(partition)) {
+        consumer.seek({ topic, partition, offset: nextOffset });
+        logger.info('Seeking to stored consumer offset', { topic, partition, offset: nextOffset });
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to restore stored consumer offsets', {
+      error: error.message,
+      groupId: KAFKA_GROUP_ID
+    });
+  } finally {
+    consumer.resume(assigned);
+  }
+});
+
+/**
+ * Convert Kafka message headers (Buffer values) into a plain string map
+ */
+const decodeHeaders = (headers) => {
+  const decoded = {};
+  if (!headers) return decoded;
+
+  for (const [key, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) continue;
+    decoded[key] = Buffer.isBuffer(value) ? value.toString() : String(value);
+  }
+  return decoded;
+};
+
+/**
+ * Route a rejected message to the dead-letter topic and the quarantined_events table.
+ * Both sinks are best-effort and independent: a failure in one is logged and
+ * does not prevent the other, and never crashes the consumer.
+ * With saveOffset false the stored offset is left for the caller to move.
+ */
+const rejectMessage = async ({ reason, error, topic, partition, message, eventType, correlationId, saveOffset = true }) => {
+  const headers = decodeHeaders(message.headers);
+  const rawPayload = message.value ? message.value.toString() : null;
+  const errorMessage = error ? error.message || String(error) : null;
+
+  messagesRejected.inc({ topic, reason });
+
+  try {
+    await producer.send({
+      topic: KAFKA_DEAD_LETTER_TOPIC,
+      messages: [{
+        key: message.key,
+        value: message.value,
+        headers: {
+          ...headers,
+          'x-dlq-reason': reason,
+          'x-dlq-error': errorMessage || '',
+          'x-dlq-source-topic': topic,
+          'x-dlq-source-partition': String(partition),
+          'x-dlq-source-offset': String(message.offset)
+        }
+      }]
+    });
+  } catch (dlqError) {
+    logger.error('Failed to publish message to dead-letter topic', {
+      error: dlqError.message,
+      deadLetterTopic: KAFKA_DEAD_LETTER_TOPIC,
+      topic, partition, offset: message.offset,
+      reason
+    });
+  }
+
+  try {
+    await repository.insertQuarantinedEvent({
+      reason,
+      errorMessage,
+      topic,
+      partition,
+      offset: message.offset,
+      messageKey: message.key ? message.key.toString() : null,
+      rawPayload,
+      headers,
+      eventType,
+      correlationId
+    });
+    // Rejected messages are final, so the stored offset moves past them too
+    if (saveOffset) {
+      await repository.saveConsumerOffset({
+        groupId: KAFKA_GROUP_ID,
+        topic,
+        partition,
+        offset: message.offset
+      });
+    }
+  } catch (dbError) {
+    logger.error('Failed to quarantine rejected message', {
+      error: dbError.message,
+      topic, partition, offset: message.offset,
+      reason
+    });
+  }
+
+  logger.warn('Message routed to dead-letter topic', {
+    reason,
+    deadLetterTopic: KAFKA_DEAD_LETTER_TOPIC,
+    topic, partition, offset: message.offset,
+    eventType,
+    correlationId
+  });
+};
+
+/**
+ * Extract the correlation ID from Kafka message headers, if present
+ */
+const getCorrelationId = (message) => {
+  if (!message.headers) return null;
+
+  const headerValue = message.headers['x-correlation-id'] || message.headers.correlationId;
+  if (!headerValue) return null;
+  return Buffer.isBuffer(headerValue) ? headerValue.toString() : headerValue;
+};
+
+/**
+ * Parse and validate a Kafka message into an event.
+ * Returns { event, eventType } on success; messages that are empty, not JSON
+ * or fail validation are routed to the dead-letter topic and null is returned.
+ */
+const parseMessage = async ({ topic, partition, message, correlationId, saveOffset }) => {
+  const rawValue = message.value ? message.value.toString() : null;
+  if (!rawValue) {
+    logger.error('Received empty message from Kafka', {
+      topic, partition, offset: message.offset
+    });
+    await rejectMessage({
+      reason: REJECT_REASONS.EMPTY_MESSAGE,
+      topic, partition, message, correlationId, saveOffset
+    });
+    return null;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawValue);
+  } catch (parseError) {
+    logger.error('Failed to parse Kafka message as JSON', {
+      error: parseError.message,
+      topic, partition, offset: message.offset,
+      rawValue: rawValue.substring(0, 200)
+    });
+    await rejectMessage({
+      reason: REJECT_REASONS.INVALID_JSON,
+      error: parseError,
+      topic, partition, message, correlationId, saveOffset
+    });
+    return null;
+  }
+
+  // Inject correlation ID from headers if available
+  if (correlationId) {
+    event.correlationId = correlationId;
+  }
+  const eventType = event.type || null;
+
+  // Validate event using shared schema library
+  const result = validateEvent(event);
+  if (!result.success) {
+    logger.warn('Event validation failed', {
+      error: result.error?.message || 'Unknown validation error',
+      eventType: event.type,
+      topic, partition, offset: message.offset,
+      correlationId
+    });
+    await rejectMessage({
+      reason: REJECT_REASONS.VALIDATION_FAILED,
+      error: result.error || new Error('Unknown validation error'),
+      topic, partition, message, eventType, correlationId, saveOffset
+    });
+    return null;
+  }
+
+  return { event: result.data, eventType };
+};
+
+/**
+ * Handle a single message: parse, validate and pass it to messageHandler.
+ * Never throws — failures are quarantined so the consumer keeps going.
+ */
+const handleMessage = async ({ topic, partition, message }, messageHandler) => {
+  const correlationId = getCorrelationId(message);
+  let eventType = null;
+
+  try {
+    const parsed = await parseMessage({ topic, partition, message, correlationId });
+    if (!parsed) return;
+    eventType = parsed.eventType;
+
+    // Pass validated event to the processor, which stores the offset with the metrics
+    await messageHandler(parsed.event, correlationId, {
+      groupId: KAFKA_GROUP_ID,
+      topic,
+      partition,
+      offset: message.offset
+    });
+  } catch (error) {
+    logger.error('Failed to process message', {
+      error: error.message,
+      stack: error.stack,
+      topic, partition, offset: message.offset,
+      correlationId
+    });
+    // Don't rethrow — quarantine and skip to avoid crashing the consumer
+    await rejectMessage({
+      reason: REJECT_REASONS.PROCESSING_FAILED,
+      error,
+      topic, partition, message, eventType, correlationId
+    });
+  }
+};
+
+/**
+ * Handle a fetched batch: every valid message is written by batchHandler in
+ * one transaction, and offsets are resolved and committed only after it
+ * commits. If the batch transaction fails, its messages are retried one by
+ * one so a single bad event is quarantined instead of blocking the rest.
+ */
+const handleBatch = async ({ batch, resolveOffset, heartbeat, commitOffsetsIfNecessary, isRunning: consumerRunning, isStale }, messageHandler, batchHandler) => {
+  const { topic, partition } = batch;
+  const source = { groupId: KAFKA_GROUP_ID, topic, partition, offset: batch.lastOffset() };
+  const entries = [];
+  // Messages rejected while parsing leave the stored offset alone: moving it
+  // past them now would make the batch transaction skip the valid messages
+  // before them as already processed
+  let rejected = false;
+
+  for (const message of batch.messages) {
+    if (!consumerRunning() || isStale()) return;
+
+    const correlationId = getCorrelationId(message);
+    try {
+      const parsed = await parseMessage({ topic, partition, message, correlationId, saveOffset: false });
+      if (parsed) {
+        entries.push({ event: parsed.event, correlationId, message });
+      } else {
+        rejected = true;
+      }
+    } catch (error) {
+      rejected = true;
+      await rejectMessage({
+        reason: REJECT_REASONS.PROCESSING_FAILED,
+        error,
+        topic, partition, message, correlationId,
+        saveOffset: false
+      });
+    }
+  }
+
+  // Set once the batch transaction has stored the offset past the whole batch
+  let stored = false;
+  if (entries.length > 0) {
+    try {
+      await batchHandler(
+        entries.map(({ event, correlationId, message }) => ({ event, correlationId, offset: message.offset })),
+        source
+      );
+      stored = true;
+    } catch (error) {
+      logger.warn('Batch transaction failed, falling back to per-message processing', {
+        error: error.message,
+        topic, partition,
+        batchSize: entries.length
+      });
+      for (const { message } of entries) {
+        await handleMessage({ topic, partition, message }, messageHandler);
+        await heartbeat();
+      }
+    }
+  }
+
+  if (rejected && !stored) {
+    try {
+      await repository.saveConsumerOffset(source);
+    } catch (error) {
+      logger.error('Failed to store consumer offset', {
+        error: error.message,
+        topic, partition, offset: source.offset
+      });
+    }
+  }
+
+  resolveOffset(batch.lastOffset());
+  await commitOffsetsIfNecessary();
+  await heartbeat();
+};
+
 /**
- * Start the Kafka consumer, subscribing to both order and payment topics
+ * Start the Kafka consumer, subscribing to both order and payment topics.
+ * With KAFKA_BATCH_MODE=true and a batchHandler, fetched batches are written
+ * in a single transaction (eachBatch); otherwise messages are handled one
+ * at a time (eachMessage).
  */
-const startConsumer = async (messageHandler) => {
+const startConsumer = async (messageHandler, batchHandler) => {
   if (isRunning) {
     logger.warn('Consumer already running');
     return;
   }
 
   await consumer.connect();
+  await producer.connect();
 
   // Subscribe to both topics
   await consumer.subscribe({ topic: TOPICS.ORDER_EVENTS, fromBeginning: false });
   await consumer.subscribe({ topic: TOPICS.PAYMENT_EVENTS, fromBeginning: false });
 
+  const batchMode = KAFKA_BATCH_MODE && typeof batchHandler === 'function';
+
   logger.info('Kafka consumer started', {
     topics: [TOPICS.ORDER_EVENTS, TOPICS.PAYMENT_EVENTS],
     groupId: KAFKA_GROUP_ID,
-    brokers: KAFKA_BROKERS
+    brokers: KAFKA_BROKERS,
+    deadLetterTopic: KAFKA_DEAD_LETTER_TOPIC,
+    mode: batchMode ? 'batch' : 'message'
   });
 
   isRunning = true;
 
+  if (batchMode) {
+    await consumer.run({
+      eachBatchAutoResolve: false,
+      eachBatch: (payload) => handleBatch(payload, messageHandler, batchHandler)
+    });
+    return;
+  }
+
   await consumer.run({
-    eachMessage: async ({ topic, partition, message }) => {
-      let correlationId = null;
-
-      // Extract correlation ID from Kafka headers
-      if (message.headers) {
-        const headerValue = message.headers['x-correlation-id'] || message.headers.correlationId;
-        if (headerValue) {
-          correlationId = Buffer.isBuffer(headerValue) ? headerValue.toString() : headerValue;
-        }
+    eachMessage: (payload) => handleMessage(payload, messageHandler)
+  });
+};
+
+/**
+ * Publish messages ({ key, value, headers }) to a topic with the producer
+ * the consumer connects. Used by the outbox relay; throws if the send fails.
+ */
+const publishMessages = async (topic, messages) => {
+  await producer.send({ topic, messages });
+};
+
+/**
+ * Read every message still retained on the source topics, up to the end
+ * offsets they had when the scan started, with a throwaway consumer group
+ * that commits nothing. onMessages receives ({ topic, partition, messages })
+ * per fetched batch; resolves once every partition has been read, or
+ * rejects with the first error onMessages throws.
+ */
+const scanRetainedMessages = async (onMessages) => {
+  const topics = [TOPICS.ORDER_EVENTS, TOPICS.PAYMENT_EVENTS];
+  const ends = new Map();
+
+  const admin = kafka.admin();
+  await admin.connect();
+  try {
+    for (const topic of topics) {
+      for (const { partition, low, high } of await admin.fetchTopicOffsets(topic)) {
+        if (BigInt(high) > BigInt(low)) ends.set(`${topic}:${partition}`, BigInt(high));
       }
+    }
+  } finally {
+    await admin.disconnect();
+  }
 
-      try {
-        const rawValue = message.value ? message.value.toString() : null;
-        if (!rawValue) {
-          logger.error('Received empty message from Kafka', {
-            topic, partition, offset: message.offset
-          });
-          return;
-        }
+  if (ends.size === 0) return;
 
-        let event;
-        try {
-          event = JSON.parse(rawValue);
-        } catch (parseError) {
-          logger.error('Failed to parse Kafka message as JSON', {
-            error: parseError.message,
-            topic, partition, offset: message.offset,
-            rawValue: rawValue.substring(0, 200)
-          });
-          return;
-        }
+  const scanner = kafka.consumer({ groupId: `${KAFKA_GROUP_ID}.scan.${Date.now()}` });
+  let settled = false;
+  let settle;
+  const done = new Promise((resolve, reject) => {
+    settle = (error) => {
+      if (settled) return;
+      settled = true;
+      if (error) reject(error); else resolve();
+    };
+  });
+  scanner.on(scanner.events.CRASH, ({ payload }) => settle(payload.error));
 
-        // Inject correlation ID from headers if available
-        if (correlationId) {
-          event.correlationId = correlationId;
-        }
+  await scanner.connect();
+  try {
+    for (const topic of topics) {
+      await scanner.subscribe({ topic, fromBeginning: true });
+    }
+    await scanner.run({
+      autoCommit: false,
+      eachBatch: async ({ batch }) => {
+        const key = `${batch.topic}:${batch.partition}`;
+        const end = ends.get(key);
+        if (settled || end === undefined) return;
 
-        // Validate event using shared schema library
-        const result = validateEvent(event);
-        if (!result.success) {
-          logger.warn('Event validation failed', {
-            error: result.error?.message || 'Unknown validation error',
-            eventType: event.type,
-            topic, partition, offset: message.offset,
-            correlationId
-          });
+        const messages = batch.messages.filter(message => BigInt(message.offset) < end);
+        try {
+          if (messages.length > 0) {
+            await onMessages({ topic: batch.topic, partition: batch.partition, messages });
+          }
+        } catch (error) {
+          settle(error);
           return;
         }
 
-        // Pass validated event to the processor
-        await messageHandler(result.data, correlationId);
-
-      } catch (error) {
-        logger.error('Failed to process message', {
-          error: error.message,
-          stack: error.stack,
-          topic, partition, offset: message.offset,
-          correlationId
-        });
-        // Don't rethrow — log and skip to avoid crashing the consumer
+        if (BigInt(batch.lastOffset()) + 1n >= end) {
+          ends.delete(key);
+          if (ends.size === 0) settle();
+        }
       }
-    }
-  });
+    });
+    await done;
+  } finally {
+    await scanner.disconnect();
+  }
 };
 
 /**
@@ -119,6 +477,7 @@ const startConsumer = async (messageHandler) => {
 const stopConsumer = async () => {
   if (isRunning) {
     await consumer.disconnect();
+    await producer.disconnect();
     isRunning = false;
     logger.info('Kafka consumer stopped');
   }
@@ -134,5 +493,9 @@ const getHealthStatus = () => {
 module.exports = {
   startConsumer,
   stopConsumer,
-  getHealthStatus
+  publishMessages,
+  scanRetainedMessages,
+  getHealthStatus,
+  handleMessage,
+  handleBatch
 };
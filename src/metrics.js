@@ -0,0 +1,57 @@
+const client = require('prom-client');
+const { getPool } = require('./db');
+
+// Dedicated registry so tests and multiple app instances don't share state
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const eventsProcessed = new client.Counter({
+  name: 'analytics_events_processed_total',
+  help: 'Events handled by the processor, by event type and outcome (processed, duplicate, failed)',
+  labelNames: ['event_type', 'outcome'],
+  registers: [register]
+});
+
+const messagesRejected = new client.Counter({
+  name: 'analytics_messages_rejected_total',
+  help: 'Kafka messages routed to the dead-letter topic, by source topic and reason',
+  labelNames: ['topic', 'reason'],
+  registers: [register]
+});
+
+const consumerLag = new client.Gauge({
+  name: 'analytics_consumer_lag',
+  help: 'Messages behind the partition high watermark after the last processed batch',
+  labelNames: ['topic', 'partition'],
+  registers: [register]
+});
+
+// Read from the pool at scrape time rather than tracked on every checkout
+new client.Gauge({
+  name: 'analytics_db_pool_connections',
+  help: 'Database pool connections by state (total, idle, waiting)',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    const pool = getPool();
+    this.set({ state: 'total' }, pool.totalCount || 0);
+    this.set({ state: 'idle' }, pool.idleCount || 0);
+    this.set({ state: 'waiting' }, pool.waitingCount || 0);
+  }
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'analytics_http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  eventsProcessed,
+  messagesRejected,
+  consumerLag,
+  httpRequestDuration
+};
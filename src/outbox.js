@@ -0,0 +1,140 @@
+const { getPool } = require('./db');
+const repository = require('./repository');
+const { publishMessages } = require('./kafka');
+const logger = require('./logger');
+
+const OUTBOX_POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 1000;
+const OUTBOX_BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 100;
+const OUTBOX_RETENTION_DAYS = parseInt(process.env.OUTBOX_RETENTION_DAYS, 10) || 7;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Transaction-level advisory lock so one relay publishes at a time, in order
+const OUTBOX_LOCK_KEY = 72730003;
+
+/**
+ * Split entries into runs of consecutive messages for the same topic, so
+ * each run is one send and the overall order is kept.
+ */
+function groupByTopic(entries) {
+  const groups = [];
+  for (const entry of entries) {
+    const last = groups[groups.length - 1];
+    if (last && last.topic === entry.topic) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ topic: entry.topic, entries: [entry] });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Publish the next batch of outbox messages in the order they were written,
+ * and mark them published in the same transaction. A failed send stops the
+ * batch there and is retried on the next poll. Delivery is at least once:
+ * if the commit fails after a send, those messages are sent again.
+ * Returns the number published (0 when another instance holds the lock).
+ */
+async function relayOutbox() {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [OUTBOX_LOCK_KEY]);
+    if (!rows[0].acquired) {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    const entries = await repository.getPendingOutboxEvents(OUTBOX_BATCH_SIZE, client);
+    const published = [];
+    try {
+      for (const group of groupByTopic(entries)) {
+        await publishMessages(group.topic, group.entries.map(({ id, key, eventType, payload }) => ({
+          key,
+          value: JSON.stringify(payload),
+          headers: { 'x-event-id': id, 'x-event-type': eventType }
+        })));
+        published.push(...group.entries.map(({ id }) => id));
+      }
+    } catch (error) {
+      const failed = entries[published.length];
+      await repository.markOutboxEventFailed(failed.id, error.message, client);
+      logger.error('Failed to publish outbox messages, will retry', {
+        error: error.message,
+        outboxId: failed.id,
+        topic: failed.topic
+      });
+    }
+
+    if (published.length > 0) {
+      await repository.markOutboxEventsPublished(published, client);
+    }
+    await client.query('COMMIT');
+    return published.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+let timer = null;
+let tick = null;
+let lastCleanupAt = 0;
+
+/**
+ * One poll: relay until the outbox is drained (or a send fails), then
+ * delete messages published more than OUTBOX_RETENTION_DAYS ago, at most
+ * once an hour.
+ */
+async function runRelay() {
+  let published;
+  do {
+    published = await relayOutbox();
+  } while (published === OUTBOX_BATCH_SIZE && timer);
+
+  if (Date.now() - lastCleanupAt >= CLEANUP_INTERVAL_MS) {
+    lastCleanupAt = Date.now();
+    const deleted = await repository.deletePublishedOutboxEvents(
+      new Date(Date.now() - OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    );
+    if (deleted > 0) {
+      logger.info('Published outbox messages cleaned up', { deleted });
+    }
+  }
+}
+
+/**
+ * Poll the outbox every OUTBOX_POLL_INTERVAL_MS. Requires the Kafka
+ * producer to be connected (startConsumer).
+ */
+function startOutboxRelay() {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    if (tick) return;
+    tick = runRelay()
+      .catch(error => logger.error('Outbox relay failed', { error: error.message }))
+      .finally(() => {
+        tick = null;
+      });
+  }, OUTBOX_POLL_INTERVAL_MS);
+  timer.unref();
+  logger.info('Outbox relay started', { intervalMs: OUTBOX_POLL_INTERVAL_MS });
+}
+
+/**
+ * Stop polling and wait for a running poll to finish.
+ */
+async function stopOutboxRelay() {
+  clearInterval(timer);
+  timer = null;
+  if (tick) await tick;
+}
+
+module.exports = {
+  relayOutbox,
+  startOutboxRelay,
+  stopOutboxRelay
+};
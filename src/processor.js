@@ -1,102 +1,304 @@
 const { EVENT_TYPES } = require('@florea-alex/order-events-schemas');
 const { getPool } = require('./db');
 const repository = require('./repository');
+const { createDirectWriter, createBatchAggregator, trackChanges } = require('./aggregator');
+const { recordDerivedEvents } = require('./derived');
+const { notifyMetricsUpdated } = require('./stream');
+const { getEventCurrency } = require('./currency');
+const { getEventId, getFallbackKey, getDedupKey } = require('./dedup');
+const { eventsProcessed } = require('./metrics');
+const { getEventTime, toReportingDate } = require('./time');
 const logger = require('./logger');
 
+// order_states transition recorded for each lifecycle event
+const ORDER_TRANSITIONS = {
+  [EVENT_TYPES.ORDER_CREATED]: 'created',
+  [EVENT_TYPES.PAYMENT_AUTHORIZED]: 'payment_authorized',
+  [EVENT_TYPES.PAYMENT_FAILED]: 'payment_failed',
+  [EVENT_TYPES.ORDER_CONFIRMED]: 'confirmed',
+  [EVENT_TYPES.ORDER_CANCELLED]: 'cancelled',
+  [EVENT_TYPES.ORDER_SHIPPED]: 'shipped'
+};
+
+// Refund events, for those the schema package defines. Full and partial
+// refunds are both recorded as refunded revenue.
+const REFUND_EVENT_TYPES = new Set(
+  [EVENT_TYPES.PAYMENT_REFUNDED, EVENT_TYPES.PAYMENT_PARTIALLY_REFUNDED].filter(Boolean)
+);
+
 /**
- * Process a validated Kafka event into analytics metrics.
- * Idempotent: duplicate events are skipped via events_log unique constraint.
- * All writes for a single event are wrapped in a database transaction
- * to prevent partial metric updates on crash/failure.
+ * Payment attempt details from a payment.* event. Producers vary in field
+ * names, so method falls back to provider and the failure reason prefers a
+ * machine-readable code over the free-text reason.
  */
-async function processEvent(event, correlationId) {
-  const { type, orderId, userId, data } = event;
-  const today = new Date().toISOString().split('T')[0];
+function getPaymentAttempt(outcome, { userId, data }, occurredAt) {
+  return {
+    userId,
+    outcome,
+    method: data?.paymentMethod || data?.provider || null,
+    amount: Number(data?.amount) || 0,
+    currency: getEventCurrency(data),
+    reason: outcome === 'failed' ? (data?.reasonCode || data?.reason || 'unknown') : null,
+    occurredAt
+  };
+}
 
-  const childLogger = logger.child({ correlationId, orderId, eventType: type });
+// Distinct product ids of an order's items: its co-purchase basket
+const getBasket = (items) => [...new Set(items.map(item => item.productId).filter(id => id != null))];
 
-  // Acquire a dedicated client for the transaction
-  const client = await getPool().connect();
+/**
+ * Reverse the product metrics and co-purchases of the order's confirmed
+ * items once it has been both confirmed and cancelled. Called for each of the two events and
+ * acts only for the one logged second, so the items are reversed exactly
+ * once whatever order the events arrive (or are replayed) in.
+ */
+async function reverseCancelledItems(type, orderId, client, writer) {
+  const confirmation = await repository.getCancelledConfirmation(orderId, client);
+  if (!confirmation || confirmation.confirmedFirst !== (type === EVENT_TYPES.ORDER_CANCELLED)) {
+    return;
+  }
 
-  try {
-    await client.query('BEGIN');
+  for (const item of confirmation.items) {
+    await writer.productCancellation(
+      item.productId,
+      item.quantity || 0,
+      (item.price || 0) * (item.quantity || 0),
+      confirmation.cancelledAt,
+      confirmation.currency
+    );
+  }
 
-    // 1. Insert into events_log (idempotency check)
-    const eventId = await repository.insertEvent(type, orderId, userId, correlationId, data, client);
+  const productIds = getBasket(confirmation.items);
+  if (productIds.length > 0) {
+    await writer.productPairsCancellation(productIds);
+  }
+}
 
-    if (eventId === null) {
-      await client.query('ROLLBACK');
-      childLogger.info('Duplicate event skipped');
-      return false;
+/**
+ * Apply the metric updates for a single event using the given client.
+ * Shared by live processing, batch consumption and the metrics rebuild
+ * (replay of events_log) so all aggregate with exactly the same rules.
+ * Writes go through writer (immediately on client by default; batch
+ * consumption passes an aggregator). Reads, but does not write, events_log
+ * and does not manage the transaction — the caller owns both.
+ */
+async function applyEvent(event, client, childLogger = logger, writer = createDirectWriter(client)) {
+  const { type, orderId, userId, data } = event;
+  const occurredAt = getEventTime(event);
+  const date = toReportingDate(occurredAt);
+
+  switch (type) {
+    case EVENT_TYPES.ORDER_CREATED: {
+      const increments = { ordersCreated: 1 };
+      await writer.daily(date, increments);
+      await writer.hourly(occurredAt, increments);
+      if (userId != null) {
+        await writer.user(userId, { ordersCreated: 1 }, occurredAt);
+      }
+      break;
     }
 
-    childLogger.info('Processing event');
+    case EVENT_TYPES.ORDER_CONFIRMED: {
+      const totalAmount = data?.totalAmount || 0;
+      const currency = getEventCurrency(data);
+      const increments = {
+        ordersConfirmed: 1,
+        revenueConfirmed: totalAmount
+      };
+      await writer.daily(date, increments);
+      await writer.hourly(occurredAt, increments);
+      await writer.currencyRevenue(occurredAt, currency, increments);
 
-    // 2. Update metrics based on event type
-    switch (type) {
-      case EVENT_TYPES.ORDER_CREATED: {
-        await repository.upsertDailyMetrics(today, { ordersCreated: 1 }, client);
-        await repository.upsertHourlyMetrics(1, 0, client);
-        break;
+      // Update product metrics for each item, and co-purchases per order
+      if (data?.items && Array.isArray(data.items)) {
+        for (const item of data.items) {
+          const itemRevenue = (item.price || 0) * (item.quantity || 0);
+          await writer.product(
+            item.productId,
+            item.quantity || 0,
+            itemRevenue,
+            occurredAt,
+            currency
+          );
+        }
+
+        const productIds = getBasket(data.items);
+        if (productIds.length > 0) {
+          await writer.productPairs(productIds);
+        }
       }
+      await reverseCancelledItems(type, orderId, client, writer);
 
-      case EVENT_TYPES.ORDER_CONFIRMED: {
-        const totalAmount = data?.totalAmount || 0;
-        await repository.upsertDailyMetrics(today, {
+      if (userId != null) {
+        await writer.user(userId, {
           ordersConfirmed: 1,
           revenueConfirmed: totalAmount
-        }, client);
-        await repository.upsertHourlyMetrics(0, totalAmount, client);
-
-        // Update product metrics for each item
-        if (data?.items && Array.isArray(data.items)) {
-          for (const item of data.items) {
-            const itemRevenue = (item.price || 0) * (item.quantity || 0);
-            await repository.upsertProductMetrics(
-              item.productId,
-              item.quantity || 0,
-              itemRevenue,
-              new Date(),
-              client
-            );
-          }
-        }
-        break;
+        }, null);
       }
+      break;
+    }
 
-      case EVENT_TYPES.ORDER_CANCELLED: {
-        const cancelledAmount = data?.totalAmount || 0;
-        await repository.upsertDailyMetrics(today, {
-          ordersCancelled: 1,
-          revenueCancelled: cancelledAmount
-        }, client);
-        break;
+    case EVENT_TYPES.ORDER_CANCELLED: {
+      const cancelledAmount = data?.totalAmount || 0;
+      const increments = {
+        ordersCancelled: 1,
+        revenueCancelled: cancelledAmount
+      };
+      await writer.daily(date, increments);
+      await writer.hourly(occurredAt, increments);
+      await writer.currencyRevenue(occurredAt, getEventCurrency(data), { revenueCancelled: cancelledAmount });
+      await reverseCancelledItems(type, orderId, client, writer);
+      if (userId != null) {
+        await writer.user(userId, { ordersCancelled: 1 }, null);
       }
+      break;
+    }
 
-      case EVENT_TYPES.ORDER_SHIPPED: {
-        await repository.upsertDailyMetrics(today, { ordersShipped: 1 }, client);
-        break;
+    case EVENT_TYPES.ORDER_SHIPPED: {
+      const increments = { ordersShipped: 1 };
+      await writer.daily(date, increments);
+      await writer.hourly(occurredAt, increments);
+      break;
+    }
+
+    case EVENT_TYPES.PAYMENT_AUTHORIZED: {
+      const increments = { paymentSuccessCount: 1 };
+      await writer.daily(date, increments);
+      await writer.hourly(occurredAt, increments);
+      await writer.payment(date, orderId, getPaymentAttempt('authorized', event, occurredAt));
+      break;
+    }
+
+    case EVENT_TYPES.PAYMENT_FAILED: {
+      const increments = { paymentFailureCount: 1 };
+      await writer.daily(date, increments);
+      await writer.hourly(occurredAt, increments);
+      await writer.payment(date, orderId, getPaymentAttempt('failed', event, occurredAt));
+      if (userId != null) {
+        await writer.user(userId, { paymentFailureCount: 1 }, null);
       }
+      break;
+    }
 
-      case EVENT_TYPES.PAYMENT_AUTHORIZED: {
-        await repository.upsertDailyMetrics(today, { paymentSuccessCount: 1 }, client);
+    default: {
+      if (REFUND_EVENT_TYPES.has(type)) {
+        // The refunded amount, else the order total for a full refund
+        const increments = { revenueRefunded: Number(data?.refundAmount ?? data?.amount ?? data?.totalAmount) || 0 };
+        await writer.daily(date, increments);
+        await writer.hourly(occurredAt, increments);
+        await writer.currencyRevenue(occurredAt, getEventCurrency(data), increments);
         break;
       }
+      childLogger.warn('Unknown event type, logged but not aggregated', { type });
+    }
+  }
 
-      case EVENT_TYPES.PAYMENT_FAILED: {
-        await repository.upsertDailyMetrics(today, { paymentFailureCount: 1 }, client);
-        break;
+  // Track the order's current lifecycle state
+  const transition = ORDER_TRANSITIONS[type];
+  if (transition) {
+    const amount = type === EVENT_TYPES.ORDER_CREATED || type === EVENT_TYPES.ORDER_CONFIRMED
+      ? data?.totalAmount
+      : null;
+    const currency = amount != null ? getEventCurrency(data) : null;
+    await writer.orderState(orderId, { transition, userId, amount, currency, occurredAt });
+  }
+}
+
+/**
+ * Whether the message at source.offset was already applied according to the
+ * offsets stored alongside the metrics. Locks the partition's offset row for
+ * the rest of the transaction.
+ */
+async function isAlreadyConsumed(source, client) {
+  const nextOffset = await repository.lockConsumerOffset(source, client);
+  return nextOffset !== null && BigInt(source.offset) < nextOffset;
+}
+
+/**
+ * Process a validated Kafka event into analytics metrics.
+ * Idempotent: duplicate events are skipped via the events_log dedup key
+ * (envelope event ID, or the type's fallback fields).
+ * All writes for a single event are wrapped in a database transaction
+ * to prevent partial metric updates on crash/failure; the derived events
+ * (metric delta, product milestones) are queued in the outbox within it,
+ * and live stream clients are notified when it commits.
+ * When source ({ groupId, topic, partition, offset }) is given, the consumed
+ * offset is stored in the same transaction and messages at or below an
+ * already stored offset are skipped, so redelivery never double-counts.
+ * Metrics are bucketed by the event's occurrence time (envelope timestamp)
+ * in the reporting timezone, so late or replayed events correct the
+ * historical day/hour they belong to.
+ */
+async function processEvent(event, correlationId, source = null) {
+  const { type, orderId, userId, data } = event;
+  const occurredAt = getEventTime(event);
+
+  const childLogger = logger.child({ correlationId, orderId, eventType: type });
+
+  // Acquire a dedicated client for the transaction
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // 1. Skip messages already applied before a restart or rebalance
+    if (source && await isAlreadyConsumed(source, client)) {
+      await client.query('ROLLBACK');
+      eventsProcessed.inc({ event_type: type, outcome: 'duplicate' });
+      childLogger.info('Message already consumed, skipped', {
+        topic: source.topic,
+        partition: source.partition,
+        offset: source.offset
+      });
+      return false;
+    }
+
+    // 2. Insert into events_log (idempotency check)
+    const logId = await repository.insertEvent({
+      eventType: type,
+      orderId,
+      userId,
+      correlationId,
+      data,
+      occurredAt,
+      eventId: getEventId(event),
+      dedupKey: getDedupKey(event),
+      fallbackKey: getFallbackKey(event)
+    }, client);
+
+    if (logId === null) {
+      // Nothing to apply, but the offset still moves past the duplicate
+      if (source) {
+        await repository.saveConsumerOffset(source, client);
+        await client.query('COMMIT');
+      } else {
+        await client.query('ROLLBACK');
       }
+      eventsProcessed.inc({ event_type: type, outcome: 'duplicate' });
+      childLogger.info('Duplicate event skipped');
+      return false;
+    }
+
+    childLogger.info('Processing event', { occurredAt: occurredAt.toISOString() });
 
-      default:
-        childLogger.warn('Unknown event type, logged but not aggregated', { type });
+    // 3. Update metrics based on event type, and queue the derived events
+    const changes = trackChanges(createDirectWriter(client));
+    await applyEvent(event, client, childLogger, changes.writer);
+    await recordDerivedEvents(changes, client);
+
+    if (source) {
+      await repository.saveConsumerOffset(source, client);
     }
+    // Live stream clients are updated once this commits
+    await notifyMetricsUpdated(logId, client);
 
     await client.query('COMMIT');
+    eventsProcessed.inc({ event_type: type, outcome: 'processed' });
     childLogger.info('Event processed successfully');
     return true;
   } catch (error) {
     await client.query('ROLLBACK');
+    eventsProcessed.inc({ event_type: type, outcome: 'failed' });
     childLogger.error('Event processing failed, transaction rolled back', {
       error: error.message,
       stack: error.stack
@@ -107,4 +309,101 @@ async function processEvent(event, correlationId) {
   }
 }
 
-module.exports = { processEvent };
+/**
+ * Process a batch of validated events ([{ event, correlationId, offset }])
+ * in one database transaction. events_log dedup still applies per event:
+ * only events whose row was inserted are aggregated. Daily, hourly and
+ * product increments are pre-aggregated and written with multi-row upserts,
+ * and the derived events are queued in the outbox and live stream clients
+ * notified once for the batch.
+ * When source ({ groupId, topic, partition, offset }) is given, entries at
+ * or below the stored offset are skipped and source.offset (the batch's last
+ * offset) is stored in the same transaction.
+ * Returns { processed, duplicates }; throws (after rolling back) on failure.
+ */
+async function processBatch(entries, source = null) {
+  const client = await getPool().connect();
+  const batchLogger = logger.child({ batchSize: entries.length });
+
+  try {
+    await client.query('BEGIN');
+
+    let pending = entries;
+    if (source) {
+      const nextOffset = await repository.lockConsumerOffset(source, client);
+      if (nextOffset !== null) {
+        pending = entries.filter(({ offset }) => BigInt(offset) >= nextOffset);
+      }
+    }
+
+    const events = pending.map(({ event, correlationId }) => ({
+      event,
+      correlationId,
+      occurredAt: getEventTime(event),
+      dedupKey: getDedupKey(event)
+    }));
+
+    const inserted = events.length === 0 ? [] : await repository.insertEvents(events.map(({ event, correlationId, occurredAt, dedupKey }) => ({
+      eventType: event.type,
+      orderId: event.orderId,
+      userId: event.userId,
+      correlationId,
+      data: event.data,
+      occurredAt,
+      eventId: getEventId(event),
+      dedupKey,
+      fallbackKey: getFallbackKey(event)
+    })), client);
+
+    // Each inserted row belongs to the first event in the batch with its key
+    const newKeys = new Set(inserted.map(row => row.dedupKey));
+    const aggregator = createBatchAggregator();
+    const changes = trackChanges(aggregator.writer);
+    const outcomes = entries
+      .filter(entry => !pending.includes(entry))
+      .map(({ event }) => ({ type: event.type, outcome: 'duplicate' }));
+
+    for (const { event, correlationId, dedupKey } of events) {
+      if (!newKeys.delete(dedupKey)) {
+        outcomes.push({ type: event.type, outcome: 'duplicate' });
+        continue;
+      }
+
+      const childLogger = batchLogger.child({ correlationId, orderId: event.orderId, eventType: event.type });
+      await applyEvent(event, client, childLogger, changes.writer);
+      outcomes.push({ type: event.type, outcome: 'processed' });
+    }
+
+    await aggregator.flush(client);
+    await recordDerivedEvents(changes, client);
+    if (source) {
+      await repository.saveConsumerOffset(source, client);
+    }
+    if (inserted.length > 0) {
+      await notifyMetricsUpdated(Math.max(...inserted.map(row => Number(row.id))), client);
+    }
+    await client.query('COMMIT');
+
+    for (const { type, outcome } of outcomes) {
+      eventsProcessed.inc({ event_type: type, outcome });
+    }
+
+    const processed = outcomes.filter(({ outcome }) => outcome === 'processed').length;
+    batchLogger.info('Event batch processed successfully', {
+      processed,
+      duplicates: outcomes.length - processed
+    });
+    return { processed, duplicates: outcomes.length - processed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    batchLogger.error('Event batch failed, transaction rolled back', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { processEvent, processBatch, applyEvent };
@@ -0,0 +1,76 @@
+const { validateEvent } = require('@florea-alex/order-events-schemas');
+const { processEvent } = require('./processor');
+const repository = require('./repository');
+const logger = require('./logger');
+
+/**
+ * Parse and validate a quarantined raw payload the same way the consumer does.
+ * Throws if the payload still can't be turned into a valid event.
+ */
+function parseQuarantinedPayload(entry) {
+  if (!entry.rawPayload) {
+    throw new Error('Quarantined message has no payload');
+  }
+
+  const event = JSON.parse(entry.rawPayload);
+  if (entry.correlationId) {
+    event.correlationId = entry.correlationId;
+  }
+
+  const result = validateEvent(event);
+  if (!result.success) {
+    throw new Error(`Event validation failed: ${result.error?.message || 'Unknown validation error'}`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Re-drive quarantined events through processEvent, one at a time.
+ * Each entry is resolved independently; returns a per-id outcome:
+ * processed, duplicate, already_redriven, not_found or failed.
+ */
+async function redriveQuarantinedEvents(ids) {
+  const results = [];
+
+  for (const id of ids) {
+    const entry = await repository.getQuarantinedEvent(id);
+
+    if (!entry) {
+      results.push({ id, outcome: 'not_found', error: null });
+      continue;
+    }
+
+    if (entry.status === 'redriven') {
+      results.push({ id, outcome: 'already_redriven', error: null });
+      continue;
+    }
+
+    try {
+      const event = parseQuarantinedPayload(entry);
+      const processed = await processEvent(event, entry.correlationId);
+      await repository.markQuarantinedEventRedriven(id);
+
+      logger.info('Quarantined event re-driven', {
+        quarantineId: id,
+        eventType: event.type,
+        duplicate: !processed,
+        correlationId: entry.correlationId
+      });
+      results.push({ id, outcome: processed ? 'processed' : 'duplicate', error: null });
+    } catch (error) {
+      await repository.markQuarantinedEventRedriveFailed(id, error.message);
+
+      logger.error('Failed to re-drive quarantined event', {
+        quarantineId: id,
+        error: error.message,
+        correlationId: entry.correlationId
+      });
+      results.push({ id, outcome: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = { redriveQuarantinedEvents };
@@ -0,0 +1,256 @@
+const { getPool } = require('./db');
+const { applyEvent } = require('./processor');
+const repository = require('./repository');
+const logger = require('./logger');
+
+// Projections derived purely from events_log. Rebuilt into shadow copies
+// and swapped in atomically; any new projection written by applyEvent
+// must be listed here so a rebuild covers it.
+const PROJECTION_TABLES = [
+  'daily_metrics',
+  'hourly_order_counts',
+  'product_metrics',
+  'product_daily_metrics',
+  'product_pairs',
+  'order_states',
+  'user_metrics',
+  'payment_metrics',
+  'payment_daily_metrics',
+  'daily_revenue_by_currency',
+  'hourly_revenue_by_currency',
+  'product_daily_revenue_by_currency',
+  'payment_daily_amounts_by_currency'
+];
+
+const SHADOW_SCHEMA = 'analytics_rebuild';
+const RETIRED_SCHEMA = 'analytics_retired';
+const REBUILD_BATCH_SIZE = parseInt(process.env.REBUILD_BATCH_SIZE || '1000', 10);
+
+// Session-level advisory lock so only one instance rebuilds at a time
+const REBUILD_LOCK_KEY = 72730001;
+
+let state = {
+  status: 'idle',
+  phase: null,
+  startedAt: null,
+  finishedAt: null,
+  totalEvents: 0,
+  processedEvents: 0,
+  error: null
+};
+
+const quoteIdent = (name) => `"${name.replace(/"/g, '""')}"`;
+
+/**
+ * Current rebuild progress (this instance only).
+ */
+function getRebuildStatus() {
+  return {
+    ...state,
+    progress: state.totalEvents > 0
+      ? parseFloat(((state.processedEvents / state.totalEvents) * 100).toFixed(1))
+      : (state.status === 'completed' ? 100 : 0)
+  };
+}
+
+/**
+ * Create empty shadow copies of every projection table (columns, defaults,
+ * constraints, indexes). Serial columns get their own sequences so the
+ * retired tables can be dropped after the swap without touching the new ones.
+ */
+async function createShadowTables(client, liveSchema) {
+  await client.query(`DROP SCHEMA IF EXISTS ${SHADOW_SCHEMA} CASCADE`);
+  await client.query(`CREATE SCHEMA ${SHADOW_SCHEMA}`);
+
+  for (const table of PROJECTION_TABLES) {
+    await client.query(
+      `CREATE TABLE ${SHADOW_SCHEMA}.${table} (LIKE ${quoteIdent(liveSchema)}.${table} INCLUDING ALL)`
+    );
+
+    const serialColumns = await client.query(
+      `SELECT column_name FROM information_schema.columns
+       WHERE table_schema = $1 AND table_name = $2 AND column_default LIKE 'nextval(%'`,
+      [SHADOW_SCHEMA, table]
+    );
+
+    for (const { column_name: column } of serialColumns.rows) {
+      const sequence = `${SHADOW_SCHEMA}.${table}_${column}_seq`;
+      await client.query(`CREATE SEQUENCE ${sequence} OWNED BY ${SHADOW_SCHEMA}.${table}.${quoteIdent(column)}`);
+      await client.query(
+        `ALTER TABLE ${SHADOW_SCHEMA}.${table} ALTER COLUMN ${quoteIdent(column)} SET DEFAULT nextval('${sequence}')`
+      );
+    }
+  }
+}
+
+/**
+ * Replay events_log rows after afterId (up to maxId, or all when null) through
+ * applyEvent. Returns the last replayed id. When ownTransactions is set each
+ * batch is committed separately; otherwise the caller's transaction is used.
+ */
+async function replayEvents(client, afterId, maxId, ownTransactions) {
+  let lastId = afterId;
+
+  for (;;) {
+    const batch = await repository.getLoggedEvents(lastId, maxId, REBUILD_BATCH_SIZE, client);
+    if (batch.length === 0) break;
+
+    if (ownTransactions) await client.query('BEGIN');
+    try {
+      for (const { event } of batch) {
+        await applyEvent(event, client);
+      }
+      if (ownTransactions) await client.query('COMMIT');
+    } catch (error) {
+      if (ownTransactions) await client.query('ROLLBACK');
+      throw error;
+    }
+
+    lastId = batch[batch.length - 1].id;
+    state.processedEvents += batch.length;
+  }
+
+  return lastId;
+}
+
+/**
+ * Catch up on events that arrived during the replay and swap the shadow
+ * tables in. events_log is locked against inserts for the duration, so live
+ * processing pauses briefly and nothing is missed; readers keep seeing the
+ * old tables until the transaction commits.
+ */
+async function swapShadowTables(client, liveSchema, lastId) {
+  await client.query('BEGIN');
+  try {
+    await client.query(`LOCK TABLE ${quoteIdent(liveSchema)}.events_log IN SHARE MODE`);
+    const caughtUpTo = await replayEvents(client, lastId, null, false);
+
+    await client.query(`DROP SCHEMA IF EXISTS ${RETIRED_SCHEMA} CASCADE`);
+    await client.query(`CREATE SCHEMA ${RETIRED_SCHEMA}`);
+
+    for (const table of PROJECTION_TABLES) {
+      await client.query(`ALTER TABLE ${quoteIdent(liveSchema)}.${table} SET SCHEMA ${RETIRED_SCHEMA}`);
+      await client.query(`ALTER TABLE ${SHADOW_SCHEMA}.${table} SET SCHEMA ${quoteIdent(liveSchema)}`);
+    }
+
+    // Migrations applied before the replay started are now backfilled
+    await client.query(
+      `UPDATE ${quoteIdent(liveSchema)}.schema_migrations SET rebuild_pending = FALSE
+       WHERE rebuild_pending AND applied_at < $1`,
+      [state.startedAt]
+    );
+
+    await client.query('COMMIT');
+    return caughtUpTo;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Return the rebuild client to the pool with the default search_path and
+ * the advisory lock released. If that fails the connection is destroyed,
+ * which drops both along with the session.
+ */
+async function releaseRebuildClient(client) {
+  try {
+    await client.query('RESET search_path');
+    await client.query('SELECT pg_advisory_unlock($1)', [REBUILD_LOCK_KEY]);
+    client.release();
+  } catch (error) {
+    logger.error('Failed to reset rebuild connection, discarding it', { error: error.message });
+    client.release(error);
+  }
+}
+
+async function runRebuild(client) {
+  try {
+    const { rows } = await client.query('SELECT current_schema() AS schema');
+    const liveSchema = rows[0].schema;
+
+    state.phase = 'preparing';
+    await createShadowTables(client, liveSchema);
+
+    const { maxId, total } = await repository.getEventLogBounds(client);
+    state.totalEvents = total;
+
+    // Unqualified table names in repository queries now resolve to the shadow
+    // copies; events_log only exists in the live schema and is read from there.
+    await client.query(`SET search_path TO ${SHADOW_SCHEMA}, ${quoteIdent(liveSchema)}`);
+
+    state.phase = 'replaying';
+    const lastId = await replayEvents(client, 0, maxId, true);
+
+    state.phase = 'swapping';
+    const caughtUpTo = await swapShadowTables(client, liveSchema, lastId);
+    if (state.processedEvents > state.totalEvents) {
+      state.totalEvents = state.processedEvents;
+    }
+
+    await client.query(`DROP SCHEMA IF EXISTS ${RETIRED_SCHEMA} CASCADE`);
+    await client.query(`DROP SCHEMA IF EXISTS ${SHADOW_SCHEMA} CASCADE`);
+
+    state.status = 'completed';
+    logger.info('Metrics rebuild completed', {
+      processedEvents: state.processedEvents,
+      lastEventId: caughtUpTo
+    });
+  } catch (error) {
+    state.status = 'failed';
+    state.error = error.message;
+    logger.error('Metrics rebuild failed, live metrics left untouched', {
+      error: error.message,
+      stack: error.stack,
+      phase: state.phase
+    });
+  } finally {
+    state.phase = null;
+    state.finishedAt = new Date().toISOString();
+    await releaseRebuildClient(client);
+  }
+}
+
+/**
+ * Start a full metrics rebuild in the background.
+ * Returns false if a rebuild is already running on this or another instance.
+ */
+async function startRebuild() {
+  if (state.status === 'running') {
+    return false;
+  }
+
+  const client = await getPool().connect();
+  let acquired = false;
+  try {
+    const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [REBUILD_LOCK_KEY]);
+    acquired = rows[0].acquired;
+  } finally {
+    if (!acquired) client.release();
+  }
+
+  if (!acquired) {
+    return false;
+  }
+
+  state = {
+    status: 'running',
+    phase: 'preparing',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    totalEvents: 0,
+    processedEvents: 0,
+    error: null
+  };
+
+  logger.info('Metrics rebuild started', { tables: PROJECTION_TABLES });
+
+  // Runs detached; progress is reported through getRebuildStatus
+  runRebuild(client);
+  return true;
+}
+
+module.exports = {
+  startRebuild,
+  getRebuildStatus
+};
@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const { getPool } = require('./db');
+const repository = require('./repository');
+const { getComparisonRange } = require('./comparison');
+const { csvLine, toCsv, toRows } = require('./formats');
+const { REPORTING_TIMEZONE, toReportingDate } = require('./time');
+const logger = require('./logger');
+
+const WEBHOOK_SECRET = process.env.REPORT_WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.REPORT_WEBHOOK_MAX_ATTEMPTS, 10) || 3;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.REPORT_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_RETRY_DELAY_MS = parseInt(process.env.REPORT_WEBHOOK_RETRY_DELAY_MS, 10) || 1000;
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.REPORT_SCHEDULER_INTERVAL_MS, 10) || 60000;
+
+const MAX_SECTIONS = 20;
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const SORTS = ['revenue', 'quantity', 'orders'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const shiftDate = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * The `days` full days before the run date (in the reporting timezone), so
+ * a Monday run of a 7-day section covers the previous Monday to Sunday.
+ */
+function getSectionRange(runDate, days) {
+  const to = shiftDate(runDate, -1);
+  return { from: shiftDate(to, -(days - 1)), to };
+}
+
+// Section types: allowed params (validated below) and how to render them
+// with the repository's report functions
+const SECTION_TYPES = {
+  overview: {
+    params: [],
+    render: () => repository.getOverview()
+  },
+  revenue: {
+    params: ['period', 'days'],
+    render: ({ period = 'daily' }, range) => repository.getRevenueSeries(period, range.from, range.to)
+  },
+  orders: {
+    params: ['period', 'days'],
+    render: ({ period = 'daily' }, range) => repository.getOrdersSeries(period, range.from, range.to)
+  },
+  topProducts: {
+    params: ['limit', 'sortBy', 'days'],
+    render: ({ limit = 10, sortBy }, range) =>
+      repository.getTopProducts({ limit, sortBy, from: range?.from || null, to: range?.to || null })
+  },
+  trendingProducts: {
+    params: ['limit', 'sortBy', 'days', 'minQuantity'],
+    render: ({ limit = 10, sortBy, minQuantity = 5 }, range) => repository.getTrendingProducts({
+      current: range,
+      previous: getComparisonRange('daily', range.from, range.to, 'previous_period'),
+      sortBy,
+      minQuantity,
+      limit
+    })
+  },
+  payments: {
+    params: ['period', 'days', 'limit'],
+    render: ({ period = 'daily', limit = 10 }, range) =>
+      repository.getPaymentAnalytics(period, range.from, range.to, limit)
+  },
+  topCustomers: {
+    params: ['limit', 'sortBy'],
+    render: ({ limit = 10, sortBy }) => repository.getTopCustomers(limit, sortBy === 'orders' ? 'orders' : 'revenue')
+  },
+  conversion: {
+    params: [],
+    render: () => repository.getConversion()
+  }
+};
+
+// Sections that always cover a date range (7 days unless `days` is given)
+const RANGED_SECTIONS = ['revenue', 'orders', 'trendingProducts', 'payments'];
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate one section's params. Returns an error message or null.
+ */
+function validateSectionParams(params) {
+  if (params.period !== undefined && !PERIODS.includes(params.period)) {
+    return 'period must be daily, weekly, or monthly';
+  }
+  if (params.days !== undefined && !isIntegerBetween(params.days, 1, 366)) {
+    return 'days must be an integer from 1 to 366';
+  }
+  if (params.limit !== undefined && !isIntegerBetween(params.limit, 1, 50)) {
+    return 'limit must be an integer from 1 to 50';
+  }
+  if (params.sortBy !== undefined && !SORTS.includes(params.sortBy)) {
+    return 'sortBy must be revenue, quantity, or orders';
+  }
+  if (params.minQuantity !== undefined && !isIntegerBetween(params.minQuantity, 1, 1000000)) {
+    return 'minQuantity must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Next run of a cron expression after `after`, in the reporting timezone.
+ * Throws if the expression is invalid.
+ */
+function getNextRun(schedule, after = new Date()) {
+  return cronParser.parseExpression(schedule, { currentDate: after, tz: REPORTING_TIMEZONE }).next().toDate();
+}
+
+/**
+ * Validate a saved report definition from a request body. Returns
+ * { report } with defaults applied, or { error }.
+ */
+function validateReport(body) {
+  const { name, schedule, sections, format = 'json', webhookUrl, enabled = true } = body || {};
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 200) {
+    return { error: 'name must be a non-empty string of at most 200 characters.' };
+  }
+  try {
+    if (typeof schedule !== 'string') throw new Error('schedule is not a string');
+    getNextRun(schedule);
+  } catch (error) {
+    return { error: 'schedule must be a valid cron expression.' };
+  }
+  if (!Array.isArray(sections) || sections.length === 0 || sections.length > MAX_SECTIONS) {
+    return { error: `sections must be a list of 1 to ${MAX_SECTIONS} sections.` };
+  }
+
+  const normalized = [];
+  for (const [index, section] of sections.entries()) {
+    const definition = section && SECTION_TYPES[section.type];
+    if (!definition) {
+      return { error: `sections[${index}].type must be one of ${Object.keys(SECTION_TYPES).join(', ')}.` };
+    }
+
+    const params = section.params || {};
+    const isObject = typeof params === 'object' && !Array.isArray(params);
+    if (!isObject || Object.keys(params).some(param => !definition.params.includes(param))) {
+      return { error: `sections[${index}].params may only contain: ${definition.params.join(', ') || 'nothing'}.` };
+    }
+    const paramError = validateSectionParams(params);
+    if (paramError) {
+      return { error: `sections[${index}]: ${paramError}.` };
+    }
+    normalized.push({ type: section.type, params });
+  }
+
+  if (!['json', 'csv'].includes(format)) {
+    return { error: 'format must be json or csv.' };
+  }
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'webhookUrl must be an http(s) URL.' };
+  }
+  if (typeof enabled !== 'boolean') {
+    return { error: 'enabled must be a boolean.' };
+  }
+
+  return { report: { name: name.trim(), schedule, sections: normalized, format, webhookUrl, enabled } };
+}
+
+/**
+ * Render every section of a report as of scheduledFor. Returns the
+ * payload body and its content type.
+ */
+async function renderReport(report, scheduledFor) {
+  const runDate = toReportingDate(scheduledFor);
+  const sections = [];
+
+  for (const { type, params } of report.sections) {
+    const days = params.days || (RANGED_SECTIONS.includes(type) ? 7 : null);
+    const range = days ? getSectionRange(runDate, days) : null;
+    const data = await SECTION_TYPES[type].render(params, range);
+    sections.push({ type, params, ...range, data });
+  }
+
+  if (report.format === 'csv') {
+    const body = sections.map(({ type, from, to, data }) =>
+      csvLine([from ? `${type} ${from} to ${to}` : type]) + toCsv(toRows(data))
+    ).join('\r\n');
+    return { body, contentType: 'text/csv' };
+  }
+
+  const body = JSON.stringify({
+    report: { id: report.id, name: report.name },
+    scheduledFor: scheduledFor.toISOString(),
+    generatedAt: new Date().toISOString(),
+    sections
+  });
+  return { body, contentType: 'application/json' };
+}
+
+/**
+ * HMAC-SHA256 signature of a webhook body, over `${timestamp}.${body}` so a
+ * captured request can't be replayed with a new timestamp.
+ */
+function signPayload(body, timestamp) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, timeouts, 429 and 5xx are retried; other responses are final
+const isRetryable = (status) => status === null || status === 429 || status >= 500;
+
+/**
+ * POST a rendered report to its webhook, retrying with exponential backoff.
+ * Returns { delivered, attempts, responseStatus, error }.
+ */
+async function postWebhook(report, deliveryId, { body, contentType }) {
+  let responseStatus = null;
+  let error = null;
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(report.webhookUrl, {
+        method: 'POST',
+        headers: {
+          'content-type': contentType,
+          'x-report-id': String(report.id),
+          'x-delivery-id': String(deliveryId),
+          'x-signature-timestamp': String(timestamp),
+          'x-signature': `sha256=${signPayload(body, timestamp)}`
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      error = response.ok ? null : `Webhook responded with ${response.status}`;
+    } catch (requestError) {
+      responseStatus = null;
+      error = requestError.message;
+    }
+
+    if (!error) {
+      return { delivered: true, attempts: attempt, responseStatus, error: null };
+    }
+    if (!isRetryable(responseStatus) || attempt === WEBHOOK_MAX_ATTEMPTS) {
+      return { delivered: false, attempts: attempt, responseStatus, error };
+    }
+
+    logger.warn('Report webhook attempt failed, retrying', { reportId: report.id, deliveryId, attempt, error });
+    await sleep(WEBHOOK_RETRY_DELAY_MS * 2 ** (attempt - 1));
+  }
+}
+
+/**
+ * Render and deliver a report, recording the delivery in report_deliveries.
+ * trigger is schedule or manual. Never throws for render or delivery
+ * failures: they are recorded as a failed delivery, which is returned.
+ */
+async function deliverReport(report, scheduledFor, trigger) {
+  const deliveryId = await repository.insertReportDelivery({ reportId: report.id, trigger, scheduledFor });
+
+  let outcome;
+  let payloadBytes = null;
+  if (!WEBHOOK_SECRET) {
+    outcome = { delivered: false, attempts: 0, responseStatus: null, error: 'REPORT_WEBHOOK_SECRET is not set' };
+  } else {
+    try {
+      const payload = await renderReport(report, scheduledFor);
+      payloadBytes = Buffer.byteLength(payload.body);
+      outcome = await postWebhook(report, deliveryId, payload);
+    } catch (error) {
+      outcome = { delivered: false, attempts: 0, responseStatus: null, error: `Render failed: ${error.message}` };
+    }
+  }
+
+  const delivery = await repository.completeReportDelivery(deliveryId, {
+    status: outcome.delivered ? 'delivered' : 'failed',
+    attempts: outcome.attempts,
+    responseStatus: outcome.responseStatus,
+    error: outcome.error,
+    payloadBytes
+  });
+
+  const log = outcome.delivered ? logger.info : logger.error;
+  log.call(logger, outcome.delivered ? 'Report delivered' : 'Report delivery failed', {
+    reportId: report.id,
+    deliveryId,
+    trigger,
+    attempts: outcome.attempts,
+    error: outcome.error
+  });
+  return delivery;
+}
+
+/**
+ * Claim the reports that are due and move each to its next run, in one
+ * transaction (rows locked by another instance are skipped), then deliver
+ * them. Missed runs are not caught up: a report runs once, then resumes
+ * its schedule.
+ */
+async function runDueReports() {
+  const client = await getPool().connect();
+  let due;
+  try {
+    await client.query('BEGIN');
+    due = await repository.lockDueReports(client);
+    for (const report of due) {
+      await repository.setReportNextRun(report.id, getNextRun(report.schedule), client);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const report of due) {
+    await deliverReport(report, new Date(report.nextRunAt), 'schedule');
+  }
+  return due.length;
+}
+
+let timer = null;
+let tick = null;
+
+/**
+ * Check for due reports every REPORT_SCHEDULER_INTERVAL_MS. A check that
+ * is still running when the next one is due is not overlapped.
+ */
+function startReportScheduler() {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    if (tick) return;
+    tick = runDueReports()
+      .catch(error => logger.error('Report scheduler run failed', { error: error.message }))
+      .finally(() => {
+        tick = null;
+      });
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  logger.info('Report scheduler started', { intervalMs: SCHEDULER_INTERVAL_MS });
+}
+
+/**
+ * Stop scheduling and wait for a running check to finish.
+ */
+async function stopReportScheduler() {
+  clearInterval(timer);
+  timer = null;
+  if (tick) await tick;
+}
+
+module.exports = {
+  validateReport,
+  getNextRun,
+  renderReport,
+  signPayload,
+  deliverReport,
+  runDueReports,
+  startReportScheduler,
+  stopReportScheduler
+};
@@ -1,23 +1,59 @@
+const Cursor = require('pg-cursor');
 const { getPool } = require('./db');
+const { REPORTING_TIMEZONE, toReportingDate } = require('./time');
+const { BASE_CURRENCY, getEventCurrency } = require('./currency');
 const logger = require('./logger');
 
 /**
- * Insert an event into events_log. Returns the inserted row id, or null if duplicate.
+ * Insert an event into events_log. Returns the inserted row id, or null if
+ * an event with the same dedup key was already logged, or a legacy row
+ * (logged before event IDs were stored) has its fallback key.
  * Uses ON CONFLICT DO NOTHING for idempotency.
  * Accepts an optional client for transaction support.
  */
-async function insertEvent(eventType, orderId, userId, correlationId, data, client) {
+async function insertEvent({ eventType, orderId, userId, correlationId, data, occurredAt, eventId, dedupKey, fallbackKey }, client) {
   const db = client || getPool();
   const result = await db.query(
-    `INSERT INTO events_log (event_type, order_id, user_id, correlation_id, data)
-     VALUES ($1, $2, $3, $4, $5)
-     ON CONFLICT (event_type, order_id) DO NOTHING
+    `INSERT INTO events_log (event_type, order_id, user_id, correlation_id, data, occurred_at, event_id, dedup_key)
+     SELECT $1::text, $2::integer, $3::integer, $4::text, $5::jsonb, $6::timestamptz, $7::text, $8::text
+     WHERE NOT EXISTS (SELECT 1 FROM events_log WHERE dedup_key = $9::text AND legacy)
+     ON CONFLICT (dedup_key) DO NOTHING
      RETURNING id`,
-    [eventType, orderId, userId, correlationId, JSON.stringify(data)]
+    [eventType, orderId, userId, correlationId, JSON.stringify(data), occurredAt, eventId, dedupKey, fallbackKey]
   );
   return result.rows.length > 0 ? result.rows[0].id : null;
 }
 
+/**
+ * Insert many events into events_log in one statement (batch consumption).
+ * Rows that hit the dedup index or a legacy row's fallback key are skipped,
+ * as with insertEvent; returns the inserted rows so the caller can tell
+ * which events were new.
+ */
+async function insertEvents(events, client) {
+  const params = [];
+  const values = events.map(({ eventType, orderId, userId, correlationId, data, occurredAt, eventId, dedupKey, fallbackKey }) => {
+    params.push(eventType, orderId, userId, correlationId, JSON.stringify(data), occurredAt, eventId, dedupKey, fallbackKey);
+    const n = params.length - 9;
+    return `($${n + 1}::text, $${n + 2}::integer, $${n + 3}::integer, $${n + 4}::text, $${n + 5}::jsonb, ` +
+      `$${n + 6}::timestamptz, $${n + 7}::text, $${n + 8}::text, $${n + 9}::text)`;
+  });
+
+  const db = client || getPool();
+  const result = await db.query(
+    `INSERT INTO events_log (event_type, order_id, user_id, correlation_id, data, occurred_at, event_id, dedup_key)
+     SELECT v.event_type, v.order_id, v.user_id, v.correlation_id, v.data, v.occurred_at, v.event_id, v.dedup_key
+     FROM (VALUES ${values.join(', ')})
+       AS v(event_type, order_id, user_id, correlation_id, data, occurred_at, event_id, dedup_key, fallback_key)
+     WHERE NOT EXISTS (SELECT 1 FROM events_log e WHERE e.dedup_key = v.fallback_key AND e.legacy)
+     ON CONFLICT (dedup_key) DO NOTHING
+     RETURNING id, dedup_key`,
+    params
+  );
+
+  return result.rows.map(row => ({ id: row.id, dedupKey: row.dedup_key }));
+}
+
 /**
  * UPSERT daily_metrics for a given date with increments.
  * Accepts an optional client for transaction support.
@@ -30,14 +66,94 @@ async function upsertDailyMetrics(date, increments, client) {
     ordersShipped = 0,
     revenueConfirmed = 0,
     revenueCancelled = 0,
+    revenueRefunded = 0,
     paymentSuccessCount = 0,
     paymentFailureCount = 0
   } = increments;
 
   const db = client || getPool();
   await db.query(
-    `INSERT INTO daily_metrics (date, orders_created, orders_confirmed, orders_cancelled, orders_shipped, revenue_confirmed, revenue_cancelled, payment_success_count, payment_failure_count)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `INSERT INTO daily_metrics (date, orders_created, orders_confirmed, orders_cancelled, orders_shipped, revenue_confirmed, revenue_cancelled, revenue_refunded, payment_success_count, payment_failure_count)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (date) DO UPDATE SET
+       orders_created = daily_metrics.orders_created + EXCLUDED.orders_created,
+       orders_confirmed = daily_metrics.orders_confirmed + EXCLUDED.orders_confirmed,
+       orders_cancelled = daily_metrics.orders_cancelled + EXCLUDED.orders_cancelled,
+       orders_shipped = daily_metrics.orders_shipped + EXCLUDED.orders_shipped,
+       revenue_confirmed = daily_metrics.revenue_confirmed + EXCLUDED.revenue_confirmed,
+       revenue_cancelled = daily_metrics.revenue_cancelled + EXCLUDED.revenue_cancelled,
+       revenue_refunded = daily_metrics.revenue_refunded + EXCLUDED.revenue_refunded,
+       payment_success_count = daily_metrics.payment_success_count + EXCLUDED.payment_success_count,
+       payment_failure_count = daily_metrics.payment_failure_count + EXCLUDED.payment_failure_count`,
+    [date, ordersCreated, ordersConfirmed, ordersCancelled, ordersShipped, revenueConfirmed, revenueCancelled, revenueRefunded, paymentSuccessCount, paymentFailureCount]
+  );
+}
+
+/**
+ * UPSERT hourly_order_counts for the hour the event occurred in, with the
+ * same increments as daily_metrics (order_count holds orders created and
+ * revenue the confirmed revenue).
+ * The bucket is truncated in SQL within the reporting timezone to avoid
+ * inconsistencies from JS-computed hour buckets (e.g. half-hour offsets).
+ */
+async function upsertHourlyMetrics(occurredAt, increments, client) {
+  const {
+    ordersCreated = 0,
+    ordersConfirmed = 0,
+    ordersCancelled = 0,
+    ordersShipped = 0,
+    revenueConfirmed = 0,
+    revenueCancelled = 0,
+    revenueRefunded = 0,
+    paymentSuccessCount = 0,
+    paymentFailureCount = 0
+  } = increments;
+
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO hourly_order_counts (hour_bucket, order_count, orders_confirmed, orders_cancelled, orders_shipped, revenue, revenue_cancelled, revenue_refunded, payment_success_count, payment_failure_count)
+     VALUES (date_trunc('hour', $1::timestamptz AT TIME ZONE $2) AT TIME ZONE $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (hour_bucket) DO UPDATE SET
+       order_count = hourly_order_counts.order_count + EXCLUDED.order_count,
+       orders_confirmed = hourly_order_counts.orders_confirmed + EXCLUDED.orders_confirmed,
+       orders_cancelled = hourly_order_counts.orders_cancelled + EXCLUDED.orders_cancelled,
+       orders_shipped = hourly_order_counts.orders_shipped + EXCLUDED.orders_shipped,
+       revenue = hourly_order_counts.revenue + EXCLUDED.revenue,
+       revenue_cancelled = hourly_order_counts.revenue_cancelled + EXCLUDED.revenue_cancelled,
+       revenue_refunded = hourly_order_counts.revenue_refunded + EXCLUDED.revenue_refunded,
+       payment_success_count = hourly_order_counts.payment_success_count + EXCLUDED.payment_success_count,
+       payment_failure_count = hourly_order_counts.payment_failure_count + EXCLUDED.payment_failure_count`,
+    [occurredAt, REPORTING_TIMEZONE, ordersCreated, ordersConfirmed, ordersCancelled, ordersShipped, revenueConfirmed, revenueCancelled, revenueRefunded, paymentSuccessCount, paymentFailureCount]
+  );
+}
+
+/**
+ * Multi-row UPSERT of daily_metrics; rows are [{ date, increments }] with
+ * one row per date (pre-aggregated by the caller).
+ */
+async function upsertDailyMetricsBatch(rows, client) {
+  const params = [];
+  const values = rows.map(({ date, increments }) => {
+    params.push(
+      date,
+      increments.ordersCreated || 0,
+      increments.ordersConfirmed || 0,
+      increments.ordersCancelled || 0,
+      increments.ordersShipped || 0,
+      increments.revenueConfirmed || 0,
+      increments.revenueCancelled || 0,
+      increments.revenueRefunded || 0,
+      increments.paymentSuccessCount || 0,
+      increments.paymentFailureCount || 0
+    );
+    const n = params.length - 10;
+    return `($${n + 1}::date, $${n + 2}::int, $${n + 3}::int, $${n + 4}::int, $${n + 5}::int, $${n + 6}::numeric, $${n + 7}::numeric, $${n + 8}::numeric, $${n + 9}::int, $${n + 10}::int)`;
+  });
+
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO daily_metrics (date, orders_created, orders_confirmed, orders_cancelled, orders_shipped, revenue_confirmed, revenue_cancelled, revenue_refunded, payment_success_count, payment_failure_count)
+     VALUES ${values.join(', ')}
      ON CONFLICT (date) DO UPDATE SET
        orders_created = daily_metrics.orders_created + EXCLUDED.orders_created,
        orders_confirmed = daily_metrics.orders_confirmed + EXCLUDED.orders_confirmed,
@@ -45,33 +161,60 @@ async function upsertDailyMetrics(date, increments, client) {
        orders_shipped = daily_metrics.orders_shipped + EXCLUDED.orders_shipped,
        revenue_confirmed = daily_metrics.revenue_confirmed + EXCLUDED.revenue_confirmed,
        revenue_cancelled = daily_metrics.revenue_cancelled + EXCLUDED.revenue_cancelled,
+       revenue_refunded = daily_metrics.revenue_refunded + EXCLUDED.revenue_refunded,
        payment_success_count = daily_metrics.payment_success_count + EXCLUDED.payment_success_count,
        payment_failure_count = daily_metrics.payment_failure_count + EXCLUDED.payment_failure_count`,
-    [date, ordersCreated, ordersConfirmed, ordersCancelled, ordersShipped, revenueConfirmed, revenueCancelled, paymentSuccessCount, paymentFailureCount]
+    params
   );
 }
 
 /**
- * UPSERT hourly_order_counts using date_trunc('hour', NOW()) in SQL
- * to avoid timezone inconsistencies from JS-computed hour buckets.
+ * Multi-row UPSERT of hourly_order_counts; rows are [{ occurredAt, increments }]
+ * with one row per reporting-timezone hour (any instant within the hour).
  */
-async function upsertHourlyMetrics(orderCountIncrement, revenueIncrement, client) {
+async function upsertHourlyMetricsBatch(rows, client) {
+  const params = [REPORTING_TIMEZONE];
+  const values = rows.map(({ occurredAt, increments }) => {
+    params.push(
+      occurredAt,
+      increments.ordersCreated || 0,
+      increments.ordersConfirmed || 0,
+      increments.ordersCancelled || 0,
+      increments.ordersShipped || 0,
+      increments.revenueConfirmed || 0,
+      increments.revenueCancelled || 0,
+      increments.revenueRefunded || 0,
+      increments.paymentSuccessCount || 0,
+      increments.paymentFailureCount || 0
+    );
+    const n = params.length - 10;
+    return `(date_trunc('hour', $${n + 1}::timestamptz AT TIME ZONE $1) AT TIME ZONE $1, $${n + 2}::int, $${n + 3}::int, $${n + 4}::int, $${n + 5}::int, $${n + 6}::numeric, $${n + 7}::numeric, $${n + 8}::numeric, $${n + 9}::int, $${n + 10}::int)`;
+  });
+
   const db = client || getPool();
   await db.query(
-    `INSERT INTO hourly_order_counts (hour_bucket, order_count, revenue)
-     VALUES (date_trunc('hour', NOW()), $1, $2)
+    `INSERT INTO hourly_order_counts (hour_bucket, order_count, orders_confirmed, orders_cancelled, orders_shipped, revenue, revenue_cancelled, revenue_refunded, payment_success_count, payment_failure_count)
+     VALUES ${values.join(', ')}
      ON CONFLICT (hour_bucket) DO UPDATE SET
        order_count = hourly_order_counts.order_count + EXCLUDED.order_count,
-       revenue = hourly_order_counts.revenue + EXCLUDED.revenue`,
-    [orderCountIncrement, revenueIncrement]
+       orders_confirmed = hourly_order_counts.orders_confirmed + EXCLUDED.orders_confirmed,
+       orders_cancelled = hourly_order_counts.orders_cancelled + EXCLUDED.orders_cancelled,
+       orders_shipped = hourly_order_counts.orders_shipped + EXCLUDED.orders_shipped,
+       revenue = hourly_order_counts.revenue + EXCLUDED.revenue,
+       revenue_cancelled = hourly_order_counts.revenue_cancelled + EXCLUDED.revenue_cancelled,
+       revenue_refunded = hourly_order_counts.revenue_refunded + EXCLUDED.revenue_refunded,
+       payment_success_count = hourly_order_counts.payment_success_count + EXCLUDED.payment_success_count,
+       payment_failure_count = hourly_order_counts.payment_failure_count + EXCLUDED.payment_failure_count`,
+    params
   );
 }
 
 /**
  * UPSERT product_metrics for a given product.
+ * last_ordered_at only moves forward, so late-arriving events don't rewind it.
  * Accepts an optional client for transaction support.
  */
-async function upsertProductMetrics(productId, quantitySold, revenue, now, client) {
+async function upsertProductMetrics(productId, quantitySold, revenue, orderedAt, client) {
   const db = client || getPool();
   await db.query(
     `INSERT INTO product_metrics (product_id, total_quantity_sold, total_revenue, order_count, last_ordered_at)
@@ -80,201 +223,2540 @@ async function upsertProductMetrics(productId, quantitySold, revenue, now, clien
        total_quantity_sold = product_metrics.total_quantity_sold + EXCLUDED.total_quantity_sold,
        total_revenue = product_metrics.total_revenue + EXCLUDED.total_revenue,
        order_count = product_metrics.order_count + 1,
-       last_ordered_at = EXCLUDED.last_ordered_at`,
-    [productId, quantitySold, revenue, now]
+       last_ordered_at = GREATEST(product_metrics.last_ordered_at, EXCLUDED.last_ordered_at)`,
+    [productId, quantitySold, revenue, orderedAt]
   );
 }
 
 /**
- * Get aggregated overview metrics (totals from daily_metrics).
+ * Multi-row UPSERT of product_metrics; rows are
+ * [{ productId, quantitySold, revenue, orderCount, lastOrderedAt }], one per product.
  */
-async function getOverview() {
-  const pool = getPool();
+async function upsertProductMetricsBatch(rows, client) {
+  const params = [];
+  const values = rows.map(({ productId, quantitySold, revenue, orderCount, lastOrderedAt }) => {
+    params.push(productId, quantitySold, revenue, orderCount, lastOrderedAt);
+    const n = params.length - 5;
+    return `($${n + 1}::int, $${n + 2}::int, $${n + 3}::numeric, $${n + 4}::int, $${n + 5}::timestamptz)`;
+  });
 
-  // All-time totals
-  const totalsResult = await pool.query(
-    `SELECT
-       COALESCE(SUM(orders_created), 0) AS total_orders,
-       COALESCE(SUM(orders_confirmed), 0) AS orders_confirmed,
-       COALESCE(SUM(orders_cancelled), 0) AS orders_cancelled,
-       COALESCE(SUM(orders_shipped), 0) AS orders_shipped,
-       COALESCE(SUM(revenue_confirmed), 0) AS total_revenue,
-       COALESCE(SUM(payment_success_count), 0) AS payment_success,
-       COALESCE(SUM(payment_failure_count), 0) AS payment_failure
-     FROM daily_metrics`
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO product_metrics (product_id, total_quantity_sold, total_revenue, order_count, last_ordered_at)
+     VALUES ${values.join(', ')}
+     ON CONFLICT (product_id) DO UPDATE SET
+       total_quantity_sold = product_metrics.total_quantity_sold + EXCLUDED.total_quantity_sold,
+       total_revenue = product_metrics.total_revenue + EXCLUDED.total_revenue,
+       order_count = product_metrics.order_count + EXCLUDED.order_count,
+       last_ordered_at = GREATEST(product_metrics.last_ordered_at, EXCLUDED.last_ordered_at)`,
+    params
   );
+}
 
-  // Today's metrics
-  const todayResult = await pool.query(
-    `SELECT
-       COALESCE(orders_created, 0) AS today_orders,
-       COALESCE(revenue_confirmed, 0) AS today_revenue
-     FROM daily_metrics
-     WHERE date = CURRENT_DATE`
+/**
+ * UPSERT product_daily_metrics for a product on a given date.
+ * Accepts an optional client for transaction support.
+ */
+async function upsertProductDailyMetrics(date, productId, quantitySold, revenue, client) {
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO product_daily_metrics (date, product_id, quantity_sold, revenue, order_count)
+     VALUES ($1, $2, $3, $4, 1)
+     ON CONFLICT (product_id, date) DO UPDATE SET
+       quantity_sold = product_daily_metrics.quantity_sold + EXCLUDED.quantity_sold,
+       revenue = product_daily_metrics.revenue + EXCLUDED.revenue,
+       order_count = product_daily_metrics.order_count + 1`,
+    [date, productId, quantitySold, revenue]
   );
+}
 
-  const totals = totalsResult.rows[0];
-  const today = todayResult.rows[0] || { today_orders: 0, today_revenue: '0' };
+/**
+ * Multi-row UPSERT of product_daily_metrics; rows are
+ * [{ date, productId, quantitySold, revenue, orderCount }] with one row per
+ * product and date (pre-aggregated by the caller).
+ */
+async function upsertProductDailyMetricsBatch(rows, client) {
+  const params = [];
+  const values = rows.map(({ date, productId, quantitySold, revenue, orderCount }) => {
+    params.push(date, productId, quantitySold, revenue, orderCount);
+    const n = params.length - 5;
+    return `($${n + 1}::date, $${n + 2}::int, $${n + 3}::int, $${n + 4}::numeric, $${n + 5}::int)`;
+  });
 
-  const totalOrders = parseInt(totals.total_orders, 10);
-  const totalRevenue = parseFloat(totals.total_revenue);
-  const paymentSuccess = parseInt(totals.payment_success, 10);
-  const paymentFailure = parseInt(totals.payment_failure, 10);
-  const paymentTotal = paymentSuccess + paymentFailure;
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO product_daily_metrics (date, product_id, quantity_sold, revenue, order_count)
+     VALUES ${values.join(', ')}
+     ON CONFLICT (product_id, date) DO UPDATE SET
+       quantity_sold = product_daily_metrics.quantity_sold + EXCLUDED.quantity_sold,
+       revenue = product_daily_metrics.revenue + EXCLUDED.revenue,
+       order_count = product_daily_metrics.order_count + EXCLUDED.order_count`,
+    params
+  );
+}
 
-  return {
-    totalOrders,
-    totalRevenue: totalRevenue.toFixed(2),
-    averageOrderValue: totalOrders > 0 ? (totalRevenue / totalOrders).toFixed(2) : '0.00',
-    paymentSuccessRate: paymentTotal > 0 ? parseFloat(((paymentSuccess / paymentTotal) * 100).toFixed(1)) : 0,
-    ordersByStatus: {
-      created: Math.max(0, totalOrders - parseInt(totals.orders_confirmed, 10) - parseInt(totals.orders_cancelled, 10)),
-      confirmed: Math.max(0, parseInt(totals.orders_confirmed, 10) - parseInt(totals.orders_shipped, 10)),
-      shipped: parseInt(totals.orders_shipped, 10),
-      cancelled: parseInt(totals.orders_cancelled, 10)
-    },
-    todayOrders: parseInt(today.today_orders, 10),
-    todayRevenue: parseFloat(today.today_revenue).toFixed(2)
-  };
+/**
+ * Multi-row UPSERT of product_daily_revenue_by_currency; rows are
+ * [{ date, productId, currency, revenue, revenueCancelled }] with one row
+ * per product, date and currency.
+ * Accepts an optional client for transaction support.
+ */
+async function upsertProductCurrencyRevenue(rows, client) {
+  const params = [];
+  const values = rows.map(({ date, productId, currency, revenue = 0, revenueCancelled = 0 }) => {
+    params.push(date, productId, currency, revenue, revenueCancelled);
+    const n = params.length - 5;
+    return `($${n + 1}::date, $${n + 2}::int, $${n + 3}, $${n + 4}::numeric, $${n + 5}::numeric)`;
+  });
+
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO product_daily_revenue_by_currency (date, product_id, currency, revenue, revenue_cancelled)
+     VALUES ${values.join(', ')}
+     ON CONFLICT (product_id, date, currency) DO UPDATE SET
+       revenue = product_daily_revenue_by_currency.revenue + EXCLUDED.revenue,
+       revenue_cancelled = product_daily_revenue_by_currency.revenue_cancelled + EXCLUDED.revenue_cancelled`,
+    params
+  );
 }
 
 /**
- * Get revenue time series grouped by period.
+ * Count co-purchases for the given baskets (arrays of distinct product ids,
+ * one per confirmed order): every ordered pair in a basket, including each
+ * product with itself, gets +1 in product_pairs.
+ * Accepts an optional client for transaction support.
  */
-async function getRevenueSeries(period, from, to) {
-  let dateExpr;
-  switch (period) {
-    case 'weekly':
-      dateExpr = "date_trunc('week', date)::date";
-      break;
-    case 'monthly':
-      dateExpr = "date_trunc('month', date)::date";
-      break;
-    default:
-      dateExpr = 'date';
+async function upsertProductPairs(baskets, client) {
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO product_pairs (product_id, related_product_id, order_count)
+     SELECT a.value::int, b.value::int, COUNT(*)
+     FROM jsonb_array_elements($1::jsonb) AS basket(items)
+     CROSS JOIN LATERAL jsonb_array_elements_text(basket.items) AS a(value)
+     CROSS JOIN LATERAL jsonb_array_elements_text(basket.items) AS b(value)
+     GROUP BY 1, 2
+     ON CONFLICT (product_id, related_product_id) DO UPDATE SET
+       order_count = product_pairs.order_count + EXCLUDED.order_count`,
+    [JSON.stringify(baskets)]
+  );
+}
+
+/**
+ * Take the baskets of cancelled confirmed orders back out of product_pairs:
+ * every ordered pair in a basket gets -1.
+ * Accepts an optional client for transaction support.
+ */
+async function reverseProductPairs(baskets, client) {
+  const db = client || getPool();
+  await db.query(
+    `UPDATE product_pairs
+     SET order_count = product_pairs.order_count - cancelled.order_count
+     FROM (
+       SELECT a.value::int AS product_id, b.value::int AS related_product_id, COUNT(*) AS order_count
+       FROM jsonb_array_elements($1::jsonb) AS basket(items)
+       CROSS JOIN LATERAL jsonb_array_elements_text(basket.items) AS a(value)
+       CROSS JOIN LATERAL jsonb_array_elements_text(basket.items) AS b(value)
+       GROUP BY 1, 2
+     ) cancelled
+     WHERE product_pairs.product_id = cancelled.product_id
+       AND product_pairs.related_product_id = cancelled.related_product_id`,
+    [JSON.stringify(baskets)]
+  );
+}
+
+/**
+ * Record cancelled items of a confirmed order against a product's lifetime
+ * totals (kept apart from the gross figures).
+ * Accepts an optional client for transaction support.
+ */
+async function upsertProductCancellation(productId, quantityCancelled, revenueCancelled, client) {
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO product_metrics (product_id, quantity_cancelled, revenue_cancelled, cancelled_order_count)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (product_id) DO UPDATE SET
+       quantity_cancelled = product_metrics.quantity_cancelled + EXCLUDED.quantity_cancelled,
+       revenue_cancelled = product_metrics.revenue_cancelled + EXCLUDED.revenue_cancelled,
+       cancelled_order_count = product_metrics.cancelled_order_count + 1`,
+    [productId, quantityCancelled, revenueCancelled]
+  );
+}
+
+/**
+ * Record cancelled items of a confirmed order in product_daily_metrics for
+ * the date of the cancellation.
+ * Accepts an optional client for transaction support.
+ */
+async function upsertProductDailyCancellation(date, productId, quantityCancelled, revenueCancelled, client) {
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO product_daily_metrics (date, product_id, quantity_cancelled, revenue_cancelled)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (product_id, date) DO UPDATE SET
+       quantity_cancelled = product_daily_metrics.quantity_cancelled + EXCLUDED.quantity_cancelled,
+       revenue_cancelled = product_daily_metrics.revenue_cancelled + EXCLUDED.revenue_cancelled`,
+    [date, productId, quantityCancelled, revenueCancelled]
+  );
+}
+
+/**
+ * UPSERT user_metrics for a given customer with increments.
+ * orderedAt (order.created only) widens the first/last order window.
+ * Accepts an optional client for transaction support.
+ */
+async function upsertUserMetrics(userId, increments, orderedAt, client) {
+  const {
+    ordersCreated = 0,
+    ordersConfirmed = 0,
+    revenueConfirmed = 0,
+    ordersCancelled = 0,
+    paymentFailureCount = 0
+  } = increments;
+
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO user_metrics (user_id, order_count, confirmed_order_count, confirmed_revenue, cancelled_order_count, payment_failure_count, first_order_at, last_order_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+     ON CONFLICT (user_id) DO UPDATE SET
+       order_count = user_metrics.order_count + EXCLUDED.order_count,
+       confirmed_order_count = user_metrics.confirmed_order_count + EXCLUDED.confirmed_order_count,
+       confirmed_revenue = user_metrics.confirmed_revenue + EXCLUDED.confirmed_revenue,
+       cancelled_order_count = user_metrics.cancelled_order_count + EXCLUDED.cancelled_order_count,
+       payment_failure_count = user_metrics.payment_failure_count + EXCLUDED.payment_failure_count,
+       first_order_at = LEAST(user_metrics.first_order_at, EXCLUDED.first_order_at),
+       last_order_at = GREATEST(user_metrics.last_order_at, EXCLUDED.last_order_at)`,
+    [userId, ordersCreated, ordersConfirmed, revenueConfirmed, ordersCancelled, paymentFailureCount, orderedAt || null]
+  );
+}
+
+// Order lifecycle transitions tracked in order_states, and the status an order
+// has when that transition is the first one seen for it
+const ORDER_TRANSITION_STATUS = {
+  created: 'created',
+  payment_authorized: 'pending',
+  payment_failed: 'pending',
+  confirmed: 'confirmed',
+  cancelled: 'cancelled',
+  shipped: 'shipped'
+};
+
+/**
+ * UPSERT order_states for one lifecycle transition of an order.
+ * Each transition keeps the earliest timestamp seen (replays and late events
+ * never move it forward), and status is re-derived from the merged
+ * transitions with precedence cancelled > shipped > confirmed > created.
+ * The amount (and its currency) from order.confirmed wins; other events
+ * only fill it in.
+ * Accepts an optional client for transaction support.
+ */
+async function upsertOrderState(orderId, { transition, userId, amount, currency, occurredAt }, client) {
+  if (!ORDER_TRANSITION_STATUS[transition]) {
+    throw new Error(`Unknown order transition: ${transition}`);
   }
+  const column = `${transition}_at`;
 
-  const result = await getPool().query(
-    `SELECT
-       ${dateExpr} AS date,
-       COALESCE(SUM(revenue_confirmed), 0) AS revenue,
-       COALESCE(SUM(orders_confirmed), 0) AS orders
-     FROM daily_metrics
-     WHERE date >= $1 AND date <= $2
-     GROUP BY 1
-     ORDER BY 1`,
-    [from, to]
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO order_states (order_id, user_id, status, amount, ${column}, currency, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     ON CONFLICT (order_id) DO UPDATE SET
+       user_id = COALESCE(EXCLUDED.user_id, order_states.user_id),
+       amount = CASE
+         WHEN EXCLUDED.confirmed_at IS NOT NULL THEN COALESCE(EXCLUDED.amount, order_states.amount)
+         ELSE COALESCE(order_states.amount, EXCLUDED.amount)
+       END,
+       currency = CASE
+         WHEN EXCLUDED.confirmed_at IS NOT NULL THEN COALESCE(EXCLUDED.currency, order_states.currency)
+         ELSE COALESCE(order_states.currency, EXCLUDED.currency)
+       END,
+       ${column} = LEAST(order_states.${column}, EXCLUDED.${column}),
+       status = CASE
+         WHEN COALESCE(order_states.cancelled_at, EXCLUDED.cancelled_at) IS NOT NULL THEN 'cancelled'
+         WHEN COALESCE(order_states.shipped_at, EXCLUDED.shipped_at) IS NOT NULL THEN 'shipped'
+         WHEN COALESCE(order_states.confirmed_at, EXCLUDED.confirmed_at) IS NOT NULL THEN 'confirmed'
+         WHEN COALESCE(order_states.created_at, EXCLUDED.created_at) IS NOT NULL THEN 'created'
+         ELSE 'pending'
+       END,
+       updated_at = NOW()`,
+    [orderId, userId ?? null, ORDER_TRANSITION_STATUS[transition], amount ?? null, occurredAt, currency ?? null]
   );
+}
 
-  return result.rows.map(row => ({
-    date: row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date,
-    revenue: parseFloat(row.revenue).toFixed(2),
-    orders: parseInt(row.orders, 10)
-  }));
+/**
+ * UPSERT daily_revenue_by_currency for a date and original currency with
+ * increments (ordersConfirmed, revenueConfirmed, revenueCancelled,
+ * revenueRefunded). Accepts an optional client for transaction support.
+ */
+async function upsertCurrencyRevenue(date, currency, increments, client) {
+  const {
+    ordersConfirmed = 0,
+    revenueConfirmed = 0,
+    revenueCancelled = 0,
+    revenueRefunded = 0
+  } = increments;
+
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO daily_revenue_by_currency (date, currency, orders_confirmed, revenue_confirmed, revenue_cancelled, revenue_refunded)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (date, currency) DO UPDATE SET
+       orders_confirmed = daily_revenue_by_currency.orders_confirmed + EXCLUDED.orders_confirmed,
+       revenue_confirmed = daily_revenue_by_currency.revenue_confirmed + EXCLUDED.revenue_confirmed,
+       revenue_cancelled = daily_revenue_by_currency.revenue_cancelled + EXCLUDED.revenue_cancelled,
+       revenue_refunded = daily_revenue_by_currency.revenue_refunded + EXCLUDED.revenue_refunded`,
+    [date, currency, ordersConfirmed, revenueConfirmed, revenueCancelled, revenueRefunded]
+  );
 }
 
 /**
- * Get order count time series by status grouped by period.
+ * UPSERT hourly_revenue_by_currency for the reporting-timezone hour the
+ * event occurred in and its original currency, with the same increments as
+ * upsertCurrencyRevenue. Accepts an optional client for transaction support.
  */
-async function getOrdersSeries(period, from, to) {
-  let dateExpr;
-  switch (period) {
-    case 'weekly':
-      dateExpr = "date_trunc('week', date)::date";
-      break;
-    case 'monthly':
-      dateExpr = "date_trunc('month', date)::date";
-      break;
-    default:
-      dateExpr = 'date';
+async function upsertHourlyCurrencyRevenue(occurredAt, currency, increments, client) {
+  const {
+    ordersConfirmed = 0,
+    revenueConfirmed = 0,
+    revenueCancelled = 0,
+    revenueRefunded = 0
+  } = increments;
+
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO hourly_revenue_by_currency (hour_bucket, currency, orders_confirmed, revenue_confirmed, revenue_cancelled, revenue_refunded)
+     VALUES (date_trunc('hour', $1::timestamptz AT TIME ZONE $2) AT TIME ZONE $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (hour_bucket, currency) DO UPDATE SET
+       orders_confirmed = hourly_revenue_by_currency.orders_confirmed + EXCLUDED.orders_confirmed,
+       revenue_confirmed = hourly_revenue_by_currency.revenue_confirmed + EXCLUDED.revenue_confirmed,
+       revenue_cancelled = hourly_revenue_by_currency.revenue_cancelled + EXCLUDED.revenue_cancelled,
+       revenue_refunded = hourly_revenue_by_currency.revenue_refunded + EXCLUDED.revenue_refunded`,
+    [occurredAt, REPORTING_TIMEZONE, currency, ordersConfirmed, revenueConfirmed, revenueCancelled, revenueRefunded]
+  );
+}
+
+const FX_RATES_CHUNK_SIZE = 500;
+
+/**
+ * UPSERT FX rates ([{ date, currency, rate }]), replacing existing rates
+ * for the same currency and date. Returns the number of rows written.
+ */
+async function upsertFxRates(rates, client) {
+  const db = client || getPool();
+  for (let start = 0; start < rates.length; start += FX_RATES_CHUNK_SIZE) {
+    const params = [];
+    const values = rates.slice(start, start + FX_RATES_CHUNK_SIZE).map(({ date, currency, rate }) => {
+      params.push(date, currency, rate);
+      const n = params.length - 3;
+      return `($${n + 1}::date, $${n + 2}, $${n + 3}::numeric, NOW())`;
+    });
+
+    await db.query(
+      `INSERT INTO fx_rates (date, currency, rate, updated_at)
+       VALUES ${values.join(', ')}
+       ON CONFLICT (currency, date) DO UPDATE SET
+         rate = EXCLUDED.rate,
+         updated_at = NOW()`,
+      params
+    );
   }
+  return rates.length;
+}
 
+/**
+ * List FX rates, optionally for one currency and a date range, newest first.
+ */
+async function getFxRates({ currency, from, to, limit }) {
   const result = await getPool().query(
-    `SELECT
-       ${dateExpr} AS date,
-       COALESCE(SUM(orders_created), 0) AS created,
-       COALESCE(SUM(orders_confirmed), 0) AS confirmed,
-       COALESCE(SUM(orders_cancelled), 0) AS cancelled,
-       COALESCE(SUM(orders_shipped), 0) AS shipped
-     FROM daily_metrics
-     WHERE date >= $1 AND date <= $2
-     GROUP BY 1
-     ORDER BY 1`,
-    [from, to]
+    `SELECT date, currency, rate
+     FROM fx_rates
+     WHERE ($1::text IS NULL OR currency = $1)
+       AND ($2::date IS NULL OR date >= $2)
+       AND ($3::date IS NULL OR date <= $3)
+     ORDER BY date DESC, currency
+     LIMIT $4`,
+    [currency || null, from || null, to || null, limit]
   );
 
   return result.rows.map(row => ({
     date: row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date,
-    created: parseInt(row.created, 10),
-    confirmed: parseInt(row.confirmed, 10),
-    cancelled: parseInt(row.cancelled, 10),
-    shipped: parseInt(row.shipped, 10)
+    currency: row.currency,
+    rate: parseFloat(row.rate)
   }));
 }
 
 /**
- * Get top products by revenue or quantity.
+ * UPSERT payment_metrics for an order with one payment attempt
+ * ({ userId, outcome: 'authorized' | 'failed', method, amount, reason, occurredAt }).
+ * Every attempt after the first counts as a retry; method and failure reason
+ * follow the latest attempt. Accepts an optional client for transaction support.
  */
-async function getTopProducts(limit, sortBy) {
-  const orderColumn = sortBy === 'quantity' ? 'total_quantity_sold' : 'total_revenue';
+async function upsertPaymentAttempt(orderId, { userId, outcome, method, amount, reason, occurredAt }, client) {
+  const authorized = outcome === 'authorized';
 
-  const result = await getPool().query(
-    `SELECT product_id, total_quantity_sold, total_revenue, order_count, last_ordered_at
-     FROM product_metrics
-     ORDER BY ${orderColumn} DESC
-     LIMIT $1`,
-    [limit]
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO payment_metrics (
+       order_id, user_id, payment_method, authorized_amount, failed_amount,
+       authorization_count, failure_count, retry_count, last_failure_reason,
+       first_attempt_at, authorized_at, last_attempt_at
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, 0, $8, $9, $10, $9)
+     ON CONFLICT (order_id) DO UPDATE SET
+       user_id = COALESCE(EXCLUDED.user_id, payment_metrics.user_id),
+       payment_method = CASE
+         WHEN EXCLUDED.last_attempt_at >= payment_metrics.last_attempt_at
+           THEN COALESCE(EXCLUDED.payment_method, payment_metrics.payment_method)
+         ELSE COALESCE(payment_metrics.payment_method, EXCLUDED.payment_method)
+       END,
+       authorized_amount = payment_metrics.authorized_amount + EXCLUDED.authorized_amount,
+       failed_amount = payment_metrics.failed_amount + EXCLUDED.failed_amount,
+       authorization_count = payment_metrics.authorization_count + EXCLUDED.authorization_count,
+       failure_count = payment_metrics.failure_count + EXCLUDED.failure_count,
+       retry_count = payment_metrics.retry_count + 1,
+       last_failure_reason = CASE
+         WHEN EXCLUDED.last_failure_reason IS NOT NULL
+           AND (payment_metrics.last_failure_reason IS NULL OR EXCLUDED.last_attempt_at >= payment_metrics.last_attempt_at)
+           THEN EXCLUDED.last_failure_reason
+         ELSE payment_metrics.last_failure_reason
+       END,
+       first_attempt_at = LEAST(payment_metrics.first_attempt_at, EXCLUDED.first_attempt_at),
+       authorized_at = LEAST(payment_metrics.authorized_at, EXCLUDED.authorized_at),
+       last_attempt_at = GREATEST(payment_metrics.last_attempt_at, EXCLUDED.last_attempt_at)`,
+    [
+      orderId,
+      userId ?? null,
+      method,
+      authorized ? amount : 0,
+      authorized ? 0 : amount,
+      authorized ? 1 : 0,
+      authorized ? 0 : 1,
+      authorized ? null : reason,
+      occurredAt,
+      authorized ? occurredAt : null
+    ]
   );
-
-  return result.rows.map(row => ({
-    productId: row.product_id,
-    totalQuantitySold: parseInt(row.total_quantity_sold, 10),
-    totalRevenue: parseFloat(row.total_revenue).toFixed(2),
-    orderCount: parseInt(row.order_count, 10),
-    lastOrderedAt: row.last_ordered_at ? row.last_ordered_at.toISOString() : null
-  }));
 }
 
 /**
- * Get conversion funnel metrics.
+ * UPSERT payment_daily_metrics for one payment attempt on the given date.
+ * Accepts an optional client for transaction support.
  */
-async function getConversion() {
-  const result = await getPool().query(
-    `SELECT
-       COALESCE(SUM(orders_created), 0) AS created,
-       COALESCE(SUM(orders_confirmed), 0) AS confirmed,
-       COALESCE(SUM(orders_shipped), 0) AS shipped,
-       COALESCE(SUM(orders_cancelled), 0) AS cancelled
-     FROM daily_metrics`
+async function upsertPaymentDailyMetrics(date, { outcome, method, amount, reason }, client) {
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO payment_daily_metrics (date, payment_method, outcome, reason, attempt_count, amount)
+     VALUES ($1, $2, $3, $4, 1, $5)
+     ON CONFLICT (date, payment_method, outcome, reason) DO UPDATE SET
+       attempt_count = payment_daily_metrics.attempt_count + 1,
+       amount = payment_daily_metrics.amount + EXCLUDED.amount`,
+    [date, method || 'unknown', outcome, outcome === 'failed' ? reason : '', amount]
   );
+}
 
-  const row = result.rows[0];
-  const created = parseInt(row.created, 10);
-  const confirmed = parseInt(row.confirmed, 10);
-  const shipped = parseInt(row.shipped, 10);
-  const cancelled = parseInt(row.cancelled, 10);
+/**
+ * UPSERT payment_daily_amounts_by_currency for one payment attempt on the
+ * given date, keyed like payment_daily_metrics plus the attempt's currency.
+ * Accepts an optional client for transaction support.
+ */
+async function upsertPaymentCurrencyAmount(date, { outcome, method, amount, reason, currency }, client) {
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO payment_daily_amounts_by_currency (date, payment_method, outcome, reason, currency, amount)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (date, payment_method, outcome, reason, currency) DO UPDATE SET
+       amount = payment_daily_amounts_by_currency.amount + EXCLUDED.amount`,
+    [date, method || 'unknown', outcome, outcome === 'failed' ? reason : '', currency, amount]
+  );
+}
 
+/**
+ * Get the highest events_log id and row count up to it (replay snapshot bounds).
+ */
+async function getEventLogBounds(client) {
+  const db = client || getPool();
+  const result = await db.query(
+    'SELECT COALESCE(MAX(id), 0) AS max_id, COUNT(*) AS total FROM events_log'
+  );
   return {
-    created,
-    confirmed,
-    shipped,
-    cancelled,
-    conversionRates: {
-      createdToConfirmed: created > 0 ? parseFloat(((confirmed / created) * 100).toFixed(1)) : 0,
-      confirmedToShipped: confirmed > 0 ? parseFloat(((shipped / confirmed) * 100).toFixed(1)) : 0,
-      overallCompletionRate: created > 0 ? parseFloat(((shipped / created) * 100).toFixed(1)) : 0
+    maxId: parseInt(result.rows[0].max_id, 10),
+    total: parseInt(result.rows[0].total, 10)
+  };
+}
+
+/**
+ * Read a page of events_log rows in insertion order, as validated-event shaped objects.
+ * Rows with id > afterId and (when given) id <= maxId.
+ */
+async function getLoggedEvents(afterId, maxId, limit, client) {
+  const db = client || getPool();
+  const result = await db.query(
+    `SELECT id, event_id, event_type, order_id, user_id, correlation_id, data, occurred_at, received_at
+     FROM events_log
+     WHERE id > $1 AND ($2::integer IS NULL OR id <= $2)
+     ORDER BY id
+     LIMIT $3`,
+    [afterId, maxId, limit]
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    event: {
+      eventId: row.event_id,
+      type: row.event_type,
+      orderId: row.order_id,
+      userId: row.user_id,
+      correlationId: row.correlation_id,
+      data: row.data,
+      timestamp: (row.occurred_at || row.received_at).toISOString()
+    }
+  }));
+}
+
+const EXPORT_BATCH_SIZE = 1000;
+
+/**
+ * Iterate events_log rows that occurred within [from, to] (YYYY-MM-DD in
+ * the reporting timezone), optionally of one event type, in occurrence
+ * order. Rows are read through a cursor and yielded a batch at a time, so
+ * an export never holds more than one batch in memory. The connection is
+ * released when iteration finishes or is abandoned.
+ */
+async function* streamLoggedEvents({ from, to, eventType = null }) {
+  const client = await getPool().connect();
+  const cursor = new Cursor(
+    `SELECT id, event_id, event_type, order_id, user_id, correlation_id, occurred_at, received_at, data
+     FROM events_log
+     WHERE occurred_at >= $1::date::timestamp AT TIME ZONE $3
+       AND occurred_at < ($2::date + 1)::timestamp AT TIME ZONE $3
+       AND ($4::text IS NULL OR event_type = $4)
+     ORDER BY occurred_at, id`,
+    [from, to, REPORTING_TIMEZONE, eventType]
+  );
+  client.query(cursor);
+
+  try {
+    for (;;) {
+      const rows = await cursor.read(EXPORT_BATCH_SIZE);
+      if (rows.length === 0) break;
+
+      yield rows.map(row => ({
+        id: row.id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        orderId: row.order_id,
+        userId: row.user_id,
+        correlationId: row.correlation_id,
+        occurredAt: row.occurred_at ? row.occurred_at.toISOString() : null,
+        receivedAt: row.received_at ? row.received_at.toISOString() : null,
+        data: row.data
+      }));
+    }
+  } finally {
+    await cursor.close();
+    client.release();
+  }
+}
+
+/**
+ * The order's first confirmation and first cancellation in events_log, or
+ * null unless it has both. confirmedFirst tells which was logged first, so
+ * whichever is applied second (live or on replay) reverses the confirmed
+ * items, in the confirmation's currency. Accepts an optional client for
+ * transaction support.
+ */
+async function getCancelledConfirmation(orderId, client) {
+  const db = client || getPool();
+  const result = await db.query(
+    `SELECT c.id AS confirmed_id, c.data, x.id AS cancelled_id, x.cancelled_at
+     FROM (
+       SELECT id, data FROM events_log
+       WHERE event_type = 'order.confirmed' AND order_id = $1
+       ORDER BY id LIMIT 1
+     ) c,
+     (
+       SELECT id, COALESCE(occurred_at, received_at) AS cancelled_at FROM events_log
+       WHERE event_type = 'order.cancelled' AND order_id = $1
+       ORDER BY id LIMIT 1
+     ) x`,
+    [orderId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const row = result.rows[0];
+  return {
+    confirmedFirst: row.confirmed_id < row.cancelled_id,
+    items: Array.isArray(row.data?.items) ? row.data.items : [],
+    currency: getEventCurrency(row.data),
+    cancelledAt: row.cancelled_at
+  };
+}
+
+// Migration that replaced the (event_type, order_id) unique index
+const DEDUP_MIGRATION = '009_dedup_events_by_event_id.sql';
+
+/**
+ * When migration 009 replaced the legacy dedup rule, or null if it hasn't
+ * been applied.
+ */
+async function getDedupMigrationAppliedAt() {
+  const result = await getPool().query(
+    `SELECT applied_at FROM schema_migrations WHERE filename = $1`,
+    [DEDUP_MIGRATION]
+  );
+  return result.rows[0] ? new Date(result.rows[0].applied_at) : null;
+}
+
+/**
+ * Which of the given dedup keys are logged in events_log, as a Map of key
+ * to whether its row is a legacy one.
+ */
+async function findLoggedDedupKeys(keys) {
+  const result = await getPool().query(
+    `SELECT dedup_key, legacy FROM events_log WHERE dedup_key = ANY($1::text[])`,
+    [keys]
+  );
+  return new Map(result.rows.map(row => [row.dedup_key, row.legacy]));
+}
+
+/**
+ * Offsets (as strings) of a partition's messages found in quarantined_events.
+ */
+async function findQuarantinedOffsets(topic, partition, offsets) {
+  const result = await getPool().query(
+    `SELECT kafka_offset FROM quarantined_events
+     WHERE topic = $1 AND kafka_partition = $2 AND kafka_offset = ANY($3::bigint[])`,
+    [topic, partition, offsets]
+  );
+  return new Set(result.rows.map(row => String(row.kafka_offset)));
+}
+
+/**
+ * Events logged since migration 009 that the legacy (event_type, order_id)
+ * rule would discard as duplicates, i.e. every event after the first for its
+ * type and order, grouped by type. Under the legacy unique index no such
+ * event could be stored, so all of them arrived after the migration. What
+ * the legacy rule actually discarded before it was never stored and is not
+ * counted.
+ */
+async function getLegacyWouldDiscardReport() {
+  const appliedAt = await getDedupMigrationAppliedAt();
+  const result = await getPool().query(
+    `SELECT
+       event_type,
+       COUNT(*) - COUNT(DISTINCT order_id) AS would_discard,
+       COUNT(DISTINCT order_id) FILTER (WHERE occurrences > 1) AS affected_orders,
+       MIN(occurred_at) FILTER (WHERE occurrences > 1) AS first_seen_at,
+       MAX(occurred_at) FILTER (WHERE occurrences > 1) AS last_seen_at
+     FROM (
+       SELECT event_type, order_id, occurred_at,
+              COUNT(*) OVER (PARTITION BY event_type, order_id) AS occurrences
+       FROM events_log
+     ) logged
+     GROUP BY event_type
+     HAVING COUNT(*) > COUNT(DISTINCT order_id)
+     ORDER BY would_discard DESC, event_type`
+  );
+
+  const byEventType = result.rows.map(row => ({
+    eventType: row.event_type,
+    wouldDiscard: parseInt(row.would_discard, 10),
+    affectedOrders: parseInt(row.affected_orders, 10),
+    firstSeenAt: row.first_seen_at ? new Date(row.first_seen_at).toISOString() : null,
+    lastSeenAt: row.last_seen_at ? new Date(row.last_seen_at).toISOString() : null
+  }));
+
+  return {
+    since: appliedAt ? appliedAt.toISOString() : null,
+    totalWouldDiscard: byEventType.reduce((sum, row) => sum + row.wouldDiscard, 0),
+    byEventType
+  };
+}
+
+// Rate of a currency on a date: the latest fx_rates row on or before it
+// (1 for the base currency)
+const fxRateSql = (currency, date, base) => `CASE WHEN ${currency} = ${base} THEN 1 ELSE (
+         SELECT fx.rate FROM fx_rates fx
+         WHERE fx.currency = ${currency} AND fx.date <= ${date}
+         ORDER BY fx.date DESC LIMIT 1
+       ) END`;
+
+// Factor converting an amount in currency on date to the target currency,
+// NULL where a rate is missing. Arguments are SQL expressions; columns must
+// be qualified, as the rate lookups read fx_rates.
+const fxFactorSql = (currency, date, target, base) => `CASE WHEN ${currency} = ${target} THEN 1
+        ELSE ${fxRateSql(currency, date, base)} / ${fxRateSql(target, date, base)}
+      END`;
+
+/**
+ * CTE "converted": revenue amounts per date and original currency
+ * (daily_revenue_by_currency, plus confirmed orders cancelled that day from
+ * order_states) with the factor converting them to the target currency at
+ * the rate for that date; factor is NULL where a rate is missing.
+ * Params: $1 from date (NULL for all time), $2 to date, $3 target currency,
+ * $4 base currency, $5 reporting timezone.
+ */
+const CONVERTED_REVENUE_CTE = `
+  WITH amounts AS (
+    SELECT date, currency::text AS currency, orders_confirmed, revenue_confirmed,
+           0::numeric AS revenue_reversed, revenue_refunded
+    FROM daily_revenue_by_currency
+    WHERE ($1::date IS NULL OR date >= $1::date) AND date <= $2::date
+    UNION ALL
+    SELECT (cancelled_at AT TIME ZONE $5)::date, COALESCE(currency::text, $4::text), 0, 0,
+           COALESCE(amount, 0), 0
+    FROM order_states
+    WHERE confirmed_at IS NOT NULL
+      AND ($1::date IS NULL OR cancelled_at >= $1::date::timestamp AT TIME ZONE $5)
+      AND cancelled_at < ($2::date + 1)::timestamp AT TIME ZONE $5
+  ),
+  converted AS (
+    SELECT a.*, ${fxFactorSql('a.currency', 'a.date', '$3::text', '$4::text')} AS factor
+    FROM amounts a
+  )`;
+
+/**
+ * Currencies with revenue or payment amounts between two dates (from may be
+ * null for all time) that can't be converted to currency for lack of an FX
+ * rate, with the first date affected. Hourly, product, customer and cohort
+ * amounts come from the same orders as the daily revenue, so it covers
+ * them too.
+ */
+async function getMissingFxRates(from, to, currency) {
+  const result = await getPool().query(
+    `${CONVERTED_REVENUE_CTE}
+     SELECT currency, MIN(date) AS first_date
+     FROM (
+       SELECT currency, date FROM converted WHERE factor IS NULL
+       UNION ALL
+       SELECT p.currency::text, p.date
+       FROM payment_daily_amounts_by_currency p
+       WHERE ($1::date IS NULL OR p.date >= $1::date) AND p.date <= $2::date
+         AND ${fxFactorSql('p.currency::text', 'p.date', '$3::text', '$4::text')} IS NULL
+     ) missing
+     GROUP BY currency
+     ORDER BY currency`,
+    [from, to, currency, BASE_CURRENCY, REPORTING_TIMEZONE]
+  );
+
+  return result.rows.map(row => ({
+    currency: row.currency,
+    firstDate: row.first_date instanceof Date ? row.first_date.toISOString().split('T')[0] : row.first_date
+  }));
+}
+
+/**
+ * Get aggregated overview metrics (totals from daily_metrics, revenue per
+ * original currency converted to currency, current status breakdown from
+ * order_states, customers from user_metrics).
+ */
+async function getOverview(currency = BASE_CURRENCY) {
+  const pool = getPool();
+  const todayDate = toReportingDate(new Date());
+
+  // All-time totals
+  const totalsResult = await pool.query(
+    `SELECT
+       COALESCE(SUM(orders_created), 0) AS total_orders,
+       COALESCE(SUM(orders_cancelled), 0) AS orders_cancelled,
+       COALESCE(SUM(orders_shipped), 0) AS orders_shipped,
+       COALESCE(SUM(payment_success_count), 0) AS payment_success,
+       COALESCE(SUM(payment_failure_count), 0) AS payment_failure
+     FROM daily_metrics`
+  );
+
+  // Today's metrics (today in the reporting timezone)
+  const todayResult = await pool.query(
+    `SELECT COALESCE(orders_created, 0) AS today_orders
+     FROM daily_metrics
+     WHERE date = $1`,
+    [todayDate]
+  );
+
+  // Revenue, with confirmed orders cancelled afterwards as reversed
+  const revenueResult = await pool.query(
+    `${CONVERTED_REVENUE_CTE}
+     SELECT
+       COALESCE(SUM(orders_confirmed), 0) AS orders_confirmed,
+       COALESCE(SUM(revenue_confirmed * factor), 0) AS gross,
+       COALESCE(SUM(revenue_reversed * factor), 0) AS reversed,
+       COALESCE(SUM(revenue_refunded * factor), 0) AS refunded,
+       COALESCE(SUM(revenue_confirmed * factor) FILTER (WHERE date = $2::date), 0) AS today
+     FROM converted`,
+    [null, todayDate, currency, BASE_CURRENCY, REPORTING_TIMEZONE]
+  );
+
+  // Exact current-state counts per order
+  const statusResult = await pool.query(
+    `SELECT status, COUNT(*) AS count
+     FROM order_states
+     GROUP BY status`
+  );
+
+  // Customer base: repeat rate and today's new vs returning customers
+  const customersResult = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE order_count >= 1) AS customers,
+       COUNT(*) FILTER (WHERE order_count >= 2) AS repeat_customers,
+       COUNT(*) FILTER (WHERE (first_order_at AT TIME ZONE $1)::date = $2::date) AS new_today,
+       COUNT(*) FILTER (
+         WHERE (last_order_at AT TIME ZONE $1)::date = $2::date
+           AND (first_order_at AT TIME ZONE $1)::date < $2::date
+       ) AS returning_today
+     FROM user_metrics`,
+    [REPORTING_TIMEZONE, todayDate]
+  );
+
+  const totals = totalsResult.rows[0];
+  const today = todayResult.rows[0] || { today_orders: 0 };
+  const revenueRow = revenueResult.rows[0];
+  const customers = customersResult.rows[0];
+  const totalCustomers = parseInt(customers.customers, 10);
+  const repeatCustomers = parseInt(customers.repeat_customers, 10);
+
+  const totalOrders = parseInt(totals.total_orders, 10);
+  const paymentSuccess = parseInt(totals.payment_success, 10);
+  const paymentFailure = parseInt(totals.payment_failure, 10);
+  const paymentTotal = paymentSuccess + paymentFailure;
+
+  const ordersByStatus = { pending: 0, created: 0, confirmed: 0, shipped: 0, cancelled: 0 };
+  for (const row of statusResult.rows) {
+    ordersByStatus[row.status] = parseInt(row.count, 10);
+  }
+
+  const revenue = {
+    ordersConfirmed: parseInt(revenueRow.orders_confirmed, 10),
+    gross: parseFloat(revenueRow.gross),
+    reversed: parseFloat(revenueRow.reversed),
+    refunded: parseFloat(revenueRow.refunded),
+    today: parseFloat(revenueRow.today)
+  };
+
+  return {
+    currency,
+    totalOrders,
+    totalRevenue: revenue.gross.toFixed(2),
+    revenueReversed: revenue.reversed.toFixed(2),
+    revenueRefunded: revenue.refunded.toFixed(2),
+    netRevenue: (revenue.gross - revenue.reversed - revenue.refunded).toFixed(2),
+    averageOrderValue: revenue.ordersConfirmed > 0 ? (revenue.gross / revenue.ordersConfirmed).toFixed(2) : '0.00',
+    paymentSuccessRate: paymentTotal > 0 ? parseFloat(((paymentSuccess / paymentTotal) * 100).toFixed(1)) : 0,
+    ordersByStatus,
+    todayOrders: parseInt(today.today_orders, 10),
+    todayRevenue: revenue.today.toFixed(2),
+    customers: {
+      total: totalCustomers,
+      repeatCustomers,
+      repeatCustomerRate: totalCustomers > 0 ? parseFloat(((repeatCustomers / totalCustomers) * 100).toFixed(1)) : 0,
+      newToday: parseInt(customers.new_today, 10),
+      returningToday: parseInt(customers.returning_today, 10)
+    }
+  };
+}
+
+// Gross confirmed revenue minus confirmed-then-cancelled and refunded revenue
+const netRevenue = (gross, reversed, refunded) =>
+  (parseFloat(gross) - parseFloat(reversed) - parseFloat(refunded)).toFixed(2);
+
+const averageOrderValue = (revenue, orders) =>
+  (orders > 0 ? (parseFloat(revenue) / orders).toFixed(2) : '0.00');
+
+// date_trunc unit (and generate_series step) of each daily-based period
+const SERIES_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+/**
+ * Get hourly buckets between two instants (inclusive), zero-filled so every
+ * hour in the range is present. Buckets are hours of the reporting timezone.
+ * Counts come from hourly_order_counts; amounts from each original currency
+ * converted to currency at the FX rate for the hour's date.
+ * revenue_reversed is the revenue of confirmed orders cancelled in the hour.
+ */
+async function getHourlySeries(from, to, currency = BASE_CURRENCY) {
+  const result = await getPool().query(
+    `WITH amounts AS (
+       SELECT hour_bucket, currency::text AS currency, revenue_confirmed, revenue_cancelled,
+              0::numeric AS revenue_reversed, revenue_refunded
+       FROM hourly_revenue_by_currency
+       WHERE hour_bucket >= date_trunc('hour', $1::timestamptz AT TIME ZONE $3) AT TIME ZONE $3
+         AND hour_bucket <= $2::timestamptz
+       UNION ALL
+       SELECT date_trunc('hour', cancelled_at AT TIME ZONE $3) AT TIME ZONE $3,
+              COALESCE(currency::text, $5::text), 0, 0, COALESCE(amount, 0), 0
+       FROM order_states
+       WHERE confirmed_at IS NOT NULL
+         AND cancelled_at >= date_trunc('hour', $1::timestamptz AT TIME ZONE $3) AT TIME ZONE $3
+         AND cancelled_at <= $2::timestamptz
+     ),
+     revenue AS (
+       SELECT
+         hour_bucket,
+         SUM(revenue_confirmed * factor) AS revenue_confirmed,
+         SUM(revenue_cancelled * factor) AS revenue_cancelled,
+         SUM(revenue_reversed * factor) AS revenue_reversed,
+         SUM(revenue_refunded * factor) AS revenue_refunded
+       FROM (
+         SELECT a.*, ${fxFactorSql('a.currency', '(a.hour_bucket AT TIME ZONE $3)::date', '$4::text', '$5::text')} AS factor
+         FROM amounts a
+       ) converted
+       GROUP BY hour_bucket
+     )
+     SELECT
+       gs.hour_bucket,
+       COALESCE(h.order_count, 0) AS orders_created,
+       COALESCE(h.orders_confirmed, 0) AS orders_confirmed,
+       COALESCE(h.orders_cancelled, 0) AS orders_cancelled,
+       COALESCE(h.orders_shipped, 0) AS orders_shipped,
+       COALESCE(r.revenue_confirmed, 0) AS revenue_confirmed,
+       COALESCE(r.revenue_cancelled, 0) AS revenue_cancelled,
+       COALESCE(r.revenue_reversed, 0) AS revenue_reversed,
+       COALESCE(r.revenue_refunded, 0) AS revenue_refunded,
+       COALESCE(h.payment_success_count, 0) AS payment_success,
+       COALESCE(h.payment_failure_count, 0) AS payment_failure
+     FROM generate_series(
+       date_trunc('hour', $1::timestamptz AT TIME ZONE $3) AT TIME ZONE $3,
+       $2::timestamptz,
+       interval '1 hour'
+     ) AS gs(hour_bucket)
+     LEFT JOIN hourly_order_counts h ON h.hour_bucket = gs.hour_bucket
+     LEFT JOIN revenue r ON r.hour_bucket = gs.hour_bucket
+     ORDER BY gs.hour_bucket`,
+    [from, to, REPORTING_TIMEZONE, currency, BASE_CURRENCY]
+  );
+
+  return result.rows.map(row => ({
+    hour: row.hour_bucket instanceof Date ? row.hour_bucket.toISOString() : row.hour_bucket,
+    ordersCreated: parseInt(row.orders_created, 10),
+    ordersConfirmed: parseInt(row.orders_confirmed, 10),
+    ordersCancelled: parseInt(row.orders_cancelled, 10),
+    ordersShipped: parseInt(row.orders_shipped, 10),
+    revenueConfirmed: parseFloat(row.revenue_confirmed).toFixed(2),
+    revenueCancelled: parseFloat(row.revenue_cancelled).toFixed(2),
+    revenueReversed: parseFloat(row.revenue_reversed).toFixed(2),
+    revenueRefunded: parseFloat(row.revenue_refunded).toFixed(2),
+    netRevenue: netRevenue(row.revenue_confirmed, row.revenue_reversed, row.revenue_refunded),
+    paymentSuccessCount: parseInt(row.payment_success, 10),
+    paymentFailureCount: parseInt(row.payment_failure, 10)
+  }));
+}
+
+/**
+ * Get revenue time series grouped by period, with one bucket per period in
+ * the range (zero-filled). Partial first/last weeks or months only count
+ * days inside the range.
+ * The hourly period reads the hourly tables with from/to as instants.
+ * Amounts are converted from each order's currency to currency at the FX
+ * rate for the date.
+ */
+async function getRevenueSeries(period, from, to, currency = BASE_CURRENCY) {
+  if (period === 'hourly') {
+    const hours = await getHourlySeries(from, to, currency);
+    return hours.map(hour => ({
+      date: hour.hour,
+      revenue: hour.revenueConfirmed,
+      revenueReversed: hour.revenueReversed,
+      revenueRefunded: hour.revenueRefunded,
+      netRevenue: hour.netRevenue,
+      orders: hour.ordersConfirmed,
+      averageOrderValue: averageOrderValue(hour.revenueConfirmed, hour.ordersConfirmed)
+    }));
+  }
+
+  const unit = SERIES_UNITS[period] || 'day';
+
+  const result = await getPool().query(
+    `${CONVERTED_REVENUE_CTE}
+     SELECT
+       buckets.bucket::date AS date,
+       COALESCE(SUM(c.revenue_confirmed * c.factor), 0) AS revenue,
+       COALESCE(SUM(c.revenue_reversed * c.factor), 0) AS revenue_reversed,
+       COALESCE(SUM(c.revenue_refunded * c.factor), 0) AS revenue_refunded,
+       COALESCE(SUM(c.orders_confirmed), 0) AS orders
+     FROM generate_series(
+       date_trunc('${unit}', $1::date::timestamp),
+       $2::date::timestamp,
+       interval '1 ${unit}'
+     ) AS buckets(bucket)
+     LEFT JOIN converted c
+       ON c.date >= buckets.bucket AND c.date < buckets.bucket + interval '1 ${unit}'
+     GROUP BY buckets.bucket
+     ORDER BY buckets.bucket`,
+    [from, to, currency, BASE_CURRENCY, REPORTING_TIMEZONE]
+  );
+
+  return result.rows.map(row => {
+    const orders = parseInt(row.orders, 10);
+    return {
+      date: row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date,
+      revenue: parseFloat(row.revenue).toFixed(2),
+      revenueReversed: parseFloat(row.revenue_reversed).toFixed(2),
+      revenueRefunded: parseFloat(row.revenue_refunded).toFixed(2),
+      netRevenue: netRevenue(row.revenue, row.revenue_reversed, row.revenue_refunded),
+      orders,
+      averageOrderValue: averageOrderValue(row.revenue, orders)
+    };
+  });
+}
+
+/**
+ * Get order count time series by status grouped by period, zero-filled like
+ * getRevenueSeries.
+ * The hourly period reads hourly_order_counts with from/to as instants.
+ */
+async function getOrdersSeries(period, from, to) {
+  if (period === 'hourly') {
+    const hours = await getHourlySeries(from, to);
+    return hours.map(hour => ({
+      date: hour.hour,
+      created: hour.ordersCreated,
+      confirmed: hour.ordersConfirmed,
+      cancelled: hour.ordersCancelled,
+      shipped: hour.ordersShipped
+    }));
+  }
+
+  const unit = SERIES_UNITS[period] || 'day';
+
+  const result = await getPool().query(
+    `SELECT
+       buckets.bucket::date AS date,
+       COALESCE(SUM(m.orders_created), 0) AS created,
+       COALESCE(SUM(m.orders_confirmed), 0) AS confirmed,
+       COALESCE(SUM(m.orders_cancelled), 0) AS cancelled,
+       COALESCE(SUM(m.orders_shipped), 0) AS shipped
+     FROM generate_series(
+       date_trunc('${unit}', $1::date::timestamp),
+       $2::date::timestamp,
+       interval '1 ${unit}'
+     ) AS buckets(bucket)
+     LEFT JOIN daily_metrics m
+       ON m.date >= buckets.bucket AND m.date < buckets.bucket + interval '1 ${unit}'
+       AND m.date >= $1 AND m.date <= $2
+     GROUP BY buckets.bucket
+     ORDER BY buckets.bucket`,
+    [from, to]
+  );
+
+  return result.rows.map(row => ({
+    date: row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date,
+    created: parseInt(row.created, 10),
+    confirmed: parseInt(row.confirmed, 10),
+    cancelled: parseInt(row.cancelled, 10),
+    shipped: parseInt(row.shipped, 10)
+  }));
+}
+
+// Lifecycle transitions measured by getLatencySeries: [name, from column, to column]
+const LATENCY_TRANSITIONS = [
+  ['createdToPaymentAuthorized', 'created_at', 'payment_authorized_at'],
+  ['paymentAuthorizedToConfirmed', 'payment_authorized_at', 'confirmed_at'],
+  ['confirmedToShipped', 'confirmed_at', 'shipped_at'],
+  ['createdToShipped', 'created_at', 'shipped_at']
+];
+
+/**
+ * Get order lifecycle latency (seconds) per transition grouped by period.
+ * Each duration is attributed to the reporting-timezone date its transition
+ * completed; negative durations from out-of-order events are ignored.
+ */
+async function getLatencySeries(period, from, to) {
+  let dateExpr;
+  switch (period) {
+    case 'weekly':
+      dateExpr = "date_trunc('week', day)::date";
+      break;
+    case 'monthly':
+      dateExpr = "date_trunc('month', day)::date";
+      break;
+    default:
+      dateExpr = 'day';
+  }
+
+  const transitionsSql = LATENCY_TRANSITIONS.map(([name, start, end]) =>
+    `SELECT '${name}' AS transition,
+            (${end} AT TIME ZONE $3)::date AS day,
+            EXTRACT(EPOCH FROM (${end} - ${start})) AS seconds
+     FROM order_states
+     WHERE ${start} IS NOT NULL AND ${end} IS NOT NULL AND ${end} >= ${start}`
+  ).join('\n     UNION ALL\n     ');
+
+  const result = await getPool().query(
+    `SELECT
+       ${dateExpr} AS date,
+       transition,
+       COUNT(*) AS count,
+       AVG(seconds) AS avg_seconds,
+       percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds) AS p50_seconds,
+       percentile_cont(0.9) WITHIN GROUP (ORDER BY seconds) AS p90_seconds,
+       percentile_cont(0.99) WITHIN GROUP (ORDER BY seconds) AS p99_seconds
+     FROM (
+       ${transitionsSql}
+     ) transitions
+     WHERE day >= $1 AND day <= $2
+     GROUP BY 1, 2
+     ORDER BY 1, 2`,
+    [from, to, REPORTING_TIMEZONE]
+  );
+
+  const toSeconds = (value) => (value === null ? null : parseFloat(parseFloat(value).toFixed(1)));
+  const buckets = new Map();
+
+  for (const row of result.rows) {
+    const date = row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date;
+
+    if (!buckets.has(date)) {
+      const transitions = {};
+      for (const [name] of LATENCY_TRANSITIONS) {
+        transitions[name] = { count: 0, avgSeconds: null, p50Seconds: null, p90Seconds: null, p99Seconds: null };
+      }
+      buckets.set(date, { date, transitions });
+    }
+
+    buckets.get(date).transitions[row.transition] = {
+      count: parseInt(row.count, 10),
+      avgSeconds: toSeconds(row.avg_seconds),
+      p50Seconds: toSeconds(row.p50_seconds),
+      p90Seconds: toSeconds(row.p90_seconds),
+      p99Seconds: toSeconds(row.p99_seconds)
+    };
+  }
+
+  return Array.from(buckets.values());
+}
+
+/**
+ * CTE "payments": payment_daily_metrics rows between $1 and $2 (dates) for
+ * the attempt counts, and payment_daily_amounts_by_currency rows converted
+ * to target at the rate for their date for the amounts (attempt_count is 0
+ * on amount rows and amount 0 on count rows). target and base are the
+ * placeholders of the target and base currencies.
+ */
+const convertedPaymentsCte = (target, base) => `
+  WITH payments AS (
+    SELECT date, payment_method, outcome, reason, attempt_count, 0::numeric AS amount
+    FROM payment_daily_metrics
+    WHERE date >= $1::date AND date <= $2::date
+    UNION ALL
+    SELECT a.date, a.payment_method, a.outcome, a.reason, 0,
+           a.amount * ${fxFactorSql('a.currency::text', 'a.date', target, base)}
+    FROM payment_daily_amounts_by_currency a
+    WHERE a.date >= $1::date AND a.date <= $2::date
+  )`;
+
+/**
+ * Payment analytics between two dates: a zero-filled series of authorized
+ * and failed attempts/amounts per period, the top failure reasons, the
+ * authorization rate per payment method, and retry stats for orders whose
+ * first payment attempt falls in the range. Amounts are converted to
+ * currency at the FX rate for their date.
+ */
+async function getPaymentAnalytics(period, from, to, reasonLimit, currency = BASE_CURRENCY) {
+  const pool = getPool();
+  const unit = SERIES_UNITS[period] || 'day';
+  const rate = (part, total) => (total > 0 ? parseFloat(((part / total) * 100).toFixed(1)) : 0);
+
+  const seriesResult = await pool.query(
+    `${convertedPaymentsCte('$3::text', '$4::text')}
+     SELECT
+       buckets.bucket::date AS date,
+       COALESCE(SUM(p.attempt_count) FILTER (WHERE p.outcome = 'authorized'), 0) AS authorized_count,
+       COALESCE(SUM(p.amount) FILTER (WHERE p.outcome = 'authorized'), 0) AS authorized_amount,
+       COALESCE(SUM(p.attempt_count) FILTER (WHERE p.outcome = 'failed'), 0) AS failed_count,
+       COALESCE(SUM(p.amount) FILTER (WHERE p.outcome = 'failed'), 0) AS failed_amount
+     FROM generate_series(
+       date_trunc('${unit}', $1::date::timestamp),
+       $2::date::timestamp,
+       interval '1 ${unit}'
+     ) AS buckets(bucket)
+     LEFT JOIN payments p
+       ON p.date >= buckets.bucket AND p.date < buckets.bucket + interval '1 ${unit}'
+     GROUP BY buckets.bucket
+     ORDER BY buckets.bucket`,
+    [from, to, currency, BASE_CURRENCY]
+  );
+
+  const reasonsResult = await pool.query(
+    `${convertedPaymentsCte('$4::text', '$5::text')}
+     SELECT reason, SUM(attempt_count) AS failures, COALESCE(SUM(amount), 0) AS amount,
+            SUM(SUM(attempt_count)) OVER () AS total_failures
+     FROM payments
+     WHERE outcome = 'failed'
+     GROUP BY reason
+     ORDER BY failures DESC, reason
+     LIMIT $3`,
+    [from, to, reasonLimit, currency, BASE_CURRENCY]
+  );
+
+  const methodsResult = await pool.query(
+    `${convertedPaymentsCte('$3::text', '$4::text')}
+     SELECT
+       payment_method,
+       COALESCE(SUM(attempt_count) FILTER (WHERE outcome = 'authorized'), 0) AS authorized_count,
+       COALESCE(SUM(amount) FILTER (WHERE outcome = 'authorized'), 0) AS authorized_amount,
+       COALESCE(SUM(attempt_count) FILTER (WHERE outcome = 'failed'), 0) AS failed_count
+     FROM payments
+     GROUP BY payment_method
+     ORDER BY SUM(attempt_count) DESC, payment_method`,
+    [from, to, currency, BASE_CURRENCY]
+  );
+
+  const retriesResult = await pool.query(
+    `SELECT
+       COUNT(*) AS orders,
+       COUNT(*) FILTER (WHERE retry_count > 0) AS retried_orders,
+       COALESCE(AVG(retry_count), 0) AS avg_retries,
+       COUNT(*) FILTER (WHERE failure_count > 0 AND authorization_count > 0) AS recovered_orders
+     FROM payment_metrics
+     WHERE (first_attempt_at AT TIME ZONE $1)::date BETWEEN $2::date AND $3::date`,
+    [REPORTING_TIMEZONE, from, to]
+  );
+
+  // Every failure in the range, not only the reasons within the limit
+  const totalFailures = reasonsResult.rows.length > 0 ? parseInt(reasonsResult.rows[0].total_failures, 10) : 0;
+  const retries = retriesResult.rows[0];
+
+  return {
+    currency,
+    series: seriesResult.rows.map(row => {
+      const authorizedCount = parseInt(row.authorized_count, 10);
+      const failedCount = parseInt(row.failed_count, 10);
+      return {
+        date: row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date,
+        authorizedCount,
+        authorizedAmount: parseFloat(row.authorized_amount).toFixed(2),
+        failedCount,
+        failedAmount: parseFloat(row.failed_amount).toFixed(2),
+        authorizationRate: rate(authorizedCount, authorizedCount + failedCount)
+      };
+    }),
+    failureReasons: reasonsResult.rows.map(row => ({
+      reason: row.reason,
+      failures: parseInt(row.failures, 10),
+      amount: parseFloat(row.amount).toFixed(2),
+      share: rate(parseInt(row.failures, 10), totalFailures)
+    })),
+    methods: methodsResult.rows.map(row => {
+      const authorizedCount = parseInt(row.authorized_count, 10);
+      const failedCount = parseInt(row.failed_count, 10);
+      return {
+        method: row.payment_method,
+        authorizedCount,
+        failedCount,
+        authorizedAmount: parseFloat(row.authorized_amount).toFixed(2),
+        authorizationRate: rate(authorizedCount, authorizedCount + failedCount)
+      };
+    }),
+    retries: {
+      orders: parseInt(retries.orders, 10),
+      retriedOrders: parseInt(retries.retried_orders, 10),
+      averageRetries: parseFloat(parseFloat(retries.avg_retries).toFixed(2)),
+      recoveredOrders: parseInt(retries.recovered_orders, 10)
     }
   };
 }
 
+/**
+ * Get top products by net (gross less cancelled) revenue or quantity, a page
+ * at a time. Ranks on lifetime totals unless from and/or to (YYYY-MM-DD) is
+ * given, in which case only confirmations and cancellations within that
+ * window count. Revenue is converted from each order's currency to
+ * currency at the FX rate for the date, so ranking reads the per-day rows
+ * either way.
+ */
+async function getTopProducts({ limit, offset = 0, sortBy, from = null, to = null, currency = BASE_CURRENCY }) {
+  const orderColumn = sortBy === 'quantity' ? 'net_quantity_sold' : 'net_revenue';
+
+  const result = await getPool().query(
+    `WITH quantities AS (
+       SELECT product_id,
+              SUM(quantity_sold) AS quantity_sold,
+              SUM(quantity_cancelled) AS quantity_cancelled,
+              SUM(order_count) AS order_count
+       FROM product_daily_metrics
+       WHERE ($3::date IS NULL OR date >= $3) AND ($4::date IS NULL OR date <= $4)
+       GROUP BY product_id
+     ),
+     revenue AS (
+       SELECT product_id,
+              SUM(revenue * factor) AS revenue,
+              SUM(revenue_cancelled * factor) AS revenue_cancelled
+       FROM (
+         SELECT a.*, ${fxFactorSql('a.currency::text', 'a.date', '$5::text', '$6::text')} AS factor
+         FROM product_daily_revenue_by_currency a
+         WHERE ($3::date IS NULL OR a.date >= $3) AND ($4::date IS NULL OR a.date <= $4)
+       ) converted
+       GROUP BY product_id
+     )
+     SELECT q.product_id,
+            q.quantity_sold AS total_quantity_sold,
+            COALESCE(r.revenue, 0) AS total_revenue,
+            q.quantity_cancelled,
+            COALESCE(r.revenue_cancelled, 0) AS revenue_cancelled,
+            q.quantity_sold - q.quantity_cancelled AS net_quantity_sold,
+            COALESCE(r.revenue, 0) - COALESCE(r.revenue_cancelled, 0) AS net_revenue,
+            q.order_count,
+            p.last_ordered_at
+     FROM quantities q
+     LEFT JOIN revenue r ON r.product_id = q.product_id
+     LEFT JOIN product_metrics p ON p.product_id = q.product_id
+     ORDER BY ${orderColumn} DESC, q.product_id
+     LIMIT $1 OFFSET $2`,
+    [limit, offset, from, to, currency, BASE_CURRENCY]
+  );
+
+  return result.rows.map(row => ({
+    productId: row.product_id,
+    totalQuantitySold: parseInt(row.total_quantity_sold, 10),
+    totalRevenue: parseFloat(row.total_revenue).toFixed(2),
+    quantityCancelled: parseInt(row.quantity_cancelled, 10),
+    revenueCancelled: parseFloat(row.revenue_cancelled).toFixed(2),
+    netQuantitySold: parseInt(row.net_quantity_sold, 10),
+    netRevenue: parseFloat(row.net_revenue).toFixed(2),
+    orderCount: parseInt(row.order_count, 10),
+    lastOrderedAt: row.last_ordered_at ? row.last_ordered_at.toISOString() : null
+  }));
+}
+
+/**
+ * Get a single product's lifetime totals, cancellation rate and quantity /
+ * revenue series grouped by period (daily, weekly) over [from, to].
+ * The cancellation rate is the share of confirmed orders containing the
+ * product that were later cancelled. Revenue is converted to currency at
+ * the FX rate for the date. Returns null for an unknown product.
+ */
+async function getProductDetail(productId, period, from, to, currency = BASE_CURRENCY) {
+  const pool = getPool();
+  const totalsResult = await pool.query(
+    `SELECT p.product_id, p.total_quantity_sold, p.quantity_cancelled, p.order_count, p.last_ordered_at,
+            COALESCE(c.revenue, 0) AS total_revenue,
+            COALESCE(c.revenue_cancelled, 0) AS revenue_cancelled
+     FROM product_metrics p
+     CROSS JOIN (
+       SELECT SUM(revenue * factor) AS revenue, SUM(revenue_cancelled * factor) AS revenue_cancelled
+       FROM (
+         SELECT a.*, ${fxFactorSql('a.currency::text', 'a.date', '$2::text', '$3::text')} AS factor
+         FROM product_daily_revenue_by_currency a
+         WHERE a.product_id = $1
+       ) converted
+     ) c
+     WHERE p.product_id = $1`,
+    [productId, currency, BASE_CURRENCY]
+  );
+  if (totalsResult.rows.length === 0) {
+    return null;
+  }
+
+  const cancellationResult = await pool.query(
+    `SELECT
+       COUNT(DISTINCT e.order_id) AS confirmed_orders,
+       COUNT(DISTINCT e.order_id) FILTER (WHERE s.cancelled_at IS NOT NULL) AS cancelled_orders
+     FROM events_log e
+     LEFT JOIN order_states s ON s.order_id = e.order_id
+     WHERE e.event_type = 'order.confirmed'
+       AND (e.data->'items' @> $1::jsonb OR e.data->'items' @> $2::jsonb)`,
+    // Containment is type-sensitive: match productId sent as a number or as
+    // a string, as the projection writers accept both
+    [JSON.stringify([{ productId }]), JSON.stringify([{ productId: String(productId) }])]
+  );
+
+  const unit = SERIES_UNITS[period] || 'day';
+  // Quantities from product_daily_metrics, converted revenue from the
+  // per-currency rows (0 on the other table's rows)
+  const seriesResult = await pool.query(
+    `WITH days AS (
+       SELECT date, quantity_sold, 0::numeric AS revenue, order_count
+       FROM product_daily_metrics
+       WHERE product_id = $1 AND date >= $2 AND date <= $3
+       UNION ALL
+       SELECT a.date, 0, a.revenue * ${fxFactorSql('a.currency::text', 'a.date', '$4::text', '$5::text')}, 0
+       FROM product_daily_revenue_by_currency a
+       WHERE a.product_id = $1 AND a.date >= $2 AND a.date <= $3
+     )
+     SELECT
+       buckets.bucket::date AS date,
+       COALESCE(SUM(d.quantity_sold), 0) AS quantity_sold,
+       COALESCE(SUM(d.revenue), 0) AS revenue,
+       COALESCE(SUM(d.order_count), 0) AS order_count
+     FROM generate_series(
+       date_trunc('${unit}', $2::date::timestamp),
+       $3::date::timestamp,
+       interval '1 ${unit}'
+     ) AS buckets(bucket)
+     LEFT JOIN days d
+       ON d.date >= buckets.bucket AND d.date < buckets.bucket + interval '1 ${unit}'
+     GROUP BY buckets.bucket
+     ORDER BY buckets.bucket`,
+    [productId, from, to, currency, BASE_CURRENCY]
+  );
+
+  const row = totalsResult.rows[0];
+  const quantitySold = parseInt(row.total_quantity_sold, 10);
+  const revenue = parseFloat(row.total_revenue);
+  const quantityCancelled = parseInt(row.quantity_cancelled, 10);
+  const revenueCancelled = parseFloat(row.revenue_cancelled);
+  const confirmedOrders = parseInt(cancellationResult.rows[0].confirmed_orders, 10);
+  const cancelledOrders = parseInt(cancellationResult.rows[0].cancelled_orders, 10);
+  const unitPrice = (value, quantity) => (quantity > 0 ? (value / quantity).toFixed(2) : '0.00');
+
+  return {
+    productId: row.product_id,
+    currency,
+    totalQuantitySold: quantitySold,
+    totalRevenue: revenue.toFixed(2),
+    quantityCancelled,
+    revenueCancelled: revenueCancelled.toFixed(2),
+    netQuantitySold: quantitySold - quantityCancelled,
+    netRevenue: (revenue - revenueCancelled).toFixed(2),
+    orderCount: parseInt(row.order_count, 10),
+    averageUnitPrice: unitPrice(revenue, quantitySold),
+    cancelledOrderCount: cancelledOrders,
+    cancellationRate: confirmedOrders > 0 ? parseFloat(((cancelledOrders / confirmedOrders) * 100).toFixed(1)) : 0,
+    lastOrderedAt: row.last_ordered_at ? row.last_ordered_at.toISOString() : null,
+    period,
+    series: seriesResult.rows.map(bucket => {
+      const bucketQuantity = parseInt(bucket.quantity_sold, 10);
+      const bucketRevenue = parseFloat(bucket.revenue);
+      return {
+        date: bucket.date instanceof Date ? bucket.date.toISOString().split('T')[0] : bucket.date,
+        quantitySold: bucketQuantity,
+        revenue: bucketRevenue.toFixed(2),
+        orderCount: parseInt(bucket.order_count, 10),
+        averageUnitPrice: unitPrice(bucketRevenue, bucketQuantity)
+      };
+    })
+  };
+}
+
+/**
+ * Get products whose net sales (less cancelled items) grew most in the
+ * current window compared with the previous one, by revenue or quantity.
+ * Revenue is converted to currency at the FX rate for the date.
+ * Products selling fewer than minQuantity units in the current window are
+ * left out; products with no sales in the previous window (growth null)
+ * rank first.
+ */
+async function getTrendingProducts({ current, previous, sortBy, minQuantity, limit, currency = BASE_CURRENCY }) {
+  const column = sortBy === 'quantity' ? 'quantity_sold' : 'revenue';
+
+  const result = await getPool().query(
+    `WITH days AS (
+       SELECT product_id, date, quantity_sold - quantity_cancelled AS quantity_sold, 0::numeric AS revenue
+       FROM product_daily_metrics
+       WHERE (date >= $1 AND date <= $2) OR (date >= $3 AND date <= $4)
+       UNION ALL
+       SELECT a.product_id, a.date, 0,
+              (a.revenue - a.revenue_cancelled) * ${fxFactorSql('a.currency::text', 'a.date', '$7::text', '$8::text')}
+       FROM product_daily_revenue_by_currency a
+       WHERE (a.date >= $1 AND a.date <= $2) OR (a.date >= $3 AND a.date <= $4)
+     ),
+     current_window AS (
+       SELECT product_id, SUM(quantity_sold) AS quantity_sold, SUM(revenue) AS revenue
+       FROM days
+       WHERE date >= $1 AND date <= $2
+       GROUP BY product_id
+     ),
+     previous_window AS (
+       SELECT product_id, SUM(quantity_sold) AS quantity_sold, SUM(revenue) AS revenue
+       FROM days
+       WHERE date >= $3 AND date <= $4
+       GROUP BY product_id
+     )
+     SELECT
+       c.product_id,
+       c.quantity_sold,
+       c.revenue,
+       COALESCE(p.quantity_sold, 0) AS previous_quantity_sold,
+       COALESCE(p.revenue, 0) AS previous_revenue,
+       CASE WHEN p.${column} > 0 THEN (c.${column} - p.${column}) / p.${column} * 100 END AS growth
+     FROM current_window c
+     LEFT JOIN previous_window p ON p.product_id = c.product_id
+     WHERE c.quantity_sold >= $5
+     ORDER BY growth DESC NULLS FIRST, c.${column} DESC, c.product_id
+     LIMIT $6`,
+    [current.from, current.to, previous.from, previous.to, minQuantity, limit, currency, BASE_CURRENCY]
+  );
+
+  return result.rows.map(row => ({
+    productId: row.product_id,
+    quantitySold: parseInt(row.quantity_sold, 10),
+    revenue: parseFloat(row.revenue).toFixed(2),
+    previousQuantitySold: parseInt(row.previous_quantity_sold, 10),
+    previousRevenue: parseFloat(row.previous_revenue).toFixed(2),
+    growthRate: row.growth === null ? null : parseFloat(parseFloat(row.growth).toFixed(1))
+  }));
+}
+
+/**
+ * Get the products most often bought together with a product, with
+ * association metrics over confirmed orders not later cancelled: support (share of orders
+ * containing both), confidence (share of the product's orders that also
+ * contain the other) and lift (confidence relative to how often the other
+ * product is bought at all). Returns null if the product has no orders.
+ */
+async function getProductAffinity(productId, limit) {
+  const result = await getPool().query(
+    `WITH base AS (
+       SELECT order_count FROM product_pairs
+       WHERE product_id = $1 AND related_product_id = $1 AND order_count > 0
+     ),
+     totals AS (
+       SELECT
+         (SELECT COALESCE(SUM(orders_confirmed), 0) FROM daily_metrics)
+         - (SELECT COUNT(*) FROM order_states WHERE confirmed_at IS NOT NULL AND cancelled_at IS NOT NULL) AS orders
+     )
+     SELECT
+       base.order_count AS product_orders,
+       totals.orders AS total_orders,
+       p.related_product_id,
+       p.order_count AS pair_orders,
+       r.order_count AS related_orders
+     FROM base
+     CROSS JOIN totals
+     LEFT JOIN product_pairs p ON p.product_id = $1 AND p.related_product_id <> $1 AND p.order_count > 0
+     LEFT JOIN product_pairs r ON r.product_id = p.related_product_id AND r.related_product_id = p.related_product_id
+     ORDER BY p.order_count DESC NULLS LAST, p.related_product_id
+     LIMIT $2`,
+    [productId, limit]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const productOrders = parseInt(result.rows[0].product_orders, 10);
+  const totalOrders = parseInt(result.rows[0].total_orders, 10);
+
+  return {
+    productId,
+    orderCount: productOrders,
+    totalOrders,
+    products: result.rows
+      .filter(row => row.related_product_id !== null)
+      .map(row => {
+        const pairOrders = parseInt(row.pair_orders, 10);
+        const relatedOrders = parseInt(row.related_orders, 10);
+        return {
+          productId: row.related_product_id,
+          orderCount: pairOrders,
+          support: parseFloat((pairOrders / totalOrders).toFixed(4)),
+          confidence: parseFloat((pairOrders / productOrders).toFixed(4)),
+          lift: parseFloat(((pairOrders * totalOrders) / (productOrders * relatedOrders)).toFixed(2))
+        };
+      })
+  };
+}
+
+function mapCustomer(row) {
+  const confirmedOrders = parseInt(row.confirmed_order_count, 10);
+  const confirmedRevenue = parseFloat(row.confirmed_revenue);
+
+  return {
+    userId: row.user_id,
+    orderCount: parseInt(row.order_count, 10),
+    confirmedOrderCount: confirmedOrders,
+    confirmedRevenue: confirmedRevenue.toFixed(2),
+    averageOrderValue: confirmedOrders > 0 ? (confirmedRevenue / confirmedOrders).toFixed(2) : '0.00',
+    cancelledOrderCount: parseInt(row.cancelled_order_count, 10),
+    paymentFailureCount: parseInt(row.payment_failure_count, 10),
+    firstOrderAt: row.first_order_at ? row.first_order_at.toISOString() : null,
+    lastOrderAt: row.last_order_at ? row.last_order_at.toISOString() : null
+  };
+}
+
+/**
+ * CTE "revenue": confirmed revenue per customer from order_states (the
+ * amount and currency of each confirmed order), converted to $2 at the FX
+ * rate for the confirmation date. Params: $2 target currency, $3 base
+ * currency, $4 reporting timezone; filter narrows the orders read.
+ */
+const customerRevenueCte = (filter) => `
+  WITH revenue AS (
+    SELECT user_id, SUM(amount * factor) AS confirmed_revenue
+    FROM (
+      SELECT s.user_id, COALESCE(s.amount, 0) AS amount,
+             ${fxFactorSql('COALESCE(s.currency::text, $3::text)', '(s.confirmed_at AT TIME ZONE $4)::date', '$2::text', '$3::text')} AS factor
+      FROM order_states s
+      WHERE s.confirmed_at IS NOT NULL AND ${filter}
+    ) converted
+    GROUP BY user_id
+  )`;
+
+/**
+ * Get top customers by confirmed revenue (converted to currency) or order
+ * count.
+ */
+async function getTopCustomers(limit, sortBy, currency = BASE_CURRENCY) {
+  const orderColumn = sortBy === 'orders' ? 'order_count' : 'confirmed_revenue';
+
+  const result = await getPool().query(
+    `${customerRevenueCte('s.user_id IS NOT NULL')}
+     SELECT u.user_id, u.order_count, u.confirmed_order_count,
+            COALESCE(r.confirmed_revenue, 0) AS confirmed_revenue, u.cancelled_order_count,
+            u.payment_failure_count, u.first_order_at, u.last_order_at
+     FROM user_metrics u
+     LEFT JOIN revenue r ON r.user_id = u.user_id
+     ORDER BY ${orderColumn} DESC, u.user_id
+     LIMIT $1`,
+    [limit, currency, BASE_CURRENCY, REPORTING_TIMEZONE]
+  );
+
+  return result.rows.map(mapCustomer);
+}
+
+/**
+ * Get a single customer's metrics, with confirmed revenue converted to
+ * currency. Returns null if the customer is unknown.
+ */
+async function getCustomer(userId, currency = BASE_CURRENCY) {
+  const result = await getPool().query(
+    `${customerRevenueCte('s.user_id = $1')}
+     SELECT u.user_id, u.order_count, u.confirmed_order_count,
+            COALESCE(r.confirmed_revenue, 0) AS confirmed_revenue, u.cancelled_order_count,
+            u.payment_failure_count, u.first_order_at, u.last_order_at
+     FROM user_metrics u
+     LEFT JOIN revenue r ON r.user_id = u.user_id
+     WHERE u.user_id = $1`,
+    [userId, currency, BASE_CURRENCY, REPORTING_TIMEZONE]
+  );
+
+  return result.rows.length > 0 ? mapCustomer(result.rows[0]) : null;
+}
+
+/**
+ * Get a cohort retention matrix from events_log: customers grouped by the
+ * week/month of their first order, with how many ordered again in each
+ * following period, plus the revenue of the cohort's confirmed orders not
+ * since cancelled (order_states), converted to currency at the FX rate for
+ * each confirmation date. Cohorts are those starting within [from, to];
+ * periods are in the reporting timezone.
+ */
+async function getCohorts(granularity, from, to, currency = BASE_CURRENCY) {
+  const unit = granularity === 'week' ? 'week' : 'month';
+  const offsetExpr = (later, earlier) => (unit === 'week'
+    ? `((${later} - ${earlier}) / 7)`
+    : `((EXTRACT(YEAR FROM ${later}) - EXTRACT(YEAR FROM ${earlier})) * 12 + EXTRACT(MONTH FROM ${later}) - EXTRACT(MONTH FROM ${earlier}))::int`);
+
+  const cohortsCte = `
+     orders AS (
+       SELECT user_id, date_trunc('${unit}', occurred_at AT TIME ZONE $1)::date AS period
+       FROM events_log
+       WHERE event_type = 'order.created' AND user_id IS NOT NULL
+     ),
+     cohorts AS (
+       SELECT user_id, MIN(period) AS cohort
+       FROM orders
+       GROUP BY user_id
+       HAVING MIN(period) >= date_trunc('${unit}', $2::date)::date AND MIN(period) <= $3::date
+     )`;
+
+  const pool = getPool();
+  const params = [REPORTING_TIMEZONE, from, to];
+
+  const summaryResult = await pool.query(
+    `WITH ${cohortsCte},
+     revenue AS (
+       SELECT cohort, SUM(amount * factor) AS revenue
+       FROM (
+         SELECT c.cohort, COALESCE(s.amount, 0) AS amount,
+                ${fxFactorSql('COALESCE(s.currency::text, $5::text)', '(s.confirmed_at AT TIME ZONE $1)::date', '$4::text', '$5::text')} AS factor
+         FROM cohorts c
+         JOIN order_states s ON s.user_id = c.user_id
+         WHERE s.confirmed_at IS NOT NULL AND s.cancelled_at IS NULL
+       ) converted
+       GROUP BY cohort
+     )
+     SELECT
+       c.cohort,
+       COUNT(*) AS size,
+       COALESCE(MAX(r.revenue), 0) AS revenue,
+       ${offsetExpr(`date_trunc('${unit}', NOW() AT TIME ZONE $1)::date`, 'c.cohort')} AS current_offset
+     FROM cohorts c
+     LEFT JOIN revenue r ON r.cohort = c.cohort
+     GROUP BY c.cohort
+     ORDER BY c.cohort`,
+    [...params, currency, BASE_CURRENCY]
+  );
+
+  const activityResult = await pool.query(
+    `WITH ${cohortsCte}
+     SELECT
+       c.cohort,
+       ${offsetExpr('o.period', 'c.cohort')} AS period_offset,
+       COUNT(DISTINCT o.user_id) AS active_users
+     FROM orders o
+     JOIN cohorts c ON c.user_id = o.user_id
+     GROUP BY 1, 2
+     ORDER BY 1, 2`,
+    params
+  );
+
+  const formatDate = (value) => (value instanceof Date ? value.toISOString().split('T')[0] : value);
+
+  const activity = new Map();
+  for (const row of activityResult.rows) {
+    activity.set(`${formatDate(row.cohort)}:${parseInt(row.period_offset, 10)}`, parseInt(row.active_users, 10));
+  }
+
+  return summaryResult.rows.map(row => {
+    const cohort = formatDate(row.cohort);
+    const size = parseInt(row.size, 10);
+    const revenue = parseFloat(row.revenue);
+    const currentOffset = parseInt(row.current_offset, 10);
+
+    const retention = [];
+    for (let period = 0; period <= currentOffset; period++) {
+      const activeUsers = activity.get(`${cohort}:${period}`) || 0;
+      retention.push({
+        period,
+        activeUsers,
+        rate: size > 0 ? parseFloat(((activeUsers / size) * 100).toFixed(1)) : 0
+      });
+    }
+
+    return {
+      cohort,
+      size,
+      revenue: revenue.toFixed(2),
+      revenuePerCustomer: size > 0 ? (revenue / size).toFixed(2) : '0.00',
+      retention
+    };
+  });
+}
+
+/**
+ * Get conversion funnel metrics from order_states.
+ * Stage counts are orders that reached each transition; currentStatus is
+ * the exact breakdown of where orders are now.
+ */
+async function getConversion() {
+  const result = await getPool().query(
+    `SELECT
+       COUNT(*) FILTER (WHERE created_at IS NOT NULL) AS created,
+       COUNT(*) FILTER (WHERE confirmed_at IS NOT NULL) AS confirmed,
+       COUNT(*) FILTER (WHERE shipped_at IS NOT NULL) AS shipped,
+       COUNT(*) FILTER (WHERE status = 'cancelled') AS cancelled,
+       COUNT(*) FILTER (WHERE status = 'pending') AS current_pending,
+       COUNT(*) FILTER (WHERE status = 'created') AS current_created,
+       COUNT(*) FILTER (WHERE status = 'confirmed') AS current_confirmed,
+       COUNT(*) FILTER (WHERE status = 'shipped') AS current_shipped
+     FROM order_states`
+  );
+
+  const row = result.rows[0];
+  const created = parseInt(row.created, 10);
+  const confirmed = parseInt(row.confirmed, 10);
+  const shipped = parseInt(row.shipped, 10);
+  const cancelled = parseInt(row.cancelled, 10);
+
+  return {
+    created,
+    confirmed,
+    shipped,
+    cancelled,
+    currentStatus: {
+      pending: parseInt(row.current_pending, 10),
+      created: parseInt(row.current_created, 10),
+      confirmed: parseInt(row.current_confirmed, 10),
+      shipped: parseInt(row.current_shipped, 10),
+      cancelled
+    },
+    conversionRates: {
+      createdToConfirmed: created > 0 ? parseFloat(((confirmed / created) * 100).toFixed(1)) : 0,
+      confirmedToShipped: confirmed > 0 ? parseFloat(((shipped / confirmed) * 100).toFixed(1)) : 0,
+      overallCompletionRate: created > 0 ? parseFloat(((shipped / created) * 100).toFixed(1)) : 0
+    }
+  };
+}
+
+/**
+ * Lock and read the stored next offset for a consumer group partition.
+ * Returns it as a BigInt, or null if nothing is stored yet.
+ */
+async function lockConsumerOffset({ groupId, topic, partition }, client) {
+  const result = await client.query(
+    `SELECT next_offset FROM consumer_offsets
+     WHERE group_id = $1 AND topic = $2 AND kafka_partition = $3
+     FOR UPDATE`,
+    [groupId, topic, partition]
+  );
+  return result.rows.length > 0 ? BigInt(result.rows[0].next_offset) : null;
+}
+
+/**
+ * Record that offset (and everything before it) has been applied.
+ * Only ever moves forward. Accepts an optional client for transaction support.
+ */
+async function saveConsumerOffset({ groupId, topic, partition, offset }, client) {
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO consumer_offsets (group_id, topic, kafka_partition, next_offset, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (group_id, topic, kafka_partition) DO UPDATE SET
+       next_offset = GREATEST(consumer_offsets.next_offset, EXCLUDED.next_offset),
+       updated_at = NOW()`,
+    [groupId, topic, partition, (BigInt(offset) + 1n).toString()]
+  );
+}
+
+/**
+ * Stored next offsets for every partition of a consumer group.
+ */
+async function getConsumerOffsets(groupId) {
+  const result = await getPool().query(
+    `SELECT topic, kafka_partition, next_offset
+     FROM consumer_offsets
+     WHERE group_id = $1`,
+    [groupId]
+  );
+
+  return result.rows.map(row => ({
+    topic: row.topic,
+    partition: row.kafka_partition,
+    nextOffset: String(row.next_offset)
+  }));
+}
+
+/**
+ * Record a rejected Kafka message in quarantined_events.
+ * Redelivery of the same topic/partition/offset is ignored.
+ * Returns the inserted row id, or null if already quarantined.
+ */
+async function insertQuarantinedEvent(entry) {
+  const result = await getPool().query(
+    `INSERT INTO quarantined_events
+       (reason, error_message, topic, kafka_partition, kafka_offset, message_key, raw_payload, headers, event_type, correlation_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (topic, kafka_partition, kafka_offset) DO NOTHING
+     RETURNING id`,
+    [
+      entry.reason,
+      entry.errorMessage || null,
+      entry.topic,
+      entry.partition,
+      entry.offset,
+      entry.messageKey || null,
+      entry.rawPayload,
+      JSON.stringify(entry.headers || {}),
+      entry.eventType || null,
+      entry.correlationId || null
+    ]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+function mapQuarantinedEvent(row, includePayload) {
+  const entry = {
+    id: row.id,
+    reason: row.reason,
+    errorMessage: row.error_message,
+    topic: row.topic,
+    partition: row.kafka_partition,
+    offset: String(row.kafka_offset),
+    messageKey: row.message_key,
+    eventType: row.event_type,
+    correlationId: row.correlation_id,
+    status: row.status,
+    redriveAttempts: parseInt(row.redrive_attempts, 10),
+    lastRedriveError: row.last_redrive_error,
+    quarantinedAt: row.quarantined_at ? row.quarantined_at.toISOString() : null,
+    redrivenAt: row.redriven_at ? row.redriven_at.toISOString() : null
+  };
+
+  if (includePayload) {
+    entry.rawPayload = row.raw_payload;
+    entry.headers = row.headers || {};
+  }
+
+  return entry;
+}
+
+/**
+ * List quarantined events, newest first, optionally filtered by status and reason.
+ */
+async function listQuarantinedEvents({ status, reason, limit, offset }) {
+  const result = await getPool().query(
+    `SELECT id, reason, error_message, topic, kafka_partition, kafka_offset, message_key,
+            event_type, correlation_id, status, redrive_attempts, last_redrive_error,
+            quarantined_at, redriven_at
+     FROM quarantined_events
+     WHERE ($1::text IS NULL OR status = $1)
+       AND ($2::text IS NULL OR reason = $2)
+     ORDER BY quarantined_at DESC, id DESC
+     LIMIT $3 OFFSET $4`,
+    [status || null, reason || null, limit, offset]
+  );
+
+  return result.rows.map(row => mapQuarantinedEvent(row, false));
+}
+
+/**
+ * Get a single quarantined event including its raw payload and headers.
+ * Returns null if not found.
+ */
+async function getQuarantinedEvent(id) {
+  const result = await getPool().query(
+    'SELECT * FROM quarantined_events WHERE id = $1',
+    [id]
+  );
+  return result.rows.length > 0 ? mapQuarantinedEvent(result.rows[0], true) : null;
+}
+
+/**
+ * Mark a quarantined event as successfully re-driven.
+ */
+async function markQuarantinedEventRedriven(id) {
+  await getPool().query(
+    `UPDATE quarantined_events
+     SET status = 'redriven',
+         redrive_attempts = redrive_attempts + 1,
+         last_redrive_error = NULL,
+         redriven_at = NOW()
+     WHERE id = $1`,
+    [id]
+  );
+}
+
+/**
+ * Record a failed re-drive attempt; the entry stays eligible for another attempt.
+ */
+async function markQuarantinedEventRedriveFailed(id, errorMessage) {
+  await getPool().query(
+    `UPDATE quarantined_events
+     SET status = 'redrive_failed',
+         redrive_attempts = redrive_attempts + 1,
+         last_redrive_error = $2
+     WHERE id = $1`,
+    [id, errorMessage]
+  );
+}
+
+function mapSavedReport(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    schedule: row.schedule,
+    sections: row.sections,
+    format: row.format,
+    webhookUrl: row.webhook_url,
+    enabled: row.enabled,
+    nextRunAt: row.next_run_at ? row.next_run_at.toISOString() : null,
+    lastRunAt: row.last_run_at ? row.last_run_at.toISOString() : null,
+    createdAt: row.created_at ? row.created_at.toISOString() : null,
+    updatedAt: row.updated_at ? row.updated_at.toISOString() : null
+  };
+}
+
+/**
+ * List saved reports by id.
+ */
+async function listSavedReports() {
+  const result = await getPool().query('SELECT * FROM saved_reports ORDER BY id');
+  return result.rows.map(mapSavedReport);
+}
+
+/**
+ * Get a saved report. Returns null if not found.
+ */
+async function getSavedReport(id) {
+  const result = await getPool().query('SELECT * FROM saved_reports WHERE id = $1', [id]);
+  return result.rows.length > 0 ? mapSavedReport(result.rows[0]) : null;
+}
+
+/**
+ * Insert a saved report; nextRunAt is its first scheduled run (null when
+ * disabled). Returns the stored report.
+ */
+async function createSavedReport({ name, schedule, sections, format, webhookUrl, enabled }, nextRunAt) {
+  const result = await getPool().query(
+    `INSERT INTO saved_reports (name, schedule, sections, format, webhook_url, enabled, next_run_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [name, schedule, JSON.stringify(sections), format, webhookUrl, enabled, nextRunAt]
+  );
+  return mapSavedReport(result.rows[0]);
+}
+
+/**
+ * Replace a saved report's definition and next run. Returns the stored
+ * report, or null if not found.
+ */
+async function updateSavedReport(id, { name, schedule, sections, format, webhookUrl, enabled }, nextRunAt) {
+  const result = await getPool().query(
+    `UPDATE saved_reports
+     SET name = $2, schedule = $3, sections = $4, format = $5, webhook_url = $6, enabled = $7,
+         next_run_at = $8, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, name, schedule, JSON.stringify(sections), format, webhookUrl, enabled, nextRunAt]
+  );
+  return result.rows.length > 0 ? mapSavedReport(result.rows[0]) : null;
+}
+
+/**
+ * Delete a saved report and its delivery log. Returns whether it existed.
+ */
+async function deleteSavedReport(id) {
+  const result = await getPool().query('DELETE FROM saved_reports WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Lock enabled reports whose next run is due, skipping rows another
+ * instance has already locked. Must be called inside a transaction.
+ */
+async function lockDueReports(client) {
+  const result = await client.query(
+    `SELECT * FROM saved_reports
+     WHERE enabled AND next_run_at <= NOW()
+     ORDER BY next_run_at
+     FOR UPDATE SKIP LOCKED`
+  );
+  return result.rows.map(mapSavedReport);
+}
+
+/**
+ * Record that a report's run was claimed and set its next run.
+ * Accepts an optional client for transaction support.
+ */
+async function setReportNextRun(id, nextRunAt, client) {
+  const db = client || getPool();
+  await db.query(
+    'UPDATE saved_reports SET last_run_at = NOW(), next_run_at = $2 WHERE id = $1',
+    [id, nextRunAt]
+  );
+}
+
+function mapReportDelivery(row) {
+  return {
+    id: row.id,
+    reportId: row.report_id,
+    trigger: row.trigger,
+    scheduledFor: row.scheduled_for ? row.scheduled_for.toISOString() : null,
+    status: row.status,
+    attempts: parseInt(row.attempts, 10),
+    responseStatus: row.response_status,
+    error: row.error,
+    payloadBytes: row.payload_bytes,
+    createdAt: row.created_at ? row.created_at.toISOString() : null,
+    completedAt: row.completed_at ? row.completed_at.toISOString() : null
+  };
+}
+
+/**
+ * Start a delivery log entry (status pending). Returns its id.
+ */
+async function insertReportDelivery({ reportId, trigger, scheduledFor }) {
+  const result = await getPool().query(
+    `INSERT INTO report_deliveries (report_id, trigger, scheduled_for)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [reportId, trigger, scheduledFor]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Record a delivery's outcome (delivered or failed). Returns the entry.
+ */
+async function completeReportDelivery(id, { status, attempts, responseStatus, error, payloadBytes }) {
+  const result = await getPool().query(
+    `UPDATE report_deliveries
+     SET status = $2, attempts = $3, response_status = $4, error = $5, payload_bytes = $6, completed_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, status, attempts, responseStatus, error, payloadBytes]
+  );
+  return mapReportDelivery(result.rows[0]);
+}
+
+/**
+ * Most recent deliveries of a report, newest first.
+ */
+async function listReportDeliveries(reportId, limit) {
+  const result = await getPool().query(
+    `SELECT * FROM report_deliveries
+     WHERE report_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [reportId, limit]
+  );
+  return result.rows.map(mapReportDelivery);
+}
+
+// Alert metrics as aggregates over hourly_order_counts rows. Counts and
+// revenue are 0 for hours without activity; the failure rate is null
+// without payment attempts.
+const ALERT_METRIC_EXPRESSIONS = {
+  orders_created: 'COALESCE(SUM(h.order_count), 0)',
+  orders_confirmed: 'COALESCE(SUM(h.orders_confirmed), 0)',
+  orders_cancelled: 'COALESCE(SUM(h.orders_cancelled), 0)',
+  revenue: 'COALESCE(SUM(h.revenue), 0)',
+  payment_failures: 'COALESCE(SUM(h.payment_failure_count), 0)',
+  payment_failure_rate:
+    'SUM(h.payment_failure_count) * 100.0 / NULLIF(SUM(h.payment_success_count + h.payment_failure_count), 0)'
+};
+
+function mapAlertRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    metric: row.metric,
+    evaluation: row.evaluation,
+    condition: row.condition,
+    threshold: parseFloat(row.threshold),
+    windowMinutes: row.window_minutes,
+    baselineDays: row.baseline_days,
+    minAttempts: row.min_attempts,
+    enabled: row.enabled,
+    createdAt: row.created_at ? row.created_at.toISOString() : null,
+    updatedAt: row.updated_at ? row.updated_at.toISOString() : null
+  };
+}
+
+/**
+ * List alert rules by id, optionally only enabled ones.
+ * Accepts an optional client for transaction support.
+ */
+async function listAlertRules({ enabledOnly = false } = {}, client) {
+  const db = client || getPool();
+  const result = await db.query(
+    'SELECT * FROM alert_rules WHERE ($1::boolean IS FALSE OR enabled) ORDER BY id',
+    [enabledOnly]
+  );
+  return result.rows.map(mapAlertRule);
+}
+
+/**
+ * Insert an alert rule. Returns the stored rule.
+ */
+async function createAlertRule({ name, metric, evaluation, condition, threshold, windowMinutes, baselineDays, minAttempts, enabled }) {
+  const result = await getPool().query(
+    `INSERT INTO alert_rules
+       (name, metric, evaluation, condition, threshold, window_minutes, baseline_days, min_attempts, enabled)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [name, metric, evaluation, condition, threshold, windowMinutes, baselineDays, minAttempts, enabled]
+  );
+  return mapAlertRule(result.rows[0]);
+}
+
+/**
+ * Replace an alert rule's definition. Returns the stored rule, or null if
+ * not found. A firing alert stays open until the next evaluation.
+ */
+async function updateAlertRule(id, { name, metric, evaluation, condition, threshold, windowMinutes, baselineDays, minAttempts, enabled }) {
+  const result = await getPool().query(
+    `UPDATE alert_rules
+     SET name = $2, metric = $3, evaluation = $4, condition = $5, threshold = $6,
+         window_minutes = $7, baseline_days = $8, min_attempts = $9, enabled = $10, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, name, metric, evaluation, condition, threshold, windowMinutes, baselineDays, minAttempts, enabled]
+  );
+  return result.rows.length > 0 ? mapAlertRule(result.rows[0]) : null;
+}
+
+/**
+ * Delete an alert rule and its alerts. Returns whether it existed.
+ */
+async function deleteAlertRule(id) {
+  const result = await getPool().query('DELETE FROM alert_rules WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * An alert metric over the hours of the reporting timezone overlapping the
+ * last windowMinutes, with the payment attempts it covers.
+ * Accepts an optional client for transaction support.
+ */
+async function getAlertMetricWindow(metric, windowMinutes, client) {
+  const db = client || getPool();
+  const result = await db.query(
+    `SELECT ${ALERT_METRIC_EXPRESSIONS[metric]} AS value,
+            COALESCE(SUM(h.payment_success_count + h.payment_failure_count), 0) AS payment_attempts
+     FROM hourly_order_counts h
+     WHERE h.hour_bucket >= date_trunc('hour', (NOW() - make_interval(mins => $1)) AT TIME ZONE $2) AT TIME ZONE $2`,
+    [windowMinutes, REPORTING_TIMEZONE]
+  );
+
+  const row = result.rows[0];
+  return {
+    value: row.value === null ? null : parseFloat(row.value),
+    paymentAttempts: parseInt(row.payment_attempts, 10)
+  };
+}
+
+/**
+ * An alert metric for the last full hour (daysBack 0) and the same local
+ * hour on each of the previous baselineDays days, missing hours as 0.
+ * Accepts an optional client for transaction support.
+ */
+async function getAlertMetricSameHourSeries(metric, baselineDays, client) {
+  const db = client || getPool();
+  const result = await db.query(
+    `SELECT s.days_back,
+            ${ALERT_METRIC_EXPRESSIONS[metric]} AS value,
+            COALESCE(SUM(h.payment_success_count + h.payment_failure_count), 0) AS payment_attempts
+     FROM (
+       SELECT d AS days_back,
+              (date_trunc('hour', NOW() AT TIME ZONE $2) - INTERVAL '1 hour' - make_interval(days => d)) AT TIME ZONE $2 AS hour_bucket
+       FROM generate_series(0, $1) AS d
+     ) s
+     LEFT JOIN hourly_order_counts h ON h.hour_bucket = s.hour_bucket
+     GROUP BY s.days_back
+     ORDER BY s.days_back`,
+    [baselineDays, REPORTING_TIMEZONE]
+  );
+
+  return result.rows.map(row => ({
+    daysBack: parseInt(row.days_back, 10),
+    value: row.value === null ? null : parseFloat(row.value),
+    paymentAttempts: parseInt(row.payment_attempts, 10)
+  }));
+}
+
+function mapAlert(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    metric: row.metric,
+    status: row.status,
+    value: row.value === null ? null : parseFloat(row.value),
+    bound: row.bound === null ? null : parseFloat(row.bound),
+    message: row.message,
+    firedAt: row.fired_at ? row.fired_at.toISOString() : null,
+    lastEvaluatedAt: row.last_evaluated_at ? row.last_evaluated_at.toISOString() : null,
+    resolvedAt: row.resolved_at ? row.resolved_at.toISOString() : null
+  };
+}
+
+const ALERT_COLUMNS = 'a.*, r.name AS rule_name, r.metric';
+
+/**
+ * Firing alerts keyed by rule id. Accepts an optional client for
+ * transaction support.
+ */
+async function getFiringAlerts(client) {
+  const db = client || getPool();
+  const result = await db.query(
+    `SELECT ${ALERT_COLUMNS}
+     FROM alerts a JOIN alert_rules r ON r.id = a.rule_id
+     WHERE a.status = 'firing'`
+  );
+  return new Map(result.rows.map(row => [row.rule_id, mapAlert(row)]));
+}
+
+/**
+ * Open a firing alert for a rule. Returns the alert.
+ * Accepts an optional client for transaction support.
+ */
+async function insertAlert({ ruleId, value, bound, message }, client) {
+  const db = client || getPool();
+  const result = await db.query(
+    `WITH inserted AS (
+       INSERT INTO alerts (rule_id, value, bound, message)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *
+     )
+     SELECT ${ALERT_COLUMNS} FROM inserted a JOIN alert_rules r ON r.id = a.rule_id`,
+    [ruleId, value, bound, message]
+  );
+  return mapAlert(result.rows[0]);
+}
+
+/**
+ * Record the latest evaluation of a firing alert.
+ * Accepts an optional client for transaction support.
+ */
+async function updateAlertEvaluation(id, { value, bound, message }, client) {
+  const db = client || getPool();
+  await db.query(
+    'UPDATE alerts SET value = $2, bound = $3, message = $4, last_evaluated_at = NOW() WHERE id = $1',
+    [id, value, bound, message]
+  );
+}
+
+/**
+ * Resolve a firing alert with the value that cleared it. Returns the alert.
+ * Accepts an optional client for transaction support.
+ */
+async function resolveAlert(id, { value, bound }, client) {
+  const db = client || getPool();
+  const result = await db.query(
+    `WITH resolved AS (
+       UPDATE alerts
+       SET status = 'resolved', value = $2, bound = $3, last_evaluated_at = NOW(), resolved_at = NOW()
+       WHERE id = $1
+       RETURNING *
+     )
+     SELECT ${ALERT_COLUMNS} FROM resolved a JOIN alert_rules r ON r.id = a.rule_id`,
+    [id, value, bound]
+  );
+  return mapAlert(result.rows[0]);
+}
+
+/**
+ * List alerts, newest first, optionally filtered by status and rule.
+ */
+async function listAlerts({ status, ruleId, limit, offset }) {
+  const result = await getPool().query(
+    `SELECT ${ALERT_COLUMNS}
+     FROM alerts a JOIN alert_rules r ON r.id = a.rule_id
+     WHERE ($1::text IS NULL OR a.status = $1)
+       AND ($2::int IS NULL OR a.rule_id = $2)
+     ORDER BY a.fired_at DESC, a.id DESC
+     LIMIT $3 OFFSET $4`,
+    [status || null, ruleId || null, limit, offset]
+  );
+  return result.rows.map(mapAlert);
+}
+
+/**
+ * Lifetime quantity sold and revenue of the given products.
+ * Accepts an optional client for transaction support.
+ */
+async function getProductTotals(productIds, client) {
+  const db = client || getPool();
+  const result = await db.query(
+    `SELECT product_id, total_quantity_sold, total_revenue
+     FROM product_metrics
+     WHERE product_id = ANY($1::int[])
+     ORDER BY product_id`,
+    [productIds]
+  );
+
+  return result.rows.map(row => ({
+    productId: row.product_id,
+    quantitySold: parseInt(row.total_quantity_sold, 10),
+    revenue: parseFloat(row.total_revenue).toFixed(2)
+  }));
+}
+
+/**
+ * daily_metrics counters (one date's, or summed), zero when missing
+ */
+function mapDailyCounters(row = {}) {
+  const count = (value) => parseInt(value || 0, 10);
+  const amount = (value) => parseFloat(value || 0).toFixed(2);
+
+  return {
+    ordersCreated: count(row.orders_created),
+    ordersConfirmed: count(row.orders_confirmed),
+    ordersCancelled: count(row.orders_cancelled),
+    ordersShipped: count(row.orders_shipped),
+    revenueConfirmed: amount(row.revenue_confirmed),
+    revenueCancelled: amount(row.revenue_cancelled),
+    revenueRefunded: amount(row.revenue_refunded),
+    paymentSuccessCount: count(row.payment_success_count),
+    paymentFailureCount: count(row.payment_failure_count)
+  };
+}
+
+/**
+ * The daily_metrics counters of one date, zero when nothing was recorded.
+ */
+async function getDailySnapshot(date) {
+  const result = await getPool().query('SELECT * FROM daily_metrics WHERE date = $1', [date]);
+  return mapDailyCounters(result.rows[0]);
+}
+
+/**
+ * All-time daily_metrics counters.
+ */
+async function getDailyTotals() {
+  const result = await getPool().query(
+    `SELECT
+       SUM(orders_created) AS orders_created,
+       SUM(orders_confirmed) AS orders_confirmed,
+       SUM(orders_cancelled) AS orders_cancelled,
+       SUM(orders_shipped) AS orders_shipped,
+       SUM(revenue_confirmed) AS revenue_confirmed,
+       SUM(revenue_cancelled) AS revenue_cancelled,
+       SUM(revenue_refunded) AS revenue_refunded,
+       SUM(payment_success_count) AS payment_success_count,
+       SUM(payment_failure_count) AS payment_failure_count
+     FROM daily_metrics`
+  );
+  return mapDailyCounters(result.rows[0]);
+}
+
+/**
+ * id of the most recently logged event, '0' when none.
+ */
+async function getLatestEventId() {
+  const result = await getPool().query('SELECT COALESCE(MAX(id), 0) AS id FROM events_log');
+  return String(result.rows[0].id);
+}
+
+/**
+ * Queue messages in the outbox; entries are
+ * [{ topic, key, eventType, payload, dedupKey }]. Entries whose dedupKey
+ * was already queued are skipped.
+ * Accepts an optional client for transaction support.
+ */
+async function insertOutboxEvents(entries, client) {
+  const db = client || getPool();
+  await db.query(
+    `INSERT INTO outbox_events (topic, message_key, event_type, payload, dedup_key)
+     SELECT e.topic, e.message_key, e.event_type, e.payload, e.dedup_key
+     FROM jsonb_to_recordset($1::jsonb)
+       AS e(topic TEXT, message_key TEXT, event_type TEXT, payload JSONB, dedup_key TEXT)
+     ON CONFLICT (dedup_key) DO NOTHING`,
+    [JSON.stringify(entries.map(({ topic, key, eventType, payload, dedupKey }) => ({
+      topic,
+      message_key: key ?? null,
+      event_type: eventType,
+      payload,
+      dedup_key: dedupKey ?? null
+    })))]
+  );
+}
+
+/**
+ * Oldest unpublished outbox messages, in the order they were written.
+ * Accepts an optional client for transaction support.
+ */
+async function getPendingOutboxEvents(limit, client) {
+  const db = client || getPool();
+  const result = await db.query(
+    `SELECT id, topic, message_key, event_type, payload
+     FROM outbox_events
+     WHERE published_at IS NULL
+     ORDER BY id
+     LIMIT $1`,
+    [limit]
+  );
+
+  return result.rows.map(row => ({
+    id: String(row.id),
+    topic: row.topic,
+    key: row.message_key,
+    eventType: row.event_type,
+    payload: row.payload
+  }));
+}
+
+/**
+ * Mark outbox messages as published.
+ * Accepts an optional client for transaction support.
+ */
+async function markOutboxEventsPublished(ids, client) {
+  const db = client || getPool();
+  await db.query(
+    'UPDATE outbox_events SET published_at = NOW() WHERE id = ANY($1::bigint[])',
+    [ids]
+  );
+}
+
+/**
+ * Record a failed attempt to publish an outbox message; it is retried.
+ * Accepts an optional client for transaction support.
+ */
+async function markOutboxEventFailed(id, errorMessage, client) {
+  const db = client || getPool();
+  await db.query(
+    'UPDATE outbox_events SET attempts = attempts + 1, last_error = $2 WHERE id = $1',
+    [id, errorMessage]
+  );
+}
+
+/**
+ * Delete outbox messages published before the given instant. Returns the
+ * number deleted. Unpublished messages are kept.
+ */
+async function deletePublishedOutboxEvents(before) {
+  const result = await getPool().query(
+    'DELETE FROM outbox_events WHERE published_at < $1',
+    [before]
+  );
+  return result.rowCount;
+}
+
 module.exports = {
   insertEvent,
+  insertEvents,
   upsertDailyMetrics,
+  upsertDailyMetricsBatch,
   upsertHourlyMetrics,
+  upsertHourlyMetricsBatch,
   upsertProductMetrics,
+  upsertProductMetricsBatch,
+  upsertProductDailyMetrics,
+  upsertProductDailyMetricsBatch,
+  upsertProductCurrencyRevenue,
+  upsertProductPairs,
+  reverseProductPairs,
+  upsertProductCancellation,
+  upsertProductDailyCancellation,
+  upsertUserMetrics,
+  upsertOrderState,
+  upsertCurrencyRevenue,
+  upsertHourlyCurrencyRevenue,
+  upsertFxRates,
+  getFxRates,
+  getMissingFxRates,
+  upsertPaymentAttempt,
+  upsertPaymentDailyMetrics,
+  upsertPaymentCurrencyAmount,
+  getEventLogBounds,
+  getLoggedEvents,
+  streamLoggedEvents,
+  getCancelledConfirmation,
+  getDedupMigrationAppliedAt,
+  findLoggedDedupKeys,
+  findQuarantinedOffsets,
+  getLegacyWouldDiscardReport,
   getOverview,
+  getHourlySeries,
   getRevenueSeries,
   getOrdersSeries,
+  getLatencySeries,
+  getPaymentAnalytics,
   getTopProducts,
-  getConversion
+  getTrendingProducts,
+  getProductDetail,
+  getProductAffinity,
+  getTopCustomers,
+  getCustomer,
+  getCohorts,
+  getConversion,
+  lockConsumerOffset,
+  saveConsumerOffset,
+  getConsumerOffsets,
+  insertQuarantinedEvent,
+  listQuarantinedEvents,
+  getQuarantinedEvent,
+  markQuarantinedEventRedriven,
+  markQuarantinedEventRedriveFailed,
+  listSavedReports,
+  getSavedReport,
+  createSavedReport,
+  updateSavedReport,
+  deleteSavedReport,
+  lockDueReports,
+  setReportNextRun,
+  insertReportDelivery,
+  completeReportDelivery,
+  listReportDeliveries,
+  listAlertRules,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  getAlertMetricWindow,
+  getAlertMetricSameHourSeries,
+  getFiringAlerts,
+  insertAlert,
+  updateAlertEvaluation,
+  resolveAlert,
+  listAlerts,
+  getProductTotals,
+  getDailySnapshot,
+  getDailyTotals,
+  getLatestEventId,
+  insertOutboxEvents,
+  getPendingOutboxEvents,
+  markOutboxEventsPublished,
+  markOutboxEventFailed,
+  deletePublishedOutboxEvents
 };
@@ -0,0 +1,229 @@
+const { createClient } = require('./db');
+const repository = require('./repository');
+const { toReportingDate } = require('./time');
+const logger = require('./logger');
+
+const STREAM_CHANNEL = 'analytics_updates';
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.STREAM_HEARTBEAT_INTERVAL_MS, 10) || 15000;
+const LISTEN_RETRY_DELAY_MS = 5000;
+
+// Reconnection delay suggested to EventSource clients
+const CLIENT_RETRY_MS = 3000;
+
+// Open responses of this instance's stream clients
+const clients = new Set();
+// Last update sent ({ id, data }); null when it may be stale
+let latest = null;
+// events_log id of the newest notification not loaded yet
+let pendingId = null;
+let refreshing = null;
+let heartbeat = null;
+
+/**
+ * Signal that metrics changed, from the transaction that changed them:
+ * Postgres delivers the notification to every listening instance once the
+ * transaction commits, and drops it on rollback. eventId is the newest
+ * events_log id the transaction applied.
+ */
+async function notifyMetricsUpdated(eventId, client) {
+  await client.query('SELECT pg_notify($1, $2)', [STREAM_CHANNEL, String(eventId)]);
+}
+
+/**
+ * One SSE message; messages without an id leave the client's Last-Event-ID
+ */
+const formatMessage = (event, data, id = null) =>
+  `${id !== null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const sendUpdate = (res, update) => res.write(formatMessage('update', update.data, update.id));
+
+/**
+ * All-time totals, today's counters and the current hourly bucket, in the
+ * reporting timezone.
+ */
+async function loadUpdate() {
+  const now = new Date();
+  const date = toReportingDate(now);
+  const totals = await repository.getDailyTotals();
+  const today = await repository.getDailySnapshot(date);
+  const [hour] = await repository.getHourlySeries(now, now);
+
+  return { totals, today: { date, ...today }, hour, timestamp: now.toISOString() };
+}
+
+/**
+ * Load the update for the newest notification and send it to every
+ * client. Notifications arriving during a load are coalesced into one more
+ * load; callers share the running one.
+ */
+function refresh() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      do {
+        const id = pendingId || await repository.getLatestEventId();
+        pendingId = null;
+        latest = { id, data: await loadUpdate() };
+        for (const res of clients) {
+          sendUpdate(res, latest);
+        }
+      } while (pendingId);
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/**
+ * Listener callback: payload is the notified events_log id.
+ */
+function handleNotification({ channel, payload }) {
+  if (channel !== STREAM_CHANNEL) return;
+
+  pendingId = payload;
+  if (clients.size === 0) {
+    // Nobody to send to: load it when the next client connects
+    latest = null;
+    return;
+  }
+  refresh().catch(error => logger.error('Failed to load stream update', { error: error.message }));
+}
+
+function startHeartbeat() {
+  if (heartbeat) return;
+
+  heartbeat = setInterval(() => {
+    const ping = formatMessage('ping', { timestamp: new Date().toISOString() });
+    for (const res of clients) {
+      res.write(ping);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+}
+
+function stopHeartbeat() {
+  clearInterval(heartbeat);
+  heartbeat = null;
+}
+
+/**
+ * Serve a Server-Sent Events stream of update messages (id: the newest
+ * events_log id included) on res. The current update is sent first unless
+ * the client resumes with its id as Last-Event-ID (header, or lastEventId
+ * query parameter); then one follows each committed metric change, plus a
+ * ping message every STREAM_HEARTBEAT_INTERVAL_MS. Throws before anything
+ * is written if the current update cannot be loaded.
+ */
+async function openStream(req, res) {
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clients.delete(res);
+    if (clients.size === 0) stopHeartbeat();
+  });
+
+  if (!latest || refreshing) await refresh();
+  if (closed) return;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (latest.id !== lastEventId) {
+    sendUpdate(res, latest);
+  }
+  clients.add(res);
+  startHeartbeat();
+}
+
+let listener = null;
+let retryTimer = null;
+let stopping = false;
+
+/**
+ * Drop a failed listener connection and connect again after
+ * LISTEN_RETRY_DELAY_MS.
+ */
+function reconnect(client) {
+  if (listener !== client || stopping) return;
+
+  listener = null;
+  client.end().catch(() => {});
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    listen();
+  }, LISTEN_RETRY_DELAY_MS);
+  retryTimer.unref();
+}
+
+async function listen() {
+  const client = createClient();
+  listener = client;
+  client.on('notification', handleNotification);
+  client.on('error', (error) => {
+    logger.error('Stream listener connection lost', { error: error.message });
+    reconnect(client);
+  });
+  client.on('end', () => reconnect(client));
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${STREAM_CHANNEL}`);
+    logger.info('Stream listener started', { channel: STREAM_CHANNEL });
+  } catch (error) {
+    logger.error('Failed to start stream listener', { error: error.message });
+    reconnect(client);
+    return;
+  }
+
+  // Notifications sent while not listening were missed
+  if (clients.size > 0) {
+    refresh().catch(error => logger.error('Failed to load stream update', { error: error.message }));
+  } else {
+    latest = null;
+  }
+}
+
+/**
+ * LISTEN for metric updates from every instance on a dedicated connection
+ * (a pooled one would be handed to other queries), reconnecting when it
+ * drops.
+ */
+function startStreamListener() {
+  if (listener) return;
+  stopping = false;
+  listen();
+}
+
+/**
+ * Stop listening and end every open stream; clients reconnect elsewhere.
+ */
+async function stopStream() {
+  stopping = true;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  stopHeartbeat();
+  for (const res of clients) {
+    res.end();
+  }
+  clients.clear();
+
+  if (listener) {
+    const client = listener;
+    listener = null;
+    await client.end().catch(() => {});
+  }
+}
+
+module.exports = {
+  notifyMetricsUpdated,
+  handleNotification,
+  openStream,
+  startStreamListener,
+  stopStream
+};
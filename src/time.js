@@ -0,0 +1,63 @@
+const REPORTING_TIMEZONE = process.env.REPORTING_TIMEZONE || 'UTC';
+
+// Built once at load so an invalid REPORTING_TIMEZONE fails at startup
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: REPORTING_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+const hourFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: REPORTING_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in the reporting timezone.
+ */
+function toReportingDate(date) {
+  const parts = {};
+  for (const { type, value } of partsFormatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Local hour (YYYY-MM-DD HH) of an instant in the reporting timezone.
+ * Instants with the same label share an hourly_order_counts bucket; only
+ * used as a grouping key, the bucket itself is still truncated in SQL.
+ */
+function toReportingHour(date) {
+  const parts = {};
+  for (const { type, value } of hourFormatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}`;
+}
+
+/**
+ * Resolve when an event occurred from its schema envelope timestamp.
+ * Falls back to the current time when the envelope has no usable timestamp.
+ */
+function getEventTime(event) {
+  if (event.timestamp) {
+    const occurredAt = new Date(event.timestamp);
+    if (!Number.isNaN(occurredAt.getTime())) {
+      return occurredAt;
+    }
+  }
+  return new Date();
+}
+
+module.exports = {
+  REPORTING_TIMEZONE,
+  toReportingDate,
+  toReportingHour,
+  getEventTime
+};